@@ -0,0 +1,132 @@
+const { formatLocation } = require("./render");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+const COMMAND_PREFIX = "/ai-review";
+
+// Subcommands; a bare prefix reruns the review
+const COMMANDS = ["review", "file", "explain", "ignore", "help"];
+
+// Repository roles from least to most privileged (as reported by the collaborators API)
+const PERMISSION_LEVELS = ["read", "triage", "write", "maintain", "admin"];
+
+// Matches listed when a finding reference is ambiguous
+const MAX_LISTED_MATCHES = 10;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Finds the first slash command in a comment body.
+ * The command must start a line; quoted lines ("> /ai-review") are ignored.
+ * @param {string|null|undefined} body - Comment body
+ * @returns {{name: string, arg: string}|null} Command, or null if the comment has none.
+ *   Unrecognized subcommands have name "unknown" and the subcommand as arg
+ */
+function parseCommand(body) {
+  if (!body) return null;
+
+  for (const raw of body.split("\n")) {
+    const line = raw.trim();
+    if (line !== COMMAND_PREFIX && !line.startsWith(`${COMMAND_PREFIX} `)) continue;
+
+    const rest = line.slice(COMMAND_PREFIX.length).trim();
+    if (!rest) return { name: "review", arg: "" };
+    const [word] = rest.split(/\s+/, 1);
+    const arg = rest.slice(word.length).trim();
+    const name = word.toLowerCase();
+    return COMMANDS.includes(name) ? { name, arg } : { name: "unknown", arg: word };
+  }
+
+  return null;
+}
+
+/**
+ * Formats a parsed command the way it would be typed.
+ * @param {{name: string, arg: string}} command - Command from parseCommand
+ * @returns {string} Command text, e.g. "/ai-review file src/a.js"
+ */
+function formatCommand({ name, arg }) {
+  if (name === "unknown") return `${COMMAND_PREFIX} ${arg}`;
+  return [COMMAND_PREFIX, name === "review" ? "" : name, arg].filter(Boolean).join(" ");
+}
+
+/**
+ * Checks whether a repository role meets the required level.
+ * @param {string|null|undefined} role - Commenter's role (read, triage, write, maintain, admin)
+ * @param {string} required - Minimum role from PERMISSION_LEVELS
+ * @returns {boolean} True if the role is at least the required level
+ */
+function hasPermission(role, required) {
+  const level = PERMISSION_LEVELS.indexOf(role);
+  return level !== -1 && level >= PERMISSION_LEVELS.indexOf(required);
+}
+
+/**
+ * Finds the findings a command argument refers to.
+ * Tries, in order: an exact location ("src/a.js:12"), a file path, then
+ * a case-insensitive part of the title.
+ * @param {object[]} findings - Findings from the review state
+ * @param {string} query - Reference from the command
+ * @returns {object[]} Matching findings (empty if none)
+ */
+function matchFindings(findings, query) {
+  const q = query.trim().replace(/^(["'`])(.*)\1$/, "$2").trim();
+  if (!q) return [];
+
+  const byLocation = findings.filter(f => formatLocation(f) === q);
+  if (byLocation.length > 0) return byLocation;
+  const byFile = findings.filter(f => f.file === q);
+  if (byFile.length > 0) return byFile;
+  return findings.filter(f => f.title.toLowerCase().includes(q.toLowerCase()));
+}
+
+// ============================================================================
+// Replies
+// ============================================================================
+
+/**
+ * Renders the usage help for the slash commands.
+ * @returns {string} Markdown help text
+ */
+function renderCommandHelp() {
+  return [
+    `| Command | What it does |`,
+    `|---------|--------------|`,
+    `| \`${COMMAND_PREFIX}\` | Review the pull request again |`,
+    `| \`${COMMAND_PREFIX} file <path>\` | Review one file again |`,
+    `| \`${COMMAND_PREFIX} explain\` | Explain what the pull request changes |`,
+    `| \`${COMMAND_PREFIX} explain <finding>\` | Explain a finding in more detail |`,
+    `| \`${COMMAND_PREFIX} ignore <finding>\` | Stop reporting a finding on this pull request |`,
+    `| \`${COMMAND_PREFIX} help\` | Show this help |`,
+    ``,
+    `\`<finding>\` is a location (\`src/a.js:12\`), a file path, or part of the finding's title.`
+  ].join("\n");
+}
+
+/**
+ * Renders the reply for a finding reference that matched several findings.
+ * @param {string} query - Reference from the command
+ * @param {object[]} matches - Matching findings
+ * @returns {string} Markdown reply
+ */
+function renderAmbiguousMatches(query, matches) {
+  const listed = matches.slice(0, MAX_LISTED_MATCHES).map(f => `- \`${formatLocation(f)}\` ${f.title}`);
+  if (matches.length > MAX_LISTED_MATCHES) listed.push(`- …and ${matches.length - MAX_LISTED_MATCHES} more`);
+  return [`\`${query}\` matches ${matches.length} findings; use a location or a more specific title:`, ``, ...listed].join("\n");
+}
+
+module.exports = {
+  parseCommand,
+  formatCommand,
+  hasPermission,
+  matchFindings,
+  renderCommandHelp,
+  renderAmbiguousMatches,
+  COMMAND_PREFIX,
+  COMMANDS,
+  PERMISSION_LEVELS
+};
@@ -0,0 +1,121 @@
+const {
+  parseCommand,
+  formatCommand,
+  hasPermission,
+  matchFindings,
+  renderCommandHelp,
+  renderAmbiguousMatches
+} = require('./commands');
+
+describe('parseCommand', () => {
+  test('treats the bare prefix as a rerun', () => {
+    expect(parseCommand('/ai-review')).toEqual({ name: 'review', arg: '' });
+    expect(parseCommand('  /ai-review  \n')).toEqual({ name: 'review', arg: '' });
+  });
+
+  test('parses subcommands and their argument', () => {
+    expect(parseCommand('/ai-review file src/a.js')).toEqual({ name: 'file', arg: 'src/a.js' });
+    expect(parseCommand('/ai-review explain')).toEqual({ name: 'explain', arg: '' });
+    expect(parseCommand('/ai-review ignore Missing null check')).toEqual({ name: 'ignore', arg: 'Missing null check' });
+    expect(parseCommand('/ai-review HELP')).toEqual({ name: 'help', arg: '' });
+  });
+
+  test('finds the command on any line', () => {
+    expect(parseCommand('Thanks!\n/ai-review explain src/a.js:3\nmore text')).toEqual({ name: 'explain', arg: 'src/a.js:3' });
+  });
+
+  test('reports unknown subcommands', () => {
+    expect(parseCommand('/ai-review frobnicate now')).toEqual({ name: 'unknown', arg: 'frobnicate' });
+  });
+
+  test('ignores comments without a command', () => {
+    expect(parseCommand('')).toBeNull();
+    expect(parseCommand(null)).toBeNull();
+    expect(parseCommand('please run /ai-review')).toBeNull();
+    expect(parseCommand('> /ai-review ignore x')).toBeNull();
+    expect(parseCommand('/ai-reviewer')).toBeNull();
+  });
+});
+
+describe('formatCommand', () => {
+  test('round-trips parsed commands', () => {
+    for (const text of ['/ai-review', '/ai-review file src/a.js', '/ai-review explain', '/ai-review ignore Missing null check']) {
+      expect(formatCommand(parseCommand(text))).toBe(text);
+    }
+  });
+
+  test('shows the unknown subcommand', () => {
+    expect(formatCommand({ name: 'unknown', arg: 'frobnicate' })).toBe('/ai-review frobnicate');
+  });
+});
+
+describe('hasPermission', () => {
+  test('compares roles by level', () => {
+    expect(hasPermission('admin', 'write')).toBe(true);
+    expect(hasPermission('maintain', 'write')).toBe(true);
+    expect(hasPermission('write', 'write')).toBe(true);
+    expect(hasPermission('triage', 'write')).toBe(false);
+    expect(hasPermission('read', 'triage')).toBe(false);
+    expect(hasPermission('read', 'read')).toBe(true);
+  });
+
+  test('rejects unknown roles', () => {
+    expect(hasPermission('none', 'read')).toBe(false);
+    expect(hasPermission(undefined, 'read')).toBe(false);
+  });
+});
+
+describe('matchFindings', () => {
+  const findings = [
+    { file: 'src/a.js', line: 3, title: 'Missing null check' },
+    { file: 'src/a.js', line: 9, title: 'Unbounded loop' },
+    { file: 'src/b.js', line: null, title: 'Missing tests' }
+  ];
+
+  test('matches an exact location first', () => {
+    expect(matchFindings(findings, 'src/a.js:9')).toEqual([findings[1]]);
+    expect(matchFindings(findings, '`src/a.js:3`')).toEqual([findings[0]]);
+  });
+
+  test('matches a file path', () => {
+    expect(matchFindings(findings, 'src/a.js')).toEqual([findings[0], findings[1]]);
+    expect(matchFindings(findings, 'src/b.js')).toEqual([findings[2]]);
+  });
+
+  test('matches part of the title, ignoring case and quotes', () => {
+    expect(matchFindings(findings, '"null CHECK"')).toEqual([findings[0]]);
+    expect(matchFindings(findings, 'missing')).toEqual([findings[0], findings[2]]);
+  });
+
+  test('returns nothing for an empty or unknown reference', () => {
+    expect(matchFindings(findings, '  ')).toEqual([]);
+    expect(matchFindings(findings, 'race condition')).toEqual([]);
+  });
+});
+
+describe('renderCommandHelp', () => {
+  test('lists every command', () => {
+    const help = renderCommandHelp();
+    for (const command of ['`/ai-review`', '/ai-review file <path>', '/ai-review explain', '/ai-review ignore <finding>', '/ai-review help']) {
+      expect(help).toContain(command);
+    }
+  });
+});
+
+describe('renderAmbiguousMatches', () => {
+  test('lists the matches with their locations', () => {
+    const reply = renderAmbiguousMatches('missing', [
+      { file: 'src/a.js', line: 3, title: 'Missing null check' },
+      { file: 'src/b.js', line: null, title: 'Missing tests' }
+    ]);
+    expect(reply).toContain('`missing` matches 2 findings');
+    expect(reply).toContain('- `src/a.js:3` Missing null check\n- `src/b.js` Missing tests');
+  });
+
+  test('caps the list', () => {
+    const many = Array.from({ length: 12 }, (_, i) => ({ file: 'a.js', line: i + 1, title: 'Same' }));
+    const reply = renderAmbiguousMatches('same', many);
+    expect(reply.split('\n').filter(l => l.startsWith('- `'))).toHaveLength(10);
+    expect(reply).toContain('…and 2 more');
+  });
+});
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const { getCommentableLines, isRightSideRange, getFallbackAnchor, getNewLineContent } = require("./diff");
+const { renderFinding, renderFileComment, renderCounts, renderModelLine, renderIncompleteLine } = require("./render");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// GitHub rejects or silently truncates reviews with very many comments
+const MAX_COMMENTS_PER_REVIEW = 50;
+
+// Values accepted by the stale_comments setting
+const STALE_COMMENT_ACTIONS = ["resolve", "minimize", "none"];
+
+// ============================================================================
+// Fingerprints
+// ============================================================================
+
+/**
+ * Returns a short, stable hash of a string.
+ * @param {string} text - Text to hash
+ * @returns {string} First 16 hex chars of the SHA-1 digest
+ */
+function shortHash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 16);
+}
+
+/**
+ * Normalizes a line of code so whitespace-only edits don't change its identity.
+ * @param {string|null|undefined} content - Line content
+ * @returns {string} Trimmed content with internal whitespace collapsed
+ */
+function normalizeLineContent(content) {
+  return (content || "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Fingerprints a finding so reruns can recognize it.
+ * Uses the file, the normalized content of the cited line and the title,
+ * so the fingerprint survives lines moving up or down.
+ * @param {object} finding - Normalized finding
+ * @param {string|null} lineContent - Content of the cited line (null if unknown)
+ * @returns {string} Fingerprint
+ */
+function fingerprintFinding(finding, lineContent) {
+  return shortHash([finding.file, normalizeLineContent(lineContent), finding.title.trim().toLowerCase()].join("\n"));
+}
+
+/**
+ * Fingerprints a finding against its file's diff, the way buildFileComments
+ * does: the cited line's content counts only when that line is in the diff.
+ * @param {object} finding - Normalized finding
+ * @param {string|null|undefined} patch - Diff of the finding's file
+ * @returns {string} Fingerprint
+ */
+function fingerprintInPatch(finding, patch) {
+  const placed = finding.line && getCommentableLines(patch).has(finding.line);
+  return fingerprintFinding(finding, placed ? getNewLineContent(patch, finding.line) : null);
+}
+
+/**
+ * Builds the hidden marker identifying a finding inside a review comment.
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @param {string} fingerprint - Finding fingerprint
+ * @param {string|null} lineContent - Content of the line the comment sits on (null for grouped comments)
+ * @returns {string} Hidden HTML comment
+ */
+function findingMarker(commentMarker, fingerprint, lineContent) {
+  const lineHash = lineContent === null ? "-" : shortHash(normalizeLineContent(lineContent));
+  return `<!-- ${commentMarker}:finding ${fingerprint} ${lineHash} -->`;
+}
+
+/**
+ * Extracts finding markers from a review comment body.
+ * @param {string|null|undefined} body - Review comment body
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {{fingerprint: string, lineHash: string|null}[]} Markers in the body
+ */
+function parseFindingMarkers(body, commentMarker) {
+  if (!body) return [];
+  const escaped = commentMarker.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = new RegExp(`<!-- ${escaped}:finding ([0-9a-f]+) ([0-9a-f]+|-) -->`, "g");
+  return [...body.matchAll(re)].map(m => ({ fingerprint: m[1], lineHash: m[2] === "-" ? null : m[2] }));
+}
+
+/**
+ * Decides whether a previously posted comment no longer matches the code.
+ * A comment is stale when its file left the PR, GitHub marked it outdated
+ * (line is null), or the content of its line changed since it was posted.
+ * @param {object} comment - Review comment from pulls.listReviewComments
+ * @param {Map<string, object>} prFilesByName - Current PR files by filename
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {boolean} True if the comment is stale
+ */
+function isStaleComment(comment, prFilesByName, commentMarker) {
+  const file = prFilesByName.get(comment.path);
+  if (!file) return true;
+  if (comment.line === null || comment.line === undefined) return true;
+
+  const lineHashes = parseFindingMarkers(comment.body, commentMarker)
+    .map(m => m.lineHash)
+    .filter(Boolean);
+  if (lineHashes.length === 0) return false;
+
+  const content = getNewLineContent(file.patch, comment.line);
+  if (content === null) return true;
+  return !lineHashes.includes(shortHash(normalizeLineContent(content)));
+}
+
+// ============================================================================
+// Inline Review Comments
+// ============================================================================
+
+/**
+ * Builds the attribution header used on every inline comment.
+ * @param {string} model - Model name for attribution
+ * @returns {string} Markdown header
+ */
+function commentHeader(model) {
+  return `🤖 **AI Review** (${model})`;
+}
+
+/**
+ * Maps a file's findings to pull request review comments.
+ * Findings whose line is part of the diff get their own comment on that line
+ * (RIGHT side). The rest are grouped into one file-level comment anchored at
+ * the first change in the patch. A replacement becomes a committable
+ * suggestion spanning the lines it replaces when all of them are on the right
+ * side of one hunk, and stays plain code otherwise. Each comment carries hidden
+ * fingerprint markers; findings whose fingerprint was already posted are skipped.
+ * @param {object} params - Build parameters
+ * @param {object} params.file - File object with filename and patch
+ * @param {object[]} params.findings - Findings for the file
+ * @param {string} params.model - Model name for attribution
+ * @param {string} [params.commentMarker] - Unique marker for fingerprint markers
+ * @param {Set<string>} [params.postedFingerprints] - Fingerprints already on the PR
+ * @returns {object[]} Comments for pulls.createReview ({path, line, side, body}, plus
+ *   start_line and start_side for multi-line suggestions)
+ */
+function buildFileComments({ file, findings, model, commentMarker = "AI_PR_REVIEW_ACTION", postedFingerprints = new Set() }) {
+  const commentable = getCommentableLines(file.patch);
+  const comments = [];
+  const unplaced = [];
+
+  for (const finding of findings) {
+    const placed = finding.line && commentable.has(finding.line);
+    const lineContent = placed ? getNewLineContent(file.patch, finding.line) : null;
+    const fingerprint = fingerprintFinding(finding, lineContent);
+    if (postedFingerprints.has(fingerprint)) continue;
+
+    if (placed) {
+      const suggestion = Boolean(finding.replacement) && isRightSideRange(file.patch, finding.line, finding.endLine);
+      // A suggestion comment sits on the last line it replaces, which is what staleness is checked against
+      const line = suggestion ? finding.endLine : finding.line;
+      comments.push({
+        path: file.filename,
+        ...(line > finding.line ? { start_line: finding.line, start_side: "RIGHT" } : {}),
+        line,
+        side: "RIGHT",
+        body: [
+          `${commentHeader(model)}\n\n${renderFinding(finding, { showLocation: false, suggestion })}`,
+          findingMarker(commentMarker, fingerprint, getNewLineContent(file.patch, line))
+        ].join("\n\n")
+      });
+    } else {
+      unplaced.push({ finding, fingerprint });
+    }
+  }
+
+  const anchor = getFallbackAnchor(file.patch);
+  if (unplaced.length > 0 && anchor) {
+    comments.push({
+      path: file.filename,
+      line: anchor.line,
+      side: anchor.side,
+      body: [
+        `${commentHeader(model)}\n\n${renderFileComment(unplaced.map(u => u.finding))}`,
+        ...unplaced.map(u => findingMarker(commentMarker, u.fingerprint, null))
+      ].join("\n\n")
+    });
+  }
+
+  return comments;
+}
+
+/**
+ * Splits review comments into the minimum number of batches under the limit.
+ * @param {object[]} comments - Review comments
+ * @param {number} [max=MAX_COMMENTS_PER_REVIEW] - Maximum comments per review
+ * @returns {object[][]} Batches of comments (at least one, possibly empty)
+ */
+function splitReviewComments(comments, max = MAX_COMMENTS_PER_REVIEW) {
+  if (comments.length === 0) return [[]];
+  const batches = [];
+  for (let i = 0; i < comments.length; i += max) {
+    batches.push(comments.slice(i, i + max));
+  }
+  return batches;
+}
+
+/**
+ * Builds the body of a batched pull request review.
+ * @param {object} params - Build parameters
+ * @param {string} params.model - Model name for attribution
+ * @param {string[]} [params.modelsUsed] - Model that produced each file, when a fallback was used
+ * @param {number} [params.truncatedParts=0] - Review parts whose response was cut off
+ * @param {object[]} params.findings - All findings in the run
+ * @param {number|string} params.filesReviewed - Number of files reviewed (or a description of the scope)
+ * @param {number} [params.part=1] - Index of this review (1-based)
+ * @param {number} [params.totalParts=1] - Total number of reviews submitted
+ * @param {string} [params.footer] - Markdown appended to the first review (e.g. the usage footer)
+ * @returns {string} Markdown body
+ */
+function buildReviewBody({ model, modelsUsed = [], truncatedParts = 0, findings, filesReviewed, part = 1, totalParts = 1, footer = "" }) {
+  const partInfo = totalParts > 1 ? ` (part ${part}/${totalParts})` : "";
+  if (part > 1) return `## 🤖 AI PR Review${partInfo}`;
+
+  return [
+    `## 🤖 AI PR Review${partInfo}`,
+    renderModelLine(modelsUsed.length > 0 ? modelsUsed : [model]),
+    `- Files reviewed: ${filesReviewed}`,
+    `- Findings: ${findings.length > 0 ? renderCounts(findings) : "none"}`,
+    renderIncompleteLine(truncatedParts, Math.max(1, modelsUsed.length)),
+    footer ? `\n${footer}` : null
+  ].filter(line => line !== null).join("\n");
+}
+
+// ============================================================================
+// Thread Replies
+// ============================================================================
+
+/**
+ * Builds the hidden marker identifying this action's replies in a review thread.
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {string} Hidden HTML comment
+ */
+function replyMarker(commentMarker) {
+  return `<!-- ${commentMarker}:reply -->`;
+}
+
+/**
+ * Removes hidden HTML comments (finding, reply and state markers) from a body.
+ * @param {string|null|undefined} body - Comment body
+ * @returns {string} Visible text
+ */
+function stripHiddenMarkers(body) {
+  return (body || "").replace(/<!--[\s\S]*?-->/g, "").trim();
+}
+
+/**
+ * Rebuilds the conversation of a review thread started by this action.
+ * @param {object} root - Thread root comment (the finding)
+ * @param {object[]} comments - Review comments of the PR; replies to other threads are ignored
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {{finding: string, replies: {author: string, fromAction: boolean, text: string}[]}}
+ *   The finding as posted and the replies, oldest first
+ */
+function buildThreadConversation(root, comments, commentMarker) {
+  const replies = comments
+    .filter(c => c.in_reply_to_id === root.id)
+    .sort((a, b) => a.id - b.id)
+    .map(c => ({
+      author: c.user?.login || "unknown",
+      fromAction: (c.body || "").includes(replyMarker(commentMarker)),
+      text: stripHiddenMarkers(c.body)
+    }));
+  return { finding: stripHiddenMarkers(root.body), replies };
+}
+
+module.exports = {
+  shortHash,
+  normalizeLineContent,
+  fingerprintFinding,
+  fingerprintInPatch,
+  findingMarker,
+  parseFindingMarkers,
+  isStaleComment,
+  commentHeader,
+  buildFileComments,
+  splitReviewComments,
+  buildReviewBody,
+  replyMarker,
+  stripHiddenMarkers,
+  buildThreadConversation,
+  MAX_COMMENTS_PER_REVIEW,
+  STALE_COMMENT_ACTIONS
+};
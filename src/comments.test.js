@@ -0,0 +1,314 @@
+const {
+  shortHash,
+  normalizeLineContent,
+  fingerprintFinding,
+  fingerprintInPatch,
+  findingMarker,
+  parseFindingMarkers,
+  isStaleComment,
+  commentHeader,
+  buildFileComments,
+  splitReviewComments,
+  buildReviewBody,
+  replyMarker,
+  stripHiddenMarkers,
+  buildThreadConversation,
+  MAX_COMMENTS_PER_REVIEW
+} = require('./comments');
+
+const file = {
+  filename: 'src/a.js',
+  patch: '@@ -1,3 +1,4 @@\n const a = 1;\n-const b = 2;\n+const b = 3;\n+const c = 4;\n return a;'
+};
+
+const finding = (overrides) => ({
+  file: 'src/a.js',
+  line: null,
+  severity: 'minor',
+  category: 'bug',
+  title: 'Title',
+  explanation: 'Explanation',
+  suggestedFix: '',
+  ...overrides
+});
+
+describe('commentHeader', () => {
+  test('includes model name', () => {
+    expect(commentHeader('gpt-4o')).toBe('🤖 **AI Review** (gpt-4o)');
+  });
+});
+
+describe('buildFileComments', () => {
+  test('places findings on their cited line', () => {
+    const comments = buildFileComments({ file, findings: [finding({ line: 3, title: 'On c' })], model: 'm' });
+    expect(comments).toHaveLength(1);
+    expect(comments[0]).toMatchObject({ path: 'src/a.js', line: 3, side: 'RIGHT' });
+    expect(comments[0].body).toContain('**On c**');
+    expect(comments[0].body).toContain('🤖 **AI Review** (m)');
+  });
+
+  test('creates one comment per in-diff finding', () => {
+    const comments = buildFileComments({
+      file,
+      findings: [finding({ line: 2 }), finding({ line: 4 })],
+      model: 'm'
+    });
+    expect(comments.map(c => c.line)).toEqual([2, 4]);
+  });
+
+  test('groups out-of-diff and line-less findings into a fallback comment', () => {
+    const comments = buildFileComments({
+      file,
+      findings: [finding({ line: 99, title: 'Far away' }), finding({ title: 'General' })],
+      model: 'm'
+    });
+    expect(comments).toHaveLength(1);
+    expect(comments[0]).toMatchObject({ line: 2, side: 'RIGHT' });
+    expect(comments[0].body).toContain('**Far away**');
+    expect(comments[0].body).toContain('**General**');
+  });
+
+  test('adds a fingerprint marker to each comment', () => {
+    const comments = buildFileComments({ file, findings: [finding({ line: 3 })], model: 'm', commentMarker: 'M' });
+    const markers = parseFindingMarkers(comments[0].body, 'M');
+    expect(markers).toEqual([{ fingerprint: fingerprintFinding(finding(), 'const c = 4;'), lineHash: shortHash('const c = 4;') }]);
+  });
+
+  test('posts a replacement as a suggestion spanning the lines it replaces', () => {
+    const [comment] = buildFileComments({
+      file,
+      findings: [finding({ line: 2, endLine: 3, replacement: 'const b = 3, c = 4;' })],
+      model: 'm',
+      commentMarker: 'M'
+    });
+    expect(comment).toMatchObject({ path: 'src/a.js', start_line: 2, start_side: 'RIGHT', line: 3, side: 'RIGHT' });
+    expect(comment.body).toContain('```suggestion\nconst b = 3, c = 4;\n```');
+    expect(parseFindingMarkers(comment.body, 'M')).toEqual([{
+      fingerprint: fingerprintFinding(finding(), 'const b = 3;'),
+      lineHash: shortHash('const c = 4;')
+    }]);
+  });
+
+  test('posts a single-line suggestion without a start line', () => {
+    const [comment] = buildFileComments({ file, findings: [finding({ line: 3, endLine: 3, replacement: 'const c = 5;' })], model: 'm' });
+    expect(comment).not.toHaveProperty('start_line');
+    expect(comment.line).toBe(3);
+    expect(comment.body).toContain('```suggestion');
+  });
+
+  test('falls back to plain code when the replaced lines leave the diff', () => {
+    const [comment] = buildFileComments({ file, findings: [finding({ line: 3, endLine: 6, replacement: 'x();' })], model: 'm' });
+    expect(comment).not.toHaveProperty('start_line');
+    expect(comment.line).toBe(3);
+    expect(comment.body).not.toContain('```suggestion');
+    expect(comment.body).toContain('**Suggested replacement (lines 3-6):**');
+  });
+
+  test('adds one marker per finding to grouped comments', () => {
+    const comments = buildFileComments({
+      file,
+      findings: [finding({ title: 'A' }), finding({ title: 'B' })],
+      model: 'm',
+      commentMarker: 'M'
+    });
+    expect(parseFindingMarkers(comments[0].body, 'M')).toHaveLength(2);
+  });
+
+  test('skips findings that were already posted', () => {
+    const posted = new Set([fingerprintFinding(finding(), 'const c = 4;')]);
+    const comments = buildFileComments({
+      file,
+      findings: [finding({ line: 3 }), finding({ line: 2, title: 'New' })],
+      model: 'm',
+      commentMarker: 'M',
+      postedFingerprints: posted
+    });
+    expect(comments).toHaveLength(1);
+    expect(comments[0].line).toBe(2);
+  });
+
+  test('returns no comments when there are no findings', () => {
+    expect(buildFileComments({ file, findings: [], model: 'm' })).toEqual([]);
+  });
+});
+
+describe('normalizeLineContent', () => {
+  test('trims and collapses whitespace', () => {
+    expect(normalizeLineContent('  const   a =\t1;  ')).toBe('const a = 1;');
+    expect(normalizeLineContent(null)).toBe('');
+  });
+});
+
+describe('fingerprintFinding', () => {
+  test('is stable across whitespace and title case changes', () => {
+    expect(fingerprintFinding(finding({ title: 'Null check' }), 'const  a = 1;'))
+      .toBe(fingerprintFinding(finding({ title: 'null CHECK' }), ' const a = 1;'));
+  });
+
+  test('ignores the line number', () => {
+    expect(fingerprintFinding(finding({ line: 1 }), 'x')).toBe(fingerprintFinding(finding({ line: 50 }), 'x'));
+  });
+
+  test('changes with file, content or title', () => {
+    const base = fingerprintFinding(finding(), 'x');
+    expect(fingerprintFinding(finding({ file: 'other.js' }), 'x')).not.toBe(base);
+    expect(fingerprintFinding(finding(), 'y')).not.toBe(base);
+    expect(fingerprintFinding(finding({ title: 'Other' }), 'x')).not.toBe(base);
+  });
+});
+
+describe('fingerprintInPatch', () => {
+  test('matches the fingerprint of a comment placed on the line', () => {
+    const [comment] = buildFileComments({ file, findings: [finding({ line: 3 })], model: 'm', commentMarker: 'M' });
+    expect(parseFindingMarkers(comment.body, 'M')[0].fingerprint).toBe(fingerprintInPatch(finding({ line: 3 }), file.patch));
+  });
+
+  test('leaves out the line content for lines outside the diff', () => {
+    expect(fingerprintInPatch(finding({ line: 40 }), file.patch)).toBe(fingerprintFinding(finding(), null));
+    expect(fingerprintInPatch(finding({ line: 3 }), undefined)).toBe(fingerprintFinding(finding(), null));
+  });
+});
+
+describe('findingMarker / parseFindingMarkers', () => {
+  test('round-trips fingerprint and line hash', () => {
+    const body = `text\n${findingMarker('M', 'abc123', 'const a = 1;')}`;
+    expect(parseFindingMarkers(body, 'M')).toEqual([
+      { fingerprint: 'abc123', lineHash: shortHash('const a = 1;') }
+    ]);
+  });
+
+  test('uses no line hash for grouped comments', () => {
+    expect(parseFindingMarkers(findingMarker('M', 'abc', null), 'M')).toEqual([{ fingerprint: 'abc', lineHash: null }]);
+  });
+
+  test('ignores markers from other jobs', () => {
+    expect(parseFindingMarkers(findingMarker('OTHER', 'abc', null), 'M')).toEqual([]);
+    expect(parseFindingMarkers(null, 'M')).toEqual([]);
+  });
+
+  test('handles markers with regex characters', () => {
+    expect(parseFindingMarkers(findingMarker('A.B+', 'abc', null), 'A.B+')).toHaveLength(1);
+  });
+});
+
+describe('isStaleComment', () => {
+  const prFiles = new Map([[file.filename, file]]);
+  const commentOn = (line, content) => ({
+    path: 'src/a.js',
+    line,
+    body: `text\n${findingMarker('M', 'abc', content)}`
+  });
+
+  test('is false when the line content is unchanged', () => {
+    expect(isStaleComment(commentOn(3, 'const c = 4;'), prFiles, 'M')).toBe(false);
+  });
+
+  test('is true when the line content changed', () => {
+    expect(isStaleComment(commentOn(3, 'const c = 5;'), prFiles, 'M')).toBe(true);
+  });
+
+  test('is true when GitHub marked the comment outdated', () => {
+    expect(isStaleComment(commentOn(null, 'const c = 4;'), prFiles, 'M')).toBe(true);
+  });
+
+  test('is true when the file left the PR', () => {
+    expect(isStaleComment({ ...commentOn(3, 'const c = 4;'), path: 'gone.js' }, prFiles, 'M')).toBe(true);
+  });
+
+  test('is true when the line is no longer in the diff', () => {
+    expect(isStaleComment(commentOn(40, 'const c = 4;'), prFiles, 'M')).toBe(true);
+  });
+
+  test('keeps grouped comments that are still anchored', () => {
+    expect(isStaleComment(commentOn(2, null), prFiles, 'M')).toBe(false);
+  });
+});
+
+describe('splitReviewComments', () => {
+  test('returns a single empty batch for no comments', () => {
+    expect(splitReviewComments([])).toEqual([[]]);
+  });
+
+  test('keeps comments under the limit in one batch', () => {
+    const comments = Array.from({ length: MAX_COMMENTS_PER_REVIEW }, (_, i) => ({ line: i }));
+    expect(splitReviewComments(comments)).toHaveLength(1);
+  });
+
+  test('splits into the minimum number of batches', () => {
+    const comments = Array.from({ length: 7 }, (_, i) => ({ line: i }));
+    const batches = splitReviewComments(comments, 3);
+    expect(batches.map(b => b.length)).toEqual([3, 3, 1]);
+    expect(batches.flat()).toEqual(comments);
+  });
+});
+
+describe('buildReviewBody', () => {
+  const findings = [finding({ severity: 'critical' }), finding({ severity: 'minor' })];
+
+  test('includes model, file count and finding counts', () => {
+    const body = buildReviewBody({ model: 'm', findings, filesReviewed: 4 });
+    expect(body).toContain('## 🤖 AI PR Review');
+    expect(body).toContain('- Model: `m`');
+    expect(body).toContain('- Files reviewed: 4');
+    expect(body).toContain('- Findings: 1 critical, 1 minor');
+    expect(body).not.toContain('part');
+  });
+
+  test('lists the models that produced the review', () => {
+    const body = buildReviewBody({ model: 'm', modelsUsed: ['m', 'backup'], findings, filesReviewed: 2 });
+    expect(body).toContain('- Models: `m` (1 part), `backup` (1 part)');
+  });
+
+  test('warns when some responses were cut off', () => {
+    const body = buildReviewBody({ model: 'm', modelsUsed: ['m', 'm', 'm'], truncatedParts: 1, findings, filesReviewed: 2 });
+    expect(body).toContain('cut off in 1 of 3 parts');
+    expect(buildReviewBody({ model: 'm', findings, filesReviewed: 2 })).not.toContain('Incomplete');
+  });
+
+  test('appends a footer', () => {
+    const body = buildReviewBody({ model: 'm', findings, filesReviewed: 2, footer: '<sub>📊 usage</sub>' });
+    expect(body.endsWith('\n\n<sub>📊 usage</sub>')).toBe(true);
+  });
+
+  test('reports no findings', () => {
+    expect(buildReviewBody({ model: 'm', findings: [], filesReviewed: 1 })).toContain('- Findings: none');
+  });
+
+  test('labels parts when split', () => {
+    expect(buildReviewBody({ model: 'm', findings, filesReviewed: 4, part: 1, totalParts: 2 }))
+      .toContain('(part 1/2)');
+    expect(buildReviewBody({ model: 'm', findings, filesReviewed: 4, part: 2, totalParts: 2 }))
+      .toBe('## 🤖 AI PR Review (part 2/2)');
+  });
+});
+
+describe('stripHiddenMarkers', () => {
+  test('removes hidden comments and surrounding whitespace', () => {
+    expect(stripHiddenMarkers(`text\n${findingMarker('M', 'abc', null)}\n${replyMarker('M')}`)).toBe('text');
+    expect(stripHiddenMarkers(null)).toBe('');
+  });
+});
+
+describe('buildThreadConversation', () => {
+  const root = { id: 1, body: `🤖 **AI Review** (m)\n\nNull check\n${findingMarker('M', 'abc', null)}` };
+  const comments = [
+    root,
+    { id: 5, in_reply_to_id: 1, user: { login: 'bot' }, body: `Yes, it can be null.\n${replyMarker('M')}` },
+    { id: 3, in_reply_to_id: 1, user: { login: 'alice' }, body: 'Why?' },
+    { id: 4, in_reply_to_id: 2, user: { login: 'bob' }, body: 'Other thread' }
+  ];
+
+  test('returns the finding and the thread replies in order', () => {
+    expect(buildThreadConversation(root, comments, 'M')).toEqual({
+      finding: '🤖 **AI Review** (m)\n\nNull check',
+      replies: [
+        { author: 'alice', fromAction: false, text: 'Why?' },
+        { author: 'bot', fromAction: true, text: 'Yes, it can be null.' }
+      ]
+    });
+  });
+
+  test('only counts replies carrying this marker as the action\'s', () => {
+    expect(buildThreadConversation(root, comments, 'OTHER').replies[1].fromAction).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+const { sleep } = require("./http");
+
+// ============================================================================
+// Worker Pool
+// ============================================================================
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at a time.
+ * Tasks start in the order they were submitted.
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} limit(task) - Runs task() when a slot frees up and resolves with its result
+ */
+function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Maps items through an async function with bounded concurrency.
+ * Results keep the order of the input, regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of calls running at once
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+function mapWithConcurrency(items, concurrency, fn) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(items.map((item, i) => limit(() => fn(item, i))));
+}
+
+// ============================================================================
+// Shared Rate Limiter
+// ============================================================================
+
+/**
+ * Creates a rate limiter shared by all workers.
+ * When any request is rate limited, pause() holds back every caller of wait()
+ * until the backoff has elapsed, so workers back off together.
+ * @param {object} [deps] - Injectable dependencies (for tests)
+ * @param {Function} [deps.now=Date.now] - Clock
+ * @param {Function} [deps.delay=sleep] - Async sleep
+ * @returns {{wait: Function, pause: Function}} Rate limiter
+ */
+function createRateLimiter({ now = Date.now, delay = sleep } = {}) {
+  let resumeAt = 0;
+
+  return {
+    /**
+     * Resolves once no pause is in effect.
+     * @returns {Promise<void>}
+     */
+    async wait() {
+      while (now() < resumeAt) {
+        await delay(resumeAt - now());
+      }
+    },
+
+    /**
+     * Pauses all workers for at least `ms` milliseconds from now.
+     * @param {number} ms - Pause duration
+     * @returns {void}
+     */
+    pause(ms) {
+      resumeAt = Math.max(resumeAt, now() + ms);
+    }
+  };
+}
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+  createRateLimiter
+};
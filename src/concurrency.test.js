@@ -0,0 +1,91 @@
+const {
+  createLimiter,
+  mapWithConcurrency,
+  createRateLimiter
+} = require('./concurrency');
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createLimiter', () => {
+  test('never runs more than the limit at once', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await tick();
+      active--;
+    };
+    await Promise.all(Array.from({ length: 6 }, () => limit(task)));
+    expect(peak).toBe(2);
+  });
+
+  test('starts tasks in submission order', async () => {
+    const limit = createLimiter(1);
+    const started = [];
+    await Promise.all([1, 2, 3].map(n => limit(async () => { started.push(n); await tick(); })));
+    expect(started).toEqual([1, 2, 3]);
+  });
+
+  test('propagates rejections without blocking the queue', async () => {
+    const limit = createLimiter(1);
+    const failing = limit(async () => { throw new Error('boom'); });
+    const ok = limit(async () => 'ok');
+    await expect(failing).rejects.toThrow('boom');
+    await expect(ok).resolves.toBe('ok');
+  });
+
+  test('treats limits below 1 as 1', async () => {
+    const limit = createLimiter(0);
+    await expect(limit(async () => 42)).resolves.toBe(42);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('preserves input order regardless of completion order', async () => {
+    const delays = [20, 1, 10, 5];
+    const result = await mapWithConcurrency(delays, 4, async (ms, i) => {
+      await tick(ms);
+      return i;
+    });
+    expect(result).toEqual([0, 1, 2, 3]);
+  });
+
+  test('returns empty array for no items', async () => {
+    await expect(mapWithConcurrency([], 3, async x => x)).resolves.toEqual([]);
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('wait resolves immediately when not paused', async () => {
+    const delay = jest.fn();
+    const limiter = createRateLimiter({ now: () => 1000, delay });
+    await limiter.wait();
+    expect(delay).not.toHaveBeenCalled();
+  });
+
+  test('pause holds back every waiter until it elapses', async () => {
+    let clock = 1000;
+    const delay = jest.fn(async ms => { clock += ms; });
+    const limiter = createRateLimiter({ now: () => clock, delay });
+
+    limiter.pause(500);
+    await Promise.all([limiter.wait(), limiter.wait()]);
+
+    expect(clock).toBeGreaterThanOrEqual(1500);
+    expect(delay).toHaveBeenCalledWith(500);
+  });
+
+  test('shorter pauses do not cut a longer one short', async () => {
+    let clock = 0;
+    const delay = jest.fn(async ms => { clock += ms; });
+    const limiter = createRateLimiter({ now: () => clock, delay });
+
+    limiter.pause(1000);
+    limiter.pause(100);
+    await limiter.wait();
+
+    expect(clock).toBe(1000);
+  });
+});
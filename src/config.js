@@ -0,0 +1,390 @@
+const YAML = require("yaml");
+const { clampInt } = require("./utils");
+const { SEVERITIES, FAIL_GATE_OFF } = require("./findings");
+const { parsePatternList, parsePathInstructions } = require("./paths");
+const { STALE_COMMENT_ACTIONS } = require("./comments");
+const { FILE_CONTEXT_MODES } = require("./context");
+const { PERMISSION_LEVELS } = require("./commands");
+const { PROVIDERS, PROVIDER_NAMES, DEFAULT_PROVIDER, DEFAULT_AZURE_API_VERSION } = require("./providers");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// Looked up in order on the PR base branch when `config_path` is not set
+const DEFAULT_CONFIG_PATHS = [
+  ".github/ai-review.yml",
+  ".github/ai-review.yaml",
+  ".github/ai-review.json"
+];
+
+/**
+ * Settings that can come from action inputs or the repository config file.
+ * Keys match the action input names; resolveSettings returns them camelCased.
+ * Types: string, integer (clamped to min/max), boolean, enum, list (glob
+ * patterns), rules (per-path instructions), models (fallback endpoints) and
+ * prices (per-model token prices).
+ */
+const SETTINGS = {
+  provider: { type: "enum", values: PROVIDER_NAMES, default: DEFAULT_PROVIDER },
+  base_url: { type: "string", default: "" },
+  azure_deployment: { type: "string", default: "" },
+  azure_api_version: { type: "string", default: DEFAULT_AZURE_API_VERSION },
+  model: { type: "string", default: "" },
+  fallback_models: { type: "models", default: [] },
+  language: { type: "string", default: "Turkish" },
+  review_mode: { type: "enum", values: ["summary", "inline"], default: "summary" },
+  max_files: { type: "integer", default: 25, min: 1, max: 200 },
+  max_chars: { type: "integer", default: 120000, min: 10000, max: 500000 },
+  timeout_ms: { type: "integer", default: 60000, min: 5000, max: 600000 },
+  stream: { type: "boolean", default: false },
+  max_tokens: { type: "integer", default: 1024, min: 50, max: 8000 },
+  max_continuations: { type: "integer", default: 2, min: 0, max: 10 },
+  context_window: { type: "integer", default: 128000, min: 2048, max: 2000000 },
+  model_prices: { type: "prices", default: {} },
+  chunk_size_chars: { type: "integer", default: 12000, min: 1000, max: 50000 },
+  max_diff_chars_per_file: { type: "integer", default: 50000, min: 1000, max: 200000 },
+  file_context: { type: "enum", values: FILE_CONTEXT_MODES, default: "none" },
+  file_context_lines: { type: "integer", default: 30, min: 1, max: 1000 },
+  symbol_context: { type: "boolean", default: false },
+  symbol_context_refs: { type: "integer", default: 3, min: 1, max: 20 },
+  concurrency: { type: "integer", default: 1, min: 1, max: 16 },
+  fail_on_issues: { type: "boolean", default: false },
+  fail_on_severity: { type: "enum", values: [FAIL_GATE_OFF, ...SEVERITIES], default: "" },
+  extra_instructions: { type: "string", default: "" },
+  include_paths: { type: "list", default: [] },
+  exclude_paths: { type: "list", default: [] },
+  use_default_excludes: { type: "boolean", default: true },
+  path_instructions: { type: "rules", default: [] },
+  comment_marker: { type: "string", default: "AI_PR_REVIEW_ACTION" },
+  incremental: { type: "boolean", default: true },
+  stale_comments: { type: "enum", values: STALE_COMMENT_ACTIONS, default: "resolve" },
+  sarif_path: { type: "string", default: "" },
+  command_permission: { type: "enum", values: PERMISSION_LEVELS, default: "write" }
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Converts a snake_case setting key to camelCase.
+ * @param {string} key - Setting key (e.g. "max_files")
+ * @returns {string} camelCase key (e.g. "maxFiles")
+ */
+function camelCase(key) {
+  return key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Suggests the closest known setting key for a misspelled one.
+ * @param {string} key - Unknown key
+ * @returns {string|null} Closest known key, or null if nothing is close
+ */
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = 3;
+  for (const known of Object.keys(SETTINGS)) {
+    const d = editDistance(key, known);
+    if (d < bestDistance) {
+      best = known;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+// Keys allowed in a fallback_models entry
+const MODEL_ENTRY_KEYS = ["model", "provider", "base_url", "api_key", "api_key_env", "azure_deployment"];
+
+/**
+ * Validates a fallback_models list.
+ * Entries are mappings with at least a model, or a bare model name.
+ * @param {*} value - Parsed list
+ * @returns {{value: object[], error: string|null}} Normalized entries or an error message
+ */
+function normalizeModelList(value) {
+  if (!Array.isArray(value)) return { error: `"fallback_models" must be a list of models` };
+
+  const entries = [];
+  for (const [i, raw] of value.entries()) {
+    const entry = typeof raw === "string" ? { model: raw } : raw;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return { error: `"fallback_models[${i}]" must be a model name or a mapping` };
+    }
+    const unknown = Object.keys(entry).filter(k => !MODEL_ENTRY_KEYS.includes(k));
+    if (unknown.length > 0) {
+      return { error: `"fallback_models[${i}]" has unknown key "${unknown[0]}" (allowed: ${MODEL_ENTRY_KEYS.join(", ")})` };
+    }
+    if (!Object.values(entry).every(v => typeof v === "string")) {
+      return { error: `"fallback_models[${i}]" values must be strings` };
+    }
+    if (!entry.model || !entry.model.trim()) return { error: `"fallback_models[${i}]" is missing "model"` };
+    if (entry.provider && !PROVIDER_NAMES.includes(entry.provider)) {
+      return { error: `"fallback_models[${i}].provider" must be one of: ${PROVIDER_NAMES.join(", ")}` };
+    }
+    entries.push(Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, v.trim()])));
+  }
+  return { value: entries };
+}
+
+/**
+ * Validates a model_prices table.
+ * @param {*} value - Parsed mapping of model name to {input, output} USD per million tokens
+ * @returns {{value: object, error: string|null}} Normalized table or an error message
+ */
+function normalizePriceTable(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: `"model_prices" must be a mapping of model names to {input, output} prices` };
+  }
+
+  const prices = {};
+  for (const [model, price] of Object.entries(value)) {
+    const valid = price && typeof price === "object" &&
+      ["input", "output"].every(k => typeof price[k] === "number" && price[k] >= 0);
+    if (!valid) {
+      return { error: `"model_prices.${model}" must have non-negative numeric "input" and "output" prices` };
+    }
+    prices[model] = { input: price.input, output: price.output };
+  }
+  return { value: prices };
+}
+
+// ============================================================================
+// Config File Parsing & Validation
+// ============================================================================
+
+/**
+ * Parses the text of a config file as JSON (for .json paths) or YAML.
+ * @param {string} text - Raw file content
+ * @param {string} path - File path, used to pick the format and in errors
+ * @returns {object} Parsed top-level mapping (empty for an empty file)
+ * @throws {Error} If the file cannot be parsed or is not a mapping
+ */
+function parseConfigText(text, path) {
+  let data;
+  try {
+    data = path.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new Error(`Failed to parse ${path}: ${err.message}`);
+  }
+
+  if (data === null || data === undefined) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Invalid config in ${path}: top level must be a mapping of settings`);
+  }
+  return data;
+}
+
+/**
+ * Validates and normalizes one config file value against its setting definition.
+ * @param {string} key - Setting key
+ * @param {*} value - Raw value from the file
+ * @returns {{value: *, error: string|null}} Normalized value or an error message
+ */
+function normalizeFileValue(key, value) {
+  const def = SETTINGS[key];
+
+  switch (def.type) {
+    case "string":
+      if (typeof value !== "string") return { error: `"${key}" must be a string` };
+      return { value: value.trim() };
+
+    case "integer":
+      if (!Number.isInteger(value)) return { error: `"${key}" must be an integer` };
+      return { value: Math.max(def.min, Math.min(def.max, value)) };
+
+    case "boolean":
+      if (typeof value !== "boolean") return { error: `"${key}" must be true or false` };
+      return { value };
+
+    case "enum": {
+      const normalized = typeof value === "string" ? value.trim().toLowerCase() : value;
+      if (!def.values.includes(normalized)) {
+        return { error: `"${key}" must be one of: ${def.values.join(", ")}` };
+      }
+      return { value: normalized };
+    }
+
+    case "list":
+      if (typeof value === "string") return { value: parsePatternList(value) };
+      if (!Array.isArray(value) || !value.every(v => typeof v === "string")) {
+        return { error: `"${key}" must be a list of glob patterns` };
+      }
+      return { value: value.map(v => v.trim()).filter(Boolean) };
+
+    case "rules":
+      if (!value || typeof value !== "object" || Array.isArray(value) ||
+          !Object.values(value).every(v => typeof v === "string")) {
+        return { error: `"${key}" must be a mapping of glob patterns to instructions` };
+      }
+      return { value: Object.entries(value).map(([pattern, instruction]) => ({ pattern, instruction: instruction.trim() })) };
+
+    case "models":
+      return normalizeModelList(value);
+
+    case "prices":
+      return normalizePriceTable(value);
+
+    default:
+      return { error: `"${key}" has unsupported type ${def.type}` };
+  }
+}
+
+/**
+ * Validates a parsed config file, collecting every problem before failing.
+ * @param {object} data - Parsed config mapping
+ * @param {string} path - File path for error messages
+ * @returns {object} Normalized settings keyed by snake_case name
+ * @throws {Error} Listing all unknown keys and invalid values
+ */
+function validateConfig(data, path) {
+  const config = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!(key in SETTINGS)) {
+      const suggestion = suggestKey(key);
+      errors.push(`unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`);
+      continue;
+    }
+    const result = normalizeFileValue(key, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      config[key] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${path}:\n${errors.map(e => `- ${e}`).join("\n")}`);
+  }
+  return config;
+}
+
+// ============================================================================
+// Settings Resolution
+// ============================================================================
+
+/**
+ * Parses a non-empty action input string according to its setting definition.
+ * Integers keep the historical lenient behaviour (fall back to the default).
+ * @param {string} key - Setting key
+ * @param {string} raw - Trimmed input value
+ * @returns {*} Parsed value
+ * @throws {Error} If an enum input has an unknown value or a models list or price table is invalid
+ */
+function parseInputValue(key, raw) {
+  const def = SETTINGS[key];
+
+  switch (def.type) {
+    case "integer":
+      return clampInt(raw, def.default, def.min, def.max);
+    case "boolean":
+      return raw.toLowerCase() === "true";
+    case "enum": {
+      const normalized = raw.toLowerCase();
+      if (!def.values.includes(normalized)) {
+        throw new Error(`Invalid ${key} "${raw}" (expected one of: ${def.values.join(", ")})`);
+      }
+      return normalized;
+    }
+    case "list":
+      return parsePatternList(raw);
+    case "rules":
+      return parsePathInstructions(raw);
+    case "models": {
+      let parsed;
+      try {
+        parsed = YAML.parse(raw);
+      } catch (err) {
+        throw new Error(`Invalid ${key}: ${err.message}`);
+      }
+      // A plain "a, b" value parses as a string: treat it as a list of model names
+      const result = normalizeModelList(typeof parsed === "string" ? parsePatternList(parsed) : parsed);
+      if (result.error) throw new Error(`Invalid ${key}: ${result.error}`);
+      return result.value;
+    }
+    case "prices": {
+      let parsed;
+      try {
+        parsed = YAML.parse(raw);
+      } catch (err) {
+        throw new Error(`Invalid ${key}: ${err.message}`);
+      }
+      const result = normalizePriceTable(parsed);
+      if (result.error) throw new Error(`Invalid ${key}: ${result.error}`);
+      return result.value;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Resolves the effective settings for a run.
+ * Precedence: non-empty action input, then config file value, then default.
+ * base_url falls back to the provider's public endpoint when it has one.
+ * @param {Function} getInput - Input reader, e.g. core.getInput
+ * @param {object} [fileConfig={}] - Validated config file settings
+ * @returns {object} Settings keyed by camelCase name
+ * @throws {Error} If base_url (with no provider default) or model is missing
+ */
+function resolveSettings(getInput, fileConfig = {}) {
+  const settings = {};
+
+  for (const [key, def] of Object.entries(SETTINGS)) {
+    const raw = (getInput(key) || "").trim();
+    let value;
+    if (raw) {
+      value = parseInputValue(key, raw);
+    } else if (key in fileConfig) {
+      value = fileConfig[key];
+    } else {
+      value = def.default;
+    }
+    settings[camelCase(key)] = value;
+  }
+
+  settings.baseUrl = (settings.baseUrl || PROVIDERS[settings.provider].defaultBaseUrl).replace(/\/+$/, "");
+  for (const key of ["base_url", "model"]) {
+    if (!settings[camelCase(key)]) {
+      throw new Error(`${key} is required (set the "${key}" input or add it to the config file)`);
+    }
+  }
+
+  return settings;
+}
+
+module.exports = {
+  camelCase,
+  editDistance,
+  suggestKey,
+  parseConfigText,
+  normalizeModelList,
+  normalizePriceTable,
+  normalizeFileValue,
+  validateConfig,
+  parseInputValue,
+  resolveSettings,
+  SETTINGS,
+  DEFAULT_CONFIG_PATHS
+};
@@ -0,0 +1,219 @@
+const {
+  camelCase,
+  editDistance,
+  suggestKey,
+  parseConfigText,
+  normalizeFileValue,
+  validateConfig,
+  parseInputValue,
+  resolveSettings,
+  SETTINGS
+} = require('./config');
+
+const inputs = (values) => (name) => values[name] ?? '';
+
+describe('camelCase', () => {
+  test('converts snake_case keys', () => {
+    expect(camelCase('max_diff_chars_per_file')).toBe('maxDiffCharsPerFile');
+    expect(camelCase('model')).toBe('model');
+  });
+});
+
+describe('editDistance', () => {
+  test('computes Levenshtein distance', () => {
+    expect(editDistance('model', 'model')).toBe(0);
+    expect(editDistance('modle', 'model')).toBe(2);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('suggestKey', () => {
+  test('suggests close known keys', () => {
+    expect(suggestKey('max_file')).toBe('max_files');
+    expect(suggestKey('langauge')).toBe('language');
+  });
+
+  test('returns null when nothing is close', () => {
+    expect(suggestKey('completely_unrelated')).toBeNull();
+  });
+});
+
+describe('parseConfigText', () => {
+  test('parses YAML', () => {
+    expect(parseConfigText('model: gpt-4o\nmax_files: 10\n', '.github/ai-review.yml'))
+      .toEqual({ model: 'gpt-4o', max_files: 10 });
+  });
+
+  test('parses JSON for .json paths', () => {
+    expect(parseConfigText('{"model": "gpt-4o"}', '.github/ai-review.json')).toEqual({ model: 'gpt-4o' });
+  });
+
+  test('returns empty object for empty files', () => {
+    expect(parseConfigText('', 'a.yml')).toEqual({});
+    expect(parseConfigText('# only a comment\n', 'a.yml')).toEqual({});
+  });
+
+  test('throws with the path on syntax errors', () => {
+    expect(() => parseConfigText('{bad', 'cfg.json')).toThrow(/^Failed to parse cfg.json/);
+    expect(() => parseConfigText('a: [1, 2', 'cfg.yml')).toThrow(/^Failed to parse cfg.yml/);
+  });
+
+  test('throws when the top level is not a mapping', () => {
+    expect(() => parseConfigText('- a\n- b\n', 'cfg.yml')).toThrow('top level must be a mapping');
+  });
+});
+
+describe('normalizeFileValue', () => {
+  test('validates strings', () => {
+    expect(normalizeFileValue('model', ' gpt-4o ')).toEqual({ value: 'gpt-4o' });
+    expect(normalizeFileValue('model', 4).error).toBe('"model" must be a string');
+  });
+
+  test('validates fallback model lists', () => {
+    expect(normalizeFileValue('fallback_models', ['small', { model: 'claude', provider: 'anthropic', api_key_env: 'KEY' }]))
+      .toEqual({ value: [{ model: 'small' }, { model: 'claude', provider: 'anthropic', api_key_env: 'KEY' }] });
+    expect(normalizeFileValue('fallback_models', 'small').error).toBe('"fallback_models" must be a list of models');
+    expect(normalizeFileValue('fallback_models', [{ provider: 'ollama' }]).error).toBe('"fallback_models[0]" is missing "model"');
+    expect(normalizeFileValue('fallback_models', [{ model: 'x', provider: 'nope' }]).error).toContain('provider" must be one of');
+    expect(normalizeFileValue('fallback_models', [{ model: 'x', url: 'y' }]).error).toContain('unknown key "url"');
+  });
+
+  test('validates model price tables', () => {
+    expect(normalizeFileValue('model_prices', { 'gpt-4o': { input: 2.5, output: 10 } }))
+      .toEqual({ value: { 'gpt-4o': { input: 2.5, output: 10 } } });
+    expect(normalizeFileValue('model_prices', ['gpt-4o']).error).toContain('must be a mapping');
+    expect(normalizeFileValue('model_prices', { m: { input: 1 } }).error).toBe('"model_prices.m" must have non-negative numeric "input" and "output" prices');
+    expect(normalizeFileValue('model_prices', { m: { input: -1, output: 1 } }).error).toContain('non-negative');
+  });
+
+  test('validates and clamps integers', () => {
+    expect(normalizeFileValue('max_files', 10)).toEqual({ value: 10 });
+    expect(normalizeFileValue('max_files', 1000)).toEqual({ value: SETTINGS.max_files.max });
+    expect(normalizeFileValue('max_files', '10').error).toBe('"max_files" must be an integer');
+    expect(normalizeFileValue('max_files', 1.5).error).toBe('"max_files" must be an integer');
+  });
+
+  test('validates booleans', () => {
+    expect(normalizeFileValue('fail_on_issues', true)).toEqual({ value: true });
+    expect(normalizeFileValue('fail_on_issues', 'yes').error).toBe('"fail_on_issues" must be true or false');
+  });
+
+  test('validates enums', () => {
+    expect(normalizeFileValue('review_mode', 'Inline')).toEqual({ value: 'inline' });
+    expect(normalizeFileValue('fail_on_severity', 'major')).toEqual({ value: 'major' });
+    expect(normalizeFileValue('review_mode', 'full').error).toBe('"review_mode" must be one of: summary, inline');
+  });
+
+  test('accepts lists as arrays or strings', () => {
+    expect(normalizeFileValue('include_paths', ['src/**', ' lib/** '])).toEqual({ value: ['src/**', 'lib/**'] });
+    expect(normalizeFileValue('include_paths', 'src/**, lib/**')).toEqual({ value: ['src/**', 'lib/**'] });
+    expect(normalizeFileValue('include_paths', [1]).error).toBe('"include_paths" must be a list of glob patterns');
+  });
+
+  test('accepts path instructions as a mapping', () => {
+    expect(normalizeFileValue('path_instructions', { 'migrations/**': 'Check reversibility' }))
+      .toEqual({ value: [{ pattern: 'migrations/**', instruction: 'Check reversibility' }] });
+    expect(normalizeFileValue('path_instructions', ['x']).error)
+      .toBe('"path_instructions" must be a mapping of glob patterns to instructions');
+  });
+});
+
+describe('validateConfig', () => {
+  test('returns normalized settings', () => {
+    expect(validateConfig({ model: 'gpt-4o', review_mode: 'inline' }, 'cfg.yml'))
+      .toEqual({ model: 'gpt-4o', review_mode: 'inline' });
+  });
+
+  test('reports unknown keys with suggestions', () => {
+    expect(() => validateConfig({ modle: 'x' }, 'cfg.yml'))
+      .toThrow('Invalid config in cfg.yml:\n- unknown key "modle" (did you mean "model"?)');
+  });
+
+  test('reports every problem at once', () => {
+    let message;
+    try {
+      validateConfig({ api_key: 'secret', max_files: 'ten', review_mode: 'full' }, 'cfg.yml');
+    } catch (err) {
+      message = err.message;
+    }
+    expect(message).toContain('- unknown key "api_key"');
+    expect(message).toContain('- "max_files" must be an integer');
+    expect(message).toContain('- "review_mode" must be one of: summary, inline');
+  });
+});
+
+describe('parseInputValue', () => {
+  test('keeps lenient integer parsing for inputs', () => {
+    expect(parseInputValue('max_files', 'abc')).toBe(SETTINGS.max_files.default);
+    expect(parseInputValue('max_files', '500')).toBe(SETTINGS.max_files.max);
+  });
+
+  test('parses booleans, lists and rules', () => {
+    expect(parseInputValue('fail_on_issues', 'TRUE')).toBe(true);
+    expect(parseInputValue('exclude_paths', 'a/**\nb/**')).toEqual(['a/**', 'b/**']);
+    expect(parseInputValue('path_instructions', 'a/**: Do X')).toEqual([{ pattern: 'a/**', instruction: 'Do X' }]);
+  });
+
+  test('parses fallback models from YAML or a plain list', () => {
+    expect(parseInputValue('fallback_models', '- model: a\n  base_url: http://x/v1\n- b')).toEqual([
+      { model: 'a', base_url: 'http://x/v1' },
+      { model: 'b' }
+    ]);
+    expect(parseInputValue('fallback_models', 'a, b')).toEqual([{ model: 'a' }, { model: 'b' }]);
+    expect(() => parseInputValue('fallback_models', '- {}')).toThrow('Invalid fallback_models');
+  });
+
+  test('parses model prices from YAML', () => {
+    expect(parseInputValue('model_prices', 'gpt-4o: { input: 2.5, output: 10 }')).toEqual({ 'gpt-4o': { input: 2.5, output: 10 } });
+    expect(() => parseInputValue('model_prices', 'gpt-4o: 3')).toThrow('Invalid model_prices');
+  });
+
+  test('throws for unknown enum values', () => {
+    expect(() => parseInputValue('review_mode', 'full')).toThrow('Invalid review_mode "full"');
+  });
+});
+
+describe('resolveSettings', () => {
+  const required = { base_url: 'http://localhost:1234/v1/', model: 'm' };
+
+  test('applies defaults', () => {
+    const settings = resolveSettings(inputs(required));
+    expect(settings.language).toBe('Turkish');
+    expect(settings.reviewMode).toBe('summary');
+    expect(settings.maxFiles).toBe(25);
+    expect(settings.useDefaultExcludes).toBe(true);
+    expect(settings.commentMarker).toBe('AI_PR_REVIEW_ACTION');
+  });
+
+  test('strips trailing slashes from base_url', () => {
+    expect(resolveSettings(inputs(required)).baseUrl).toBe('http://localhost:1234/v1');
+  });
+
+  test('uses config file values when inputs are empty', () => {
+    const settings = resolveSettings(inputs(required), { language: 'English', max_files: 5 });
+    expect(settings.language).toBe('English');
+    expect(settings.maxFiles).toBe(5);
+  });
+
+  test('inputs take precedence over config file values', () => {
+    const settings = resolveSettings(inputs({ ...required, language: 'German' }), { language: 'English' });
+    expect(settings.language).toBe('German');
+  });
+
+  test('reads required settings from the config file', () => {
+    const settings = resolveSettings(inputs({}), { base_url: 'http://x/v1', model: 'from-file' });
+    expect(settings.model).toBe('from-file');
+  });
+
+  test('falls back to the provider base URL', () => {
+    const settings = resolveSettings(inputs({ provider: 'anthropic', model: 'claude' }));
+    expect(settings.provider).toBe('anthropic');
+    expect(settings.baseUrl).toBe('https://api.anthropic.com/v1');
+    expect(resolveSettings(inputs(required)).provider).toBe('openai-compatible');
+  });
+
+  test('throws when required settings are missing everywhere', () => {
+    expect(() => resolveSettings(inputs({ model: 'm' }))).toThrow('base_url is required');
+    expect(() => resolveSettings(inputs({ base_url: 'http://x' }))).toThrow('model is required');
+  });
+});
@@ -0,0 +1,132 @@
+const { parsePatch } = require("./diff");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// "none" sends only the diff; "surrounding" adds lines around each hunk; "full" the whole file
+const FILE_CONTEXT_MODES = ["none", "surrounding", "full"];
+
+// Share of the diff budget left to file context when a diff is chunked
+const CONTEXT_BUDGET_SHARE = 0.5;
+
+// ============================================================================
+// File Context
+// ============================================================================
+
+/**
+ * Returns the new-file lines a patch adds or changes.
+ * @param {string|null|undefined} patch - The diff patch to analyze
+ * @returns {Set<number>} Added line numbers
+ */
+function getAddedLines(patch) {
+  const lines = new Set();
+  for (const hunk of parsePatch(patch)) {
+    for (const l of hunk.lines) {
+      if (l.type === "add") lines.add(l.newLine);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Computes the new-file line ranges to show around each hunk of a patch.
+ * Overlapping or touching ranges are merged.
+ * @param {string|null|undefined} patch - The diff patch to analyze
+ * @param {number} lineCount - Lines in the new version of the file
+ * @param {number} contextLines - Lines to show before and after each hunk
+ * @returns {Array<{start: number, end: number}>} Ranges in file order (1-indexed, inclusive)
+ */
+function getContextRanges(patch, lineCount, contextLines) {
+  const ranges = [];
+
+  for (const hunk of parsePatch(patch)) {
+    const start = Math.max(1, hunk.newStart - contextLines);
+    const end = Math.min(lineCount, hunk.newStart + Math.max(hunk.newLines, 1) - 1 + contextLines);
+    if (start > end) continue;
+
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else ranges.push({ start, end });
+  }
+
+  return ranges;
+}
+
+/**
+ * Splits file content into lines, ignoring the final line break.
+ * @param {string} content - File content
+ * @returns {string[]} Lines of the file
+ */
+function splitLines(content) {
+  const lines = content.split("\n").map(l => l.replace(/\r$/, ""));
+  if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Renders parts of a file with line numbers. Lines the patch adds are marked
+ * with ">" and skipped regions are noted, so the model can tell the change
+ * from its surroundings.
+ * @param {string[]} lines - Lines of the new version of the file
+ * @param {Set<number>} added - Line numbers the patch adds
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to show, in file order
+ * @returns {string} Numbered file excerpt
+ */
+function renderFileContext(lines, added, ranges) {
+  const width = String(lines.length).length;
+  const out = [];
+  let next = 1;
+
+  for (const { start, end } of ranges) {
+    if (start > next) out.push(`... (lines ${next}-${start - 1} not shown)`);
+    for (let n = start; n <= end; n++) {
+      out.push(`${added.has(n) ? ">" : " "} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+    next = end + 1;
+  }
+  if (next <= lines.length) out.push(`... (lines ${next}-${lines.length} not shown)`);
+
+  return out.join("\n");
+}
+
+/**
+ * Builds the file context for a diff within a token budget.
+ * "full" falls back to surrounding lines when the file does not fit, and
+ * surrounding lines are halved until the excerpt fits.
+ * @param {object} params - Context parameters
+ * @param {string} params.content - New version of the file
+ * @param {string} params.patch - Diff (or diff chunk) being reviewed
+ * @param {string} params.mode - One of FILE_CONTEXT_MODES
+ * @param {number} params.contextLines - Lines to show around each hunk in "surrounding" mode
+ * @param {number} params.maxTokens - Tokens available for the context
+ * @param {Function} params.countTokens - Counts the tokens in a text
+ * @returns {{text: string, mode: string}|null} Context and the mode that fit, or null if none fits
+ */
+function buildFileContext({ content, patch, mode, contextLines, maxTokens, countTokens }) {
+  if (mode === "none" || !content) return null;
+
+  const lines = splitLines(content);
+  const added = getAddedLines(patch);
+
+  if (mode === "full") {
+    const text = renderFileContext(lines, added, [{ start: 1, end: lines.length }]);
+    if (countTokens(text) <= maxTokens) return { text, mode: "full" };
+  }
+
+  for (let n = contextLines; n >= 1; n = Math.floor(n / 2)) {
+    const text = renderFileContext(lines, added, getContextRanges(patch, lines.length, n));
+    if (countTokens(text) <= maxTokens) return { text, mode: "surrounding" };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getAddedLines,
+  getContextRanges,
+  renderFileContext,
+  buildFileContext,
+  FILE_CONTEXT_MODES,
+  CONTEXT_BUDGET_SHARE
+};
@@ -0,0 +1,102 @@
+const {
+  getAddedLines,
+  getContextRanges,
+  renderFileContext,
+  buildFileContext
+} = require('./context');
+
+// 20-line file; the patch changes line 5 and adds line 15
+const content = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+const patch = [
+  '@@ -4,3 +4,3 @@',
+  ' line 4',
+  '-old 5',
+  '+line 5',
+  ' line 6',
+  '@@ -13,2 +13,3 @@',
+  ' line 13',
+  ' line 14',
+  '+line 15'
+].join('\n');
+
+// One token per line keeps budgets easy to reason about
+const countTokens = text => text.split('\n').length;
+
+describe('getAddedLines', () => {
+  test('returns the new-file numbers of added lines', () => {
+    expect([...getAddedLines(patch)]).toEqual([5, 15]);
+  });
+
+  test('is empty for a missing patch', () => {
+    expect(getAddedLines(undefined).size).toBe(0);
+  });
+});
+
+describe('getContextRanges', () => {
+  test('widens each hunk and clamps to the file', () => {
+    expect(getContextRanges(patch, 20, 2)).toEqual([{ start: 2, end: 8 }, { start: 11, end: 17 }]);
+    expect(getContextRanges(patch, 16, 1)).toEqual([{ start: 3, end: 7 }, { start: 12, end: 16 }]);
+  });
+
+  test('merges overlapping ranges', () => {
+    expect(getContextRanges(patch, 20, 4)).toEqual([{ start: 1, end: 19 }]);
+  });
+
+  test('shows the position of a deletion-only hunk', () => {
+    expect(getContextRanges('@@ -3,1 +2,0 @@\n-gone', 20, 1)).toEqual([{ start: 1, end: 3 }]);
+  });
+});
+
+describe('renderFileContext', () => {
+  const lines = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'];
+
+  test('numbers lines, marks added ones and notes skipped regions', () => {
+    expect(renderFileContext(lines, new Set([3]), [{ start: 2, end: 4 }, { start: 8, end: 8 }])).toBe([
+      '... (lines 1-1 not shown)',
+      '   2 | b',
+      '>  3 | c',
+      '   4 | d',
+      '... (lines 5-7 not shown)',
+      '   8 | h',
+      '... (lines 9-11 not shown)'
+    ].join('\n'));
+  });
+
+  test('renders the whole file without gap notes', () => {
+    expect(renderFileContext(['a', 'b'], new Set(), [{ start: 1, end: 2 }])).toBe('  1 | a\n  2 | b');
+  });
+});
+
+describe('buildFileContext', () => {
+  const params = { content, patch, contextLines: 2, maxTokens: 100, countTokens };
+
+  test('returns null when disabled or the file is unknown', () => {
+    expect(buildFileContext({ ...params, mode: 'none' })).toBeNull();
+    expect(buildFileContext({ ...params, mode: 'full', content: null })).toBeNull();
+  });
+
+  test('includes the whole file in full mode when it fits', () => {
+    const context = buildFileContext({ ...params, mode: 'full' });
+    expect(context.mode).toBe('full');
+    expect(context.text.split('\n')).toHaveLength(20);
+    expect(context.text).toContain('>  5 | line 5');
+    expect(context.text).toContain('   6 | line 6');
+  });
+
+  test('falls back to surrounding lines when the file does not fit', () => {
+    const context = buildFileContext({ ...params, mode: 'full', maxTokens: 18 });
+    expect(context.mode).toBe('surrounding');
+    expect(context.text).toContain('... (lines 1-1 not shown)');
+  });
+
+  test('shrinks the surrounding lines to fit the budget', () => {
+    const context = buildFileContext({ ...params, mode: 'surrounding', contextLines: 8, maxTokens: 17 });
+    expect(context.text).toContain('... (lines 1-1 not shown)');
+    expect(context.text).toContain('... (lines 9-10 not shown)');
+    expect(countTokens(context.text)).toBeLessThanOrEqual(17);
+  });
+
+  test('returns null when nothing fits', () => {
+    expect(buildFileContext({ ...params, mode: 'surrounding', maxTokens: 3 })).toBeNull();
+  });
+});
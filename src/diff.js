@@ -0,0 +1,306 @@
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// Lines repeated at the start of each piece when an oversized hunk is split
+const DEFAULT_CHUNK_CONTEXT_LINES = 3;
+
+// Allowance for the synthesized "@@ ... @@" header of a split piece
+const HUNK_HEADER_ALLOWANCE = 64;
+const HUNK_HEADER_TOKEN_ALLOWANCE = 32;
+
+// ============================================================================
+// Unified Diff Parsing
+// ============================================================================
+
+const HUNK_HEADER_RE = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Parses a unified diff patch (as returned by the GitHub files API) into hunks.
+ * Each line records its old/new file line numbers; added lines have no old
+ * line and deleted lines have no new line.
+ * @param {string|null|undefined} patch - The diff patch to parse
+ * @returns {object[]} Hunks: {oldStart, oldLines, newStart, newLines, header, section, lines}
+ */
+function parsePatch(patch) {
+  if (!patch) return [];
+
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const rawLines = patch.split("\n");
+  for (const [i, raw] of rawLines.entries()) {
+    const header = raw.match(HUNK_HEADER_RE);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        header: raw,
+        section: header[5],
+        lines: []
+      };
+      hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      continue;
+    }
+
+    // Skip file headers and anything before the first hunk
+    if (!hunk || raw.startsWith("+++") || raw.startsWith("---")) continue;
+    // "\ No newline at end of file" markers don't correspond to a file line
+    if (raw.startsWith("\\")) continue;
+
+    const marker = raw[0];
+    const content = raw.slice(1);
+    if (marker === "+") {
+      hunk.lines.push({ type: "add", content, oldLine: null, newLine: newLine++ });
+    } else if (marker === "-") {
+      hunk.lines.push({ type: "del", content, oldLine: oldLine++, newLine: null });
+    } else if (marker === " " || raw === "") {
+      // Trailing empty string from a final newline is not a context line,
+      // even when the patch was cut before the hunk ended
+      const hunkDone = oldLine >= hunk.oldStart + hunk.oldLines && newLine >= hunk.newStart + hunk.newLines;
+      if (raw === "" && (hunkDone || i === rawLines.length - 1)) continue;
+      hunk.lines.push({ type: "context", content, oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Returns the new-file line numbers that can receive a RIGHT-side review comment.
+ * GitHub only accepts comments on lines that appear in the diff (added or context).
+ * @param {string|null|undefined} patch - The diff patch to analyze
+ * @returns {Set<number>} Commentable new-file line numbers
+ */
+function getCommentableLines(patch) {
+  const lines = new Set();
+  for (const hunk of parsePatch(patch)) {
+    for (const l of hunk.lines) {
+      if (l.newLine !== null) lines.add(l.newLine);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Checks whether a range of new-file lines can carry a multi-line RIGHT-side
+ * review comment: GitHub requires every line to be in the diff, in one hunk.
+ * @param {string|null|undefined} patch - The diff patch to analyze
+ * @param {number} start - First line of the range in the new version of the file
+ * @param {number} end - Last line of the range (inclusive)
+ * @returns {boolean} True if the whole range is on the right side of a single hunk
+ */
+function isRightSideRange(patch, start, end) {
+  if (!(start >= 1) || !(end >= start)) return false;
+  return parsePatch(patch).some(hunk => {
+    const lines = new Set(hunk.lines.filter(l => l.newLine !== null).map(l => l.newLine));
+    for (let line = start; line <= end; line++) {
+      if (!lines.has(line)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Finds an anchor for comments that cannot be placed on a specific line.
+ * Prefers the first added line, then the first deleted line (LEFT side),
+ * then the first line of the diff.
+ * @param {string|null|undefined} patch - The diff patch to analyze
+ * @returns {{line: number, side: string}|null} Anchor, or null for an empty patch
+ */
+function getFallbackAnchor(patch) {
+  const lines = parsePatch(patch).flatMap(h => h.lines);
+  const added = lines.find(l => l.type === "add");
+  if (added) return { line: added.newLine, side: "RIGHT" };
+  const deleted = lines.find(l => l.type === "del");
+  if (deleted) return { line: deleted.oldLine, side: "LEFT" };
+  const first = lines.find(l => l.newLine !== null);
+  if (first) return { line: first.newLine, side: "RIGHT" };
+  return null;
+}
+
+/**
+ * Returns the content of a new-file line if it appears in the diff.
+ * @param {string|null|undefined} patch - The diff patch to search
+ * @param {number} line - Line number in the new version of the file
+ * @returns {string|null} Line content without the diff marker, or null if not in the diff
+ */
+function getNewLineContent(patch, line) {
+  for (const hunk of parsePatch(patch)) {
+    const match = hunk.lines.find(l => l.newLine === line);
+    if (match) return match.content;
+  }
+  return null;
+}
+
+/**
+ * Maps a line number in the old version of a file to the new version.
+ * Lines outside any hunk are shifted by the net lines added above them;
+ * context lines map directly; deleted lines have no new position.
+ * @param {string|null|undefined} patch - Diff from the old to the new version
+ * @param {number} oldLine - Line number in the old version
+ * @returns {number|null} Line number in the new version, or null if the line was removed or changed
+ */
+function mapOldLineToNew(patch, oldLine) {
+  let offset = 0;
+
+  for (const hunk of parsePatch(patch)) {
+    // A pure insertion ("-5,0") goes after oldStart, so oldStart itself is unaffected
+    const insertionOnly = hunk.oldLines === 0;
+    if (insertionOnly ? oldLine <= hunk.oldStart : oldLine < hunk.oldStart) break;
+
+    const hunkEnd = hunk.oldStart + hunk.oldLines;
+    if (oldLine < hunkEnd) {
+      const match = hunk.lines.find(l => l.oldLine === oldLine);
+      return match && match.type === "context" ? match.newLine : null;
+    }
+    offset += hunk.newLines - hunk.oldLines;
+  }
+
+  return oldLine + offset;
+}
+
+// ============================================================================
+// Hunk-Aware Chunking
+// ============================================================================
+
+const LINE_MARKERS = { add: "+", del: "-", context: " " };
+
+/**
+ * Renders a slice of a hunk's lines.
+ * A whole hunk keeps its original header; a partial slice gets a recomputed one.
+ * @param {object} hunk - Parsed hunk
+ * @param {number} from - Index of the first line in hunk.lines
+ * @param {number} to - Index after the last line
+ * @returns {{text: string, lines: object[]}} Rendered piece and its lines
+ */
+function renderHunkSlice(hunk, from, to) {
+  const lines = hunk.lines.slice(from, to);
+  let header = hunk.header;
+
+  if (from > 0 || to < hunk.lines.length) {
+    // Empty ranges point at the line before, as in standard unified diffs
+    const before = hunk.lines.slice(0, from);
+    const oldCursor = (hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart) + before.filter(l => l.oldLine !== null).length;
+    const newCursor = (hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart) + before.filter(l => l.newLine !== null).length;
+    const oldCount = lines.filter(l => l.oldLine !== null).length;
+    const newCount = lines.filter(l => l.newLine !== null).length;
+    const oldStart = oldCount === 0 ? oldCursor - 1 : oldCursor;
+    const newStart = newCount === 0 ? newCursor - 1 : newCursor;
+    header = `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@${hunk.section}`;
+  }
+
+  return {
+    text: [header, ...lines.map(l => LINE_MARKERS[l.type] + l.content)].join("\n"),
+    lines
+  };
+}
+
+/**
+ * Splits a hunk into pieces that fit the size limits, breaking only between lines.
+ * Each piece after the first repeats the last `contextLines` lines of the
+ * previous piece and gets its own hunk header.
+ * @param {object} hunk - Parsed hunk
+ * @param {object} limits - Size limits
+ * @param {number} limits.maxChars - Maximum characters per piece
+ * @param {number} limits.maxTokens - Maximum tokens per piece
+ * @param {Function} limits.countTokens - Token counter (text) => number
+ * @param {number} contextLines - Lines of overlap between pieces
+ * @returns {{text: string, lines: object[]}[]} Pieces
+ */
+function splitHunk(hunk, { maxChars, maxTokens, countTokens }, contextLines) {
+  const whole = renderHunkSlice(hunk, 0, hunk.lines.length);
+  if (hunk.lines.length <= 1 || (whole.text.length <= maxChars && countTokens(whole.text) <= maxTokens)) {
+    return [whole];
+  }
+
+  const charBudget = Math.max(1, maxChars - HUNK_HEADER_ALLOWANCE);
+  const tokenBudget = Math.max(1, maxTokens - HUNK_HEADER_TOKEN_ALLOWANCE);
+  const costs = hunk.lines.map(l => ({ chars: l.content.length + 2, tokens: countTokens(LINE_MARKERS[l.type] + l.content) + 1 }));
+  const pieces = [];
+  let from = 0;
+
+  while (from < hunk.lines.length) {
+    let to = from;
+    let chars = 0;
+    let tokens = 0;
+    while (to < hunk.lines.length &&
+      (to === from || (chars + costs[to].chars <= charBudget && tokens + costs[to].tokens <= tokenBudget))) {
+      chars += costs[to].chars;
+      tokens += costs[to].tokens;
+      to++;
+    }
+    pieces.push(renderHunkSlice(hunk, from, to));
+    if (to >= hunk.lines.length) break;
+    // Overlap for context, but always make progress
+    from = Math.max(from + 1, to - contextLines);
+  }
+
+  return pieces;
+}
+
+/**
+ * Splits a patch into chunks on hunk boundaries.
+ * Whole hunks are packed into chunks up to the size limits; a single oversized
+ * hunk is split on line boundaries with a repeated header and some context.
+ * Each chunk reports the new-file line range it covers.
+ * @param {string|null|undefined} patch - The diff patch to split
+ * @param {number} maxChars - Maximum characters per chunk
+ * @param {object} [options] - Chunking options
+ * @param {number} [options.contextLines=DEFAULT_CHUNK_CONTEXT_LINES] - Overlap when splitting a hunk
+ * @param {number} [options.maxTokens=Infinity] - Maximum tokens per chunk
+ * @param {Function} [options.countTokens] - Token counter (text) => number, required with maxTokens
+ * @returns {{text: string, startLine: number|null, endLine: number|null}[]} Chunks
+ */
+function chunkPatch(patch, maxChars, { contextLines = DEFAULT_CHUNK_CONTEXT_LINES, maxTokens = Infinity, countTokens = () => 0 } = {}) {
+  if (!patch) return [];
+  const hunks = parsePatch(patch);
+  if (hunks.length === 0) return [{ text: patch, startLine: null, endLine: null }];
+
+  const pieces = hunks.flatMap(h => splitHunk(h, { maxChars, maxTokens, countTokens }, contextLines));
+  const groups = [];
+  let current = [];
+  let chars = 0;
+  let tokens = 0;
+
+  for (const piece of pieces) {
+    const pieceChars = piece.text.length + 1;
+    const pieceTokens = countTokens(piece.text) + 1;
+    if (current.length > 0 && (chars + pieceChars > maxChars + 1 || tokens + pieceTokens > maxTokens + 1)) {
+      groups.push(current);
+      current = [];
+      chars = 0;
+      tokens = 0;
+    }
+    chars += pieceChars;
+    tokens += pieceTokens;
+    current.push(piece);
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups.map(group => {
+    const newLines = group.flatMap(p => p.lines).map(l => l.newLine).filter(n => n !== null);
+    return {
+      text: group.map(p => p.text).join("\n"),
+      startLine: newLines.length > 0 ? Math.min(...newLines) : null,
+      endLine: newLines.length > 0 ? Math.max(...newLines) : null
+    };
+  });
+}
+
+module.exports = {
+  parsePatch,
+  getCommentableLines,
+  isRightSideRange,
+  getFallbackAnchor,
+  getNewLineContent,
+  mapOldLineToNew,
+  chunkPatch,
+  DEFAULT_CHUNK_CONTEXT_LINES
+};
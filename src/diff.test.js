@@ -0,0 +1,211 @@
+const {
+  parsePatch,
+  getCommentableLines,
+  isRightSideRange,
+  getFallbackAnchor,
+  getNewLineContent,
+  mapOldLineToNew,
+  chunkPatch
+} = require('./diff');
+
+const patch = `@@ -1,4 +1,5 @@ function foo() {
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+ return a;
+@@ -20,2 +21,3 @@
+ end();
++more();
+ done();`;
+
+describe('parsePatch', () => {
+  test('returns empty array for null/undefined/empty', () => {
+    expect(parsePatch(null)).toEqual([]);
+    expect(parsePatch(undefined)).toEqual([]);
+    expect(parsePatch('')).toEqual([]);
+  });
+
+  test('parses hunk headers', () => {
+    const hunks = parsePatch(patch);
+    expect(hunks).toHaveLength(2);
+    expect(hunks[0]).toMatchObject({ oldStart: 1, oldLines: 4, newStart: 1, newLines: 5 });
+    expect(hunks[1]).toMatchObject({ oldStart: 20, oldLines: 2, newStart: 21, newLines: 3 });
+    expect(hunks[0].header).toBe('@@ -1,4 +1,5 @@ function foo() {');
+  });
+
+  test('tracks old and new line numbers', () => {
+    const [first, second] = parsePatch(patch);
+    expect(first.lines).toEqual([
+      { type: 'context', content: 'const a = 1;', oldLine: 1, newLine: 1 },
+      { type: 'del', content: 'const b = 2;', oldLine: 2, newLine: null },
+      { type: 'add', content: 'const b = 3;', oldLine: null, newLine: 2 },
+      { type: 'add', content: 'const c = 4;', oldLine: null, newLine: 3 },
+      { type: 'context', content: 'return a;', oldLine: 3, newLine: 4 }
+    ]);
+    expect(second.lines.map(l => l.newLine)).toEqual([21, 22, 23]);
+  });
+
+  test('does not read a trailing newline as a context line in a cut-off hunk', () => {
+    const [hunk] = parsePatch('@@ -1,5 +1,5 @@\n a\n-b\n+c\n');
+    expect(hunk.lines.map(l => l.type)).toEqual(['context', 'del', 'add']);
+    expect(parsePatch('@@ -1,3 +1,3 @@\n a\n\n c')[0].lines.map(l => l.newLine)).toEqual([1, 2, 3]);
+  });
+
+  test('defaults omitted hunk lengths to 1', () => {
+    const [hunk] = parsePatch('@@ -5 +5 @@\n-a\n+b');
+    expect(hunk.oldLines).toBe(1);
+    expect(hunk.newLines).toBe(1);
+  });
+
+  test('skips file headers and no-newline markers', () => {
+    const hunks = parsePatch('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n\\ No newline at end of file\n+b');
+    expect(hunks[0].lines.map(l => l.type)).toEqual(['del', 'add']);
+  });
+
+  test('ignores trailing newline after the last hunk', () => {
+    const [hunk] = parsePatch('@@ -1 +1 @@\n-a\n+b\n');
+    expect(hunk.lines).toHaveLength(2);
+  });
+});
+
+describe('getCommentableLines', () => {
+  test('includes added and context lines but not deleted ones', () => {
+    expect([...getCommentableLines(patch)].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 21, 22, 23]);
+  });
+
+  test('returns empty set for empty patch', () => {
+    expect(getCommentableLines(null).size).toBe(0);
+  });
+});
+
+describe('isRightSideRange', () => {
+  test('accepts ranges of added and context lines within one hunk', () => {
+    expect(isRightSideRange(patch, 2, 4)).toBe(true);
+    expect(isRightSideRange(patch, 1, 1)).toBe(true);
+    expect(isRightSideRange(patch, 21, 23)).toBe(true);
+  });
+
+  test('rejects ranges that leave the diff or span hunks', () => {
+    expect(isRightSideRange(patch, 4, 5)).toBe(false);
+    expect(isRightSideRange(patch, 4, 21)).toBe(false);
+    expect(isRightSideRange(patch, 3, 2)).toBe(false);
+    expect(isRightSideRange(null, 1, 1)).toBe(false);
+  });
+});
+
+describe('getFallbackAnchor', () => {
+  test('prefers the first added line', () => {
+    expect(getFallbackAnchor(patch)).toEqual({ line: 2, side: 'RIGHT' });
+  });
+
+  test('uses LEFT side for deletion-only patches', () => {
+    expect(getFallbackAnchor('@@ -3,2 +2,0 @@\n-a\n-b')).toEqual({ line: 3, side: 'LEFT' });
+  });
+
+  test('returns null for empty patch', () => {
+    expect(getFallbackAnchor('')).toBeNull();
+  });
+});
+
+describe('getNewLineContent', () => {
+  test('returns content of added and context lines', () => {
+    expect(getNewLineContent(patch, 3)).toBe('const c = 4;');
+    expect(getNewLineContent(patch, 4)).toBe('return a;');
+  });
+
+  test('returns null for lines outside the diff', () => {
+    expect(getNewLineContent(patch, 10)).toBeNull();
+    expect(getNewLineContent(null, 1)).toBeNull();
+  });
+});
+
+describe('mapOldLineToNew', () => {
+  test('keeps lines before the first hunk', () => {
+    expect(mapOldLineToNew(patch, 0)).toBe(0);
+    expect(mapOldLineToNew('@@ -10,1 +10,2 @@\n a\n+b', 5)).toBe(5);
+  });
+
+  test('maps context lines inside hunks', () => {
+    expect(mapOldLineToNew(patch, 1)).toBe(1);
+    expect(mapOldLineToNew(patch, 3)).toBe(4);
+  });
+
+  test('returns null for deleted or changed lines', () => {
+    expect(mapOldLineToNew(patch, 2)).toBeNull();
+  });
+
+  test('shifts lines after hunks by the net change', () => {
+    expect(mapOldLineToNew(patch, 10)).toBe(11);
+    expect(mapOldLineToNew(patch, 30)).toBe(32);
+  });
+
+  test('handles pure insertions', () => {
+    const insertion = '@@ -5,0 +6,2 @@\n+a\n+b';
+    expect(mapOldLineToNew(insertion, 5)).toBe(5);
+    expect(mapOldLineToNew(insertion, 6)).toBe(8);
+  });
+
+  test('returns the same line for an empty patch', () => {
+    expect(mapOldLineToNew('', 7)).toBe(7);
+  });
+});
+
+describe('chunkPatch', () => {
+  const bigHunk = ['@@ -1,20 +1,20 @@ class Big {']
+    .concat(Array.from({ length: 20 }, (_, i) => ` line ${String(i + 1).padStart(2, '0')} ${'x'.repeat(30)}`))
+    .join('\n');
+
+  test('returns no chunks for an empty patch', () => {
+    expect(chunkPatch('', 1000)).toEqual([]);
+    expect(chunkPatch(null, 1000)).toEqual([]);
+  });
+
+  test('keeps a small patch in one chunk with its line range', () => {
+    const chunks = chunkPatch(patch, 1000);
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(patch);
+    expect(chunks[0]).toMatchObject({ startLine: 1, endLine: 23 });
+  });
+
+  test('splits on hunk boundaries', () => {
+    const chunks = chunkPatch(patch, 100);
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].text.startsWith('@@ -1,4 +1,5 @@ function foo() {')).toBe(true);
+    expect(chunks[1].text).toBe('@@ -20,2 +21,3 @@\n end();\n+more();\n done();');
+    expect(chunks[0]).toMatchObject({ startLine: 1, endLine: 4 });
+    expect(chunks[1]).toMatchObject({ startLine: 21, endLine: 23 });
+  });
+
+  test('splits an oversized hunk on line boundaries with headers and overlap', () => {
+    const chunks = chunkPatch(bigHunk, 300);
+    expect(chunks.length).toBeGreaterThan(1);
+
+    for (const chunk of chunks) {
+      const lines = chunk.text.split('\n');
+      expect(lines[0]).toMatch(/^@@ -\d+,\d+ \+\d+,\d+ @@ class Big \{$/);
+      expect(lines.slice(1).every(l => /^ line \d\d x+$/.test(l))).toBe(true);
+      // Each piece re-parses to the line numbers it reports
+      const parsed = parsePatch(chunk.text)[0].lines;
+      expect(parsed[0].newLine).toBe(chunk.startLine);
+      expect(parsed[parsed.length - 1].newLine).toBe(chunk.endLine);
+    }
+
+    // Consecutive pieces repeat a few lines of context
+    expect(chunks[1].startLine).toBeLessThanOrEqual(chunks[0].endLine);
+    expect(chunks[chunks.length - 1].endLine).toBe(20);
+  });
+
+  test('also keeps chunks within a token limit', () => {
+    const countTokens = text => Math.ceil(text.length / 4);
+    const chunks = chunkPatch(bigHunk, 100000, { maxTokens: 150, countTokens });
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) expect(countTokens(chunk.text)).toBeLessThanOrEqual(150);
+    expect(chunks[chunks.length - 1].endLine).toBe(20);
+  });
+
+  test('reports no line range for deletion-only chunks', () => {
+    const chunks = chunkPatch('@@ -3,2 +2,0 @@\n-gone\n-also gone', 1000);
+    expect(chunks).toEqual([{ text: '@@ -3,2 +2,0 @@\n-gone\n-also gone', startLine: null, endLine: null }]);
+  });
+});
@@ -0,0 +1,117 @@
+const { PROVIDERS } = require("./providers");
+
+// ============================================================================
+// Model Fallback Chain
+// ============================================================================
+
+// Statuses that mean every request to the endpoint will fail the same way
+const ENDPOINT_FAILURE_STATUSES = new Set([401, 403, 404]);
+
+/**
+ * Builds the ordered list of endpoints to try: the primary model, then each
+ * fallback. Fallback fields that are not set are inherited from the primary;
+ * switching provider without a base_url uses that provider's default URL.
+ * The primary API key is only inherited by entries on the primary's provider
+ * and base URL, so it is never sent to another host.
+ * @param {object} primary - Primary endpoint {provider, baseUrl, apiKey, model, azureDeployment}
+ * @param {object[]} [fallbacks=[]] - Entries from the fallback_models setting
+ * @param {object} [env=process.env] - Environment used to resolve api_key_env
+ * @returns {object[]} Endpoints {provider, baseUrl, apiKey, model, azureDeployment, label}
+ * @throws {Error} If an api_key_env variable is not set, or an entry on another
+ *   endpoint has no key of its own
+ */
+function buildModelChain(primary, fallbacks = [], env = process.env) {
+  const chain = [{ ...primary, label: primary.model }];
+
+  for (const entry of fallbacks) {
+    const provider = entry.provider || primary.provider;
+    const baseUrl = entry.base_url ||
+      (provider !== primary.provider ? PROVIDERS[provider].defaultBaseUrl : primary.baseUrl);
+    if (!baseUrl) {
+      throw new Error(`fallback_models entry "${entry.model}" needs a base_url for provider ${provider}`);
+    }
+
+    const sameEndpoint = provider === primary.provider &&
+      baseUrl.replace(/\/+$/, "") === (primary.baseUrl || "").replace(/\/+$/, "");
+    if (!sameEndpoint && !entry.api_key && !entry.api_key_env) {
+      throw new Error(`fallback_models entry "${entry.model}" uses another endpoint (${provider}, ${baseUrl}) and needs its own api_key or api_key_env`);
+    }
+
+    let apiKey = entry.api_key || primary.apiKey;
+    if (entry.api_key_env) {
+      apiKey = env[entry.api_key_env];
+      if (!apiKey) throw new Error(`fallback_models entry "${entry.model}": environment variable ${entry.api_key_env} is not set`);
+    }
+
+    chain.push({
+      provider,
+      baseUrl: baseUrl.replace(/\/+$/, ""),
+      apiKey,
+      model: entry.model,
+      azureDeployment: entry.azure_deployment || "",
+      label: entry.model
+    });
+  }
+
+  return chain;
+}
+
+/**
+ * Checks whether an error means the endpoint itself is unusable (bad key,
+ * unknown model or URL, server errors after retries, or a network failure),
+ * as opposed to a problem with one request. Rejected prompts (400, 413),
+ * timeouts (408) and rate limits (429) only fall back for that request.
+ * @param {Error} err - Error thrown by a request
+ * @returns {boolean} True if later requests should skip this endpoint
+ */
+function isEndpointFailure(err) {
+  if (err.name === "TypeError") return true;
+  return ENDPOINT_FAILURE_STATUSES.has(err.status) || (err.status >= 500 && err.status < 600);
+}
+
+/**
+ * Creates a run-wide fallback chain.
+ * Endpoints that fail are skipped by later requests, so a dead primary costs
+ * its retries once rather than once per file.
+ * @param {object[]} endpoints - Endpoints from buildModelChain, in order
+ * @returns {{endpoints: object[], run: Function}} Fallback chain
+ */
+function createModelChain(endpoints) {
+  const failed = new Set();
+
+  return {
+    endpoints,
+
+    /**
+     * Runs a task against each endpoint in order until one succeeds.
+     * When every endpoint has failed before, all of them are tried again.
+     * @param {Function} task - Async (endpoint) => result
+     * @param {Function} [onFallback] - Called with (endpoint, error, next) before moving on
+     * @returns {Promise<{result: *, endpoint: object}>} First successful result and its endpoint
+     * @throws {Error} The last error when every endpoint fails
+     */
+    async run(task, onFallback) {
+      const healthy = endpoints.filter(e => !failed.has(e));
+      const candidates = healthy.length > 0 ? healthy : endpoints;
+      let lastError;
+
+      for (let i = 0; i < candidates.length; i++) {
+        try {
+          return { result: await task(candidates[i]), endpoint: candidates[i] };
+        } catch (err) {
+          lastError = err;
+          if (isEndpointFailure(err)) failed.add(candidates[i]);
+          if (onFallback && i + 1 < candidates.length) onFallback(candidates[i], err, candidates[i + 1]);
+        }
+      }
+
+      throw lastError;
+    }
+  };
+}
+
+module.exports = {
+  buildModelChain,
+  isEndpointFailure,
+  createModelChain
+};
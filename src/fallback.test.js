@@ -0,0 +1,127 @@
+const {
+  buildModelChain,
+  isEndpointFailure,
+  createModelChain
+} = require('./fallback');
+
+const primary = { provider: 'openai-compatible', baseUrl: 'http://local/v1', apiKey: 'k1', model: 'main', azureDeployment: '' };
+
+describe('buildModelChain', () => {
+  test('puts the primary first', () => {
+    expect(buildModelChain(primary)).toEqual([{ ...primary, label: 'main' }]);
+  });
+
+  test('inherits unset fields from the primary', () => {
+    const [, fallback] = buildModelChain(primary, [{ model: 'small' }]);
+    expect(fallback).toMatchObject({ provider: 'openai-compatible', baseUrl: 'http://local/v1', apiKey: 'k1', model: 'small', label: 'small' });
+  });
+
+  test('uses the provider default URL when switching provider', () => {
+    const [, fallback] = buildModelChain(primary, [{ model: 'claude', provider: 'anthropic', api_key: 'k2' }]);
+    expect(fallback).toMatchObject({ provider: 'anthropic', baseUrl: 'https://api.anthropic.com/v1', apiKey: 'k2' });
+  });
+
+  test('reads keys from the environment', () => {
+    const [, fallback] = buildModelChain(primary, [{ model: 'x', api_key_env: 'BACKUP_KEY' }], { BACKUP_KEY: 'from-env' });
+    expect(fallback.apiKey).toBe('from-env');
+    expect(() => buildModelChain(primary, [{ model: 'x', api_key_env: 'MISSING' }], {}))
+      .toThrow('environment variable MISSING is not set');
+  });
+
+  test('does not send the primary key to another endpoint', () => {
+    expect(() => buildModelChain(primary, [{ model: 'claude', provider: 'anthropic' }]))
+      .toThrow('"claude" uses another endpoint (anthropic, https://api.anthropic.com/v1) and needs its own api_key or api_key_env');
+    expect(() => buildModelChain(primary, [{ model: 'x', base_url: 'https://other.example/v1' }])).toThrow('needs its own api_key');
+    const [, sameUrl] = buildModelChain(primary, [{ model: 'x', base_url: 'http://local/v1/' }]);
+    expect(sameUrl.apiKey).toBe('k1');
+  });
+
+  test('requires a base URL for providers without a default', () => {
+    expect(() => buildModelChain(primary, [{ model: 'x', provider: 'azure' }])).toThrow('needs a base_url');
+  });
+});
+
+describe('isEndpointFailure', () => {
+  const httpError = status => Object.assign(new Error('bad'), { status });
+
+  test('is true for auth, not-found, server and network errors', () => {
+    for (const status of [401, 403, 404, 500, 503]) expect(isEndpointFailure(httpError(status))).toBe(true);
+    expect(isEndpointFailure(new TypeError('fetch failed'))).toBe(true);
+  });
+
+  test('is false for errors specific to one request', () => {
+    expect(isEndpointFailure(httpError(400))).toBe(false);
+    expect(isEndpointFailure(httpError(408))).toBe(false);
+    expect(isEndpointFailure(httpError(413))).toBe(false);
+    expect(isEndpointFailure(httpError(429))).toBe(false);
+  });
+
+  test('is false for bad model output', () => {
+    expect(isEndpointFailure(new Error('Model did not return a valid findings array'))).toBe(false);
+  });
+});
+
+describe('createModelChain', () => {
+  const endpoints = buildModelChain(primary, [{ model: 'b' }, { model: 'c' }]);
+  const httpError = () => Object.assign(new Error('down'), { status: 503 });
+
+  test('returns the first success and its endpoint', async () => {
+    const chain = createModelChain(endpoints);
+    const { result, endpoint } = await chain.run(async e => e.model);
+    expect(result).toBe('main');
+    expect(endpoint.label).toBe('main');
+  });
+
+  test('walks the chain in order and reports each fallback', async () => {
+    const chain = createModelChain(endpoints);
+    const onFallback = jest.fn();
+    const { endpoint } = await chain.run(async e => {
+      if (e.model !== 'c') throw httpError();
+      return 'ok';
+    }, onFallback);
+    expect(endpoint.model).toBe('c');
+    expect(onFallback.mock.calls.map(([from, , to]) => [from.model, to.model])).toEqual([['main', 'b'], ['b', 'c']]);
+  });
+
+  test('skips endpoints that failed earlier in the run', async () => {
+    const chain = createModelChain(endpoints);
+    const task = jest.fn(async e => {
+      if (e.model === 'main') throw httpError();
+      return e.model;
+    });
+    await chain.run(task);
+    task.mockClear();
+    const { result } = await chain.run(task);
+    expect(result).toBe('b');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps endpoints that only produced bad output', async () => {
+    const chain = createModelChain(endpoints);
+    let calls = 0;
+    await chain.run(async e => {
+      if (e.model === 'main' && calls++ === 0) throw new Error('Model did not return a valid findings array');
+      return e.model;
+    });
+    const { result } = await chain.run(async e => e.model);
+    expect(result).toBe('main');
+  });
+
+  test('keeps endpoints that rejected one prompt', async () => {
+    const chain = createModelChain(endpoints);
+    let calls = 0;
+    await chain.run(async e => {
+      if (e.model === 'main' && calls++ === 0) throw Object.assign(new Error('prompt too long'), { status: 400 });
+      return e.model;
+    });
+    const { result } = await chain.run(async e => e.model);
+    expect(result).toBe('main');
+  });
+
+  test('throws the last error when everything fails, and retries all next time', async () => {
+    const chain = createModelChain(endpoints);
+    await expect(chain.run(async e => { throw Object.assign(httpError(), { message: e.model }); })).rejects.toThrow('c');
+    const { result } = await chain.run(async e => e.model);
+    expect(result).toBe('main');
+  });
+});
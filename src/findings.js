@@ -0,0 +1,319 @@
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// Ordered from least to most severe
+const SEVERITIES = ["info", "minor", "major", "critical"];
+
+const CATEGORIES = [
+  "bug",
+  "security",
+  "performance",
+  "correctness",
+  "maintainability",
+  "testing",
+  "style"
+];
+
+const DEFAULT_CATEGORY = "correctness";
+
+// fail_on_severity value that disables the gate
+const FAIL_GATE_OFF = "none";
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// ============================================================================
+// Parsing & Validation
+// ============================================================================
+
+/**
+ * Extracts the JSON payload from a model response.
+ * Strips markdown code fences and any prose around the outermost array/object.
+ * @param {string|null|undefined} text - Raw model response
+ * @returns {string} The JSON candidate string (may still be invalid JSON)
+ */
+function extractJson(text) {
+  if (!text) return "";
+  let body = text.trim();
+
+  const fenced = body.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+  if (fenced) body = fenced[1].trim();
+
+  const arrStart = body.indexOf("[");
+  const objStart = body.indexOf("{");
+  const useArray = arrStart !== -1 && (objStart === -1 || arrStart < objStart);
+  const start = useArray ? arrStart : objStart;
+  const end = body.lastIndexOf(useArray ? "]" : "}");
+
+  if (start === -1 || end < start) return body;
+  return body.slice(start, end + 1);
+}
+
+/**
+ * Appends a continuation to a response that was cut off by the token limit.
+ * Models sometimes reopen a code fence when continuing; that fence is dropped
+ * so the joined text stays one JSON document.
+ * @param {string} text - Response so far
+ * @param {string|null|undefined} continuation - Text of the continuation turn
+ * @returns {string} Joined response
+ */
+function joinContinuation(text, continuation) {
+  return text + (continuation || "").replace(/^\s*```(?:json)?[ \t]*\n/i, "");
+}
+
+/**
+ * Closes a JSON findings array that was cut off mid-response, keeping every
+ * element whose closing brace arrived and dropping the incomplete tail.
+ * @param {string|null|undefined} text - Raw, possibly truncated model response
+ * @returns {string} JSON array candidate ("[]" if no element completed)
+ */
+function closeTruncatedArray(text) {
+  const body = text || "";
+  const start = body.indexOf("[");
+  if (start === -1) return "[]";
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let lastComplete = -1;
+
+  for (let i = start; i < body.length; i++) {
+    const c = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === "\\") escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') inString = true;
+    else if (c === "[" || c === "{") depth++;
+    else if (c === "]" || c === "}") {
+      depth--;
+      if (depth === 0) return body.slice(start, i + 1);
+      if (depth === 1) lastComplete = i;
+    }
+  }
+
+  return lastComplete === -1 ? "[]" : `${body.slice(start, lastComplete + 1)}]`;
+}
+
+/**
+ * Cleans up a replacement snippet from the model.
+ * Unwraps a surrounding code fence and drops leading blank lines and trailing
+ * whitespace, keeping the indentation of the first line.
+ * @param {string} text - Raw replacement
+ * @returns {string} Replacement code, or "" if empty
+ */
+function cleanReplacement(text) {
+  const fenced = text.match(/^\s*(`{3,})[^\n`]*\n([\s\S]*?)\n?\1\s*$/);
+  const code = fenced ? fenced[2] : text;
+  return code.replace(/^(?:[ \t]*\r?\n)+/, "").trimEnd();
+}
+
+/**
+ * Validates and normalizes a single raw finding object.
+ * Findings with a replacement also get `endLine` and `replacement`: the code
+ * that replaces lines `line` through `endLine` of the new file.
+ * @param {object} raw - Raw finding as emitted by the model
+ * @param {number} index - Position in the array (for error messages)
+ * @param {string} [defaultFile] - File to assume when the finding omits it
+ * @returns {{finding: object|null, errors: string[]}} Normalized finding or errors
+ */
+function normalizeFinding(raw, index, defaultFile) {
+  const errors = [];
+  const at = `findings[${index}]`;
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { finding: null, errors: [`${at} must be an object`] };
+  }
+
+  const file = typeof raw.file === "string" && raw.file.trim() ? raw.file.trim() : defaultFile;
+  if (!file) errors.push(`${at}.file is required`);
+
+  let line = null;
+  if (raw.line !== undefined && raw.line !== null && raw.line !== "") {
+    line = Number.parseInt(raw.line, 10);
+    if (Number.isNaN(line) || line < 1) {
+      errors.push(`${at}.line must be a positive integer or null`);
+      line = null;
+    }
+  }
+
+  const severity = String(raw.severity ?? "").trim().toLowerCase();
+  if (!SEVERITIES.includes(severity)) {
+    errors.push(`${at}.severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+
+  let category = String(raw.category ?? "").trim().toLowerCase();
+  if (!CATEGORIES.includes(category)) category = DEFAULT_CATEGORY;
+
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) errors.push(`${at}.title is required`);
+
+  const explanation = typeof raw.explanation === "string" ? raw.explanation.trim() : "";
+  if (!explanation) errors.push(`${at}.explanation is required`);
+
+  const suggestedFix = typeof raw.suggested_fix === "string" ? raw.suggested_fix.trim() : "";
+
+  const replacement = typeof raw.replacement === "string" ? cleanReplacement(raw.replacement) : "";
+  let endLine = line;
+  if (replacement && line !== null && raw.end_line !== undefined && raw.end_line !== null && raw.end_line !== "") {
+    endLine = Number.parseInt(raw.end_line, 10);
+    if (Number.isNaN(endLine) || endLine < line) {
+      errors.push(`${at}.end_line must be an integer >= line, or null`);
+    }
+  }
+
+  if (errors.length > 0) return { finding: null, errors };
+
+  const finding = { file, line, severity, category, title, explanation, suggestedFix };
+  return {
+    finding: replacement ? { ...finding, endLine, replacement } : finding,
+    errors
+  };
+}
+
+/**
+ * Parses and validates a model response into a list of findings.
+ * Accepts either a bare JSON array or an object with a `findings` array.
+ * @param {string|null|undefined} text - Raw model response
+ * @param {object} [options] - Parse options
+ * @param {string} [options.defaultFile] - File to assume when a finding omits it
+ * @param {boolean} [options.partial=false] - The response was cut off; recover the
+ *   findings that arrived complete (see closeTruncatedArray)
+ * @returns {{findings: object[], errors: string[]}} Valid findings and any validation errors
+ */
+function parseFindings(text, { defaultFile, partial = false } = {}) {
+  const candidate = extractJson(text);
+  if (!candidate) return { findings: [], errors: ["Response is empty"] };
+
+  let data;
+  try {
+    data = JSON.parse(candidate);
+  } catch (err) {
+    if (!partial) return { findings: [], errors: [`Response is not valid JSON: ${err.message}`] };
+    try {
+      data = JSON.parse(closeTruncatedArray(text));
+    } catch {
+      return { findings: [], errors: [`Response is not valid JSON: ${err.message}`] };
+    }
+  }
+
+  if (data && !Array.isArray(data) && Array.isArray(data.findings)) data = data.findings;
+  if (!Array.isArray(data)) {
+    return { findings: [], errors: ["Response must be a JSON array of findings"] };
+  }
+
+  const findings = [];
+  const errors = [];
+  data.forEach((raw, i) => {
+    const result = normalizeFinding(raw, i, defaultFile);
+    if (result.finding) findings.push(result.finding);
+    errors.push(...result.errors);
+  });
+
+  return { findings, errors };
+}
+
+/**
+ * Converts findings back to the JSON shape the model is asked to produce.
+ * @param {object[]} findings - Normalized findings
+ * @returns {object[]} Findings with snake_case keys (suggested_fix, end_line)
+ */
+function serializeFindings(findings) {
+  return findings.map(({ suggestedFix, endLine, replacement, ...rest }) => ({
+    ...rest,
+    suggested_fix: suggestedFix,
+    ...(replacement ? { end_line: endLine, replacement } : {})
+  }));
+}
+
+/**
+ * Returns the numeric rank of a severity (higher is more severe).
+ * @param {string} severity - Severity name
+ * @returns {number} Index in SEVERITIES, or -1 if unknown
+ */
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+/**
+ * Sorts findings by severity (most severe first), then by file and line.
+ * @param {object[]} findings - Findings to sort
+ * @returns {object[]} New sorted array
+ */
+function sortFindings(findings) {
+  return [...findings].sort((a, b) =>
+    severityRank(b.severity) - severityRank(a.severity) ||
+    a.file.localeCompare(b.file) ||
+    (a.line ?? 0) - (b.line ?? 0)
+  );
+}
+
+// ============================================================================
+// Severity Gate
+// ============================================================================
+
+/**
+ * Counts findings per severity.
+ * @param {object[]} findings - Normalized findings
+ * @returns {object} Map of every severity to its count, e.g. {info: 0, minor: 2, ...}
+ */
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  for (const f of findings) {
+    if (f.severity in counts) counts[f.severity]++;
+  }
+  return counts;
+}
+
+/**
+ * Resolves the fail gate threshold from action inputs.
+ * An empty `fail_on_severity` falls back to the legacy `fail_on_issues`
+ * flag, which fails on critical findings.
+ * @param {string|null|undefined} value - Raw fail_on_severity input
+ * @param {boolean} [failOnIssues=false] - Legacy fail_on_issues input
+ * @returns {string|null} Minimum failing severity, or null if the gate is off
+ * @throws {Error} If the value is not a known severity or "none"
+ */
+function resolveFailThreshold(value, failOnIssues = false) {
+  const normalized = (value ?? "").trim().toLowerCase();
+  if (!normalized) return failOnIssues ? "critical" : null;
+  if (normalized === FAIL_GATE_OFF) return null;
+  if (!SEVERITIES.includes(normalized)) {
+    throw new Error(`Invalid fail_on_severity "${value}" (expected one of: ${FAIL_GATE_OFF}, ${SEVERITIES.join(", ")})`);
+  }
+  return normalized;
+}
+
+/**
+ * Returns the findings at or above a severity threshold.
+ * @param {object[]} findings - Normalized findings
+ * @param {string|null} threshold - Minimum severity, or null for none
+ * @returns {object[]} Findings that meet the threshold
+ */
+function findingsAtOrAbove(findings, threshold) {
+  if (!threshold) return [];
+  const min = severityRank(threshold);
+  return findings.filter(f => severityRank(f.severity) >= min);
+}
+
+module.exports = {
+  extractJson,
+  cleanReplacement,
+  joinContinuation,
+  closeTruncatedArray,
+  normalizeFinding,
+  parseFindings,
+  serializeFindings,
+  severityRank,
+  sortFindings,
+  countBySeverity,
+  resolveFailThreshold,
+  findingsAtOrAbove,
+  SEVERITIES,
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  FAIL_GATE_OFF,
+  MAX_REPAIR_ATTEMPTS
+};
@@ -0,0 +1,307 @@
+const {
+  extractJson,
+  cleanReplacement,
+  joinContinuation,
+  closeTruncatedArray,
+  normalizeFinding,
+  parseFindings,
+  serializeFindings,
+  severityRank,
+  sortFindings,
+  countBySeverity,
+  resolveFailThreshold,
+  findingsAtOrAbove,
+  SEVERITIES,
+  DEFAULT_CATEGORY
+} = require('./findings');
+
+const validRaw = {
+  file: 'src/a.js',
+  line: 12,
+  severity: 'major',
+  category: 'bug',
+  title: 'Null dereference',
+  explanation: 'user may be undefined here.',
+  suggested_fix: 'if (!user) return;'
+};
+
+describe('extractJson', () => {
+  test('returns empty string for null/undefined', () => {
+    expect(extractJson(null)).toBe('');
+    expect(extractJson(undefined)).toBe('');
+  });
+
+  test('strips markdown code fences', () => {
+    expect(extractJson('```json\n[{"a": 1}]\n```')).toBe('[{"a": 1}]');
+    expect(extractJson('```\n[]\n```')).toBe('[]');
+  });
+
+  test('strips prose around the array', () => {
+    expect(extractJson('Here are the findings:\n[1, 2]\nHope this helps!')).toBe('[1, 2]');
+  });
+
+  test('extracts objects when no array comes first', () => {
+    expect(extractJson('Result: {"findings": []}')).toBe('{"findings": []}');
+  });
+});
+
+describe('normalizeFinding', () => {
+  test('normalizes a valid finding', () => {
+    const { finding, errors } = normalizeFinding(validRaw, 0);
+    expect(errors).toEqual([]);
+    expect(finding).toEqual({
+      file: 'src/a.js',
+      line: 12,
+      severity: 'major',
+      category: 'bug',
+      title: 'Null dereference',
+      explanation: 'user may be undefined here.',
+      suggestedFix: 'if (!user) return;'
+    });
+  });
+
+  test('coerces line strings and severity case', () => {
+    const { finding } = normalizeFinding({ ...validRaw, line: '7', severity: 'CRITICAL' }, 0);
+    expect(finding.line).toBe(7);
+    expect(finding.severity).toBe('critical');
+  });
+
+  test('allows null line', () => {
+    const { finding } = normalizeFinding({ ...validRaw, line: null }, 0);
+    expect(finding.line).toBeNull();
+  });
+
+  test('falls back to default file and category', () => {
+    const { finding } = normalizeFinding({ ...validRaw, file: undefined, category: 'weird' }, 0, 'src/b.js');
+    expect(finding.file).toBe('src/b.js');
+    expect(finding.category).toBe(DEFAULT_CATEGORY);
+  });
+
+  test('reports missing required fields', () => {
+    const { finding, errors } = normalizeFinding({ severity: 'bogus' }, 3);
+    expect(finding).toBeNull();
+    expect(errors).toContain('findings[3].file is required');
+    expect(errors).toContain('findings[3].title is required');
+    expect(errors).toContain('findings[3].explanation is required');
+    expect(errors.some(e => e.startsWith('findings[3].severity'))).toBe(true);
+  });
+
+  test('rejects invalid line numbers', () => {
+    const { errors } = normalizeFinding({ ...validRaw, line: 'abc' }, 0);
+    expect(errors).toEqual(['findings[0].line must be a positive integer or null']);
+  });
+
+  test('keeps a replacement with its line range', () => {
+    const { finding } = normalizeFinding({ ...validRaw, replacement: '  if (!user) return;\n  use(user);', end_line: '13' }, 0);
+    expect(finding.replacement).toBe('  if (!user) return;\n  use(user);');
+    expect(finding.endLine).toBe(13);
+  });
+
+  test('defaults the replacement range to the cited line', () => {
+    expect(normalizeFinding({ ...validRaw, replacement: 'x', end_line: null }, 0).finding.endLine).toBe(12);
+    expect(normalizeFinding({ ...validRaw, line: null, replacement: 'x', end_line: 4 }, 0).finding.endLine).toBeNull();
+  });
+
+  test('leaves out empty replacements', () => {
+    const { finding } = normalizeFinding({ ...validRaw, replacement: '  \n', end_line: 14 }, 0);
+    expect(finding).not.toHaveProperty('replacement');
+    expect(finding).not.toHaveProperty('endLine');
+  });
+
+  test('rejects a replacement range ending before its line', () => {
+    const { errors } = normalizeFinding({ ...validRaw, replacement: 'x', end_line: 3 }, 0);
+    expect(errors).toEqual(['findings[0].end_line must be an integer >= line, or null']);
+  });
+
+  test('rejects non-objects', () => {
+    expect(normalizeFinding('text', 0).errors).toEqual(['findings[0] must be an object']);
+    expect(normalizeFinding([], 1).errors).toEqual(['findings[1] must be an object']);
+  });
+});
+
+describe('joinContinuation', () => {
+  test('appends the continuation verbatim', () => {
+    expect(joinContinuation('[{"a": 1}, {"b"', ': 2}]')).toBe('[{"a": 1}, {"b": 2}]');
+  });
+
+  test('drops a code fence reopened by the continuation', () => {
+    expect(joinContinuation('```json\n[{"a": 1}, {"b"', '```json\n: 2}]\n```')).toBe('```json\n[{"a": 1}, {"b": 2}]\n```');
+  });
+
+  test('tolerates an empty continuation', () => {
+    expect(joinContinuation('[', null)).toBe('[');
+  });
+});
+
+describe('closeTruncatedArray', () => {
+  test('keeps the elements that completed before the cut', () => {
+    expect(closeTruncatedArray('```json\n[{"a": 1}, {"b": "x]}"}, {"c": [1, 2')).toBe('[{"a": 1}, {"b": "x]}"}]');
+  });
+
+  test('handles escaped quotes inside strings', () => {
+    expect(closeTruncatedArray('[{"a": "say \\"}\\""}, {"b"')).toBe('[{"a": "say \\"}\\""}]');
+  });
+
+  test('returns complete arrays unchanged', () => {
+    expect(closeTruncatedArray('[{"a": 1}]\n```')).toBe('[{"a": 1}]');
+  });
+
+  test('returns an empty array when nothing completed', () => {
+    expect(closeTruncatedArray('[{"a": ')).toBe('[]');
+    expect(closeTruncatedArray('no json')).toBe('[]');
+  });
+});
+
+describe('parseFindings', () => {
+  test('parses an empty array', () => {
+    expect(parseFindings('[]')).toEqual({ findings: [], errors: [] });
+  });
+
+  test('parses a fenced array', () => {
+    const text = '```json\n' + JSON.stringify([validRaw]) + '\n```';
+    const { findings, errors } = parseFindings(text);
+    expect(errors).toEqual([]);
+    expect(findings).toHaveLength(1);
+  });
+
+  test('accepts an object with a findings array', () => {
+    const { findings } = parseFindings(JSON.stringify({ findings: [validRaw] }));
+    expect(findings).toHaveLength(1);
+  });
+
+  test('reports empty responses', () => {
+    expect(parseFindings('').errors).toEqual(['Response is empty']);
+  });
+
+  test('reports invalid JSON', () => {
+    const { errors } = parseFindings('[{"file": ');
+    expect(errors[0]).toMatch(/^Response is not valid JSON/);
+  });
+
+  test('reports non-array JSON', () => {
+    expect(parseFindings('{"a": 1}').errors).toEqual(['Response must be a JSON array of findings']);
+  });
+
+  test('keeps valid findings alongside errors', () => {
+    const { findings, errors } = parseFindings(JSON.stringify([validRaw, { title: 'x' }]));
+    expect(findings).toHaveLength(1);
+    expect(errors.length).toBeGreaterThan(0);
+  });
+
+  test('recovers complete findings from a cut-off response in partial mode', () => {
+    const text = '```json\n[' + JSON.stringify(validRaw) + ', {"file": "src/b.js", "title": "Unfin';
+    expect(parseFindings(text).findings).toEqual([]);
+    const { findings } = parseFindings(text, { partial: true });
+    expect(findings).toHaveLength(1);
+    expect(findings[0].title).toBe('Null dereference');
+  });
+
+  test('applies defaultFile', () => {
+    const { findings } = parseFindings(JSON.stringify([{ ...validRaw, file: '' }]), { defaultFile: 'x.js' });
+    expect(findings[0].file).toBe('x.js');
+  });
+});
+
+describe('cleanReplacement', () => {
+  test('unwraps a code fence', () => {
+    expect(cleanReplacement('```js\n  return 1;\n```')).toBe('  return 1;');
+    expect(cleanReplacement('````\na\n```\nb\n````\n')).toBe('a\n```\nb');
+  });
+
+  test('keeps indentation but drops surrounding blank lines', () => {
+    expect(cleanReplacement('\n\n    x = 1;\n  \n')).toBe('    x = 1;');
+  });
+});
+
+describe('serializeFindings', () => {
+  test('round-trips through parseFindings', () => {
+    const { findings } = parseFindings(JSON.stringify([validRaw]));
+    expect(serializeFindings(findings)).toEqual([validRaw]);
+  });
+
+  test('round-trips a replacement', () => {
+    const raw = { ...validRaw, replacement: 'if (!user) return;', end_line: 12 };
+    const { findings } = parseFindings(JSON.stringify([raw]));
+    expect(serializeFindings(findings)).toEqual([raw]);
+  });
+});
+
+describe('severityRank', () => {
+  test('orders severities from info to critical', () => {
+    expect(SEVERITIES).toEqual(['info', 'minor', 'major', 'critical']);
+    expect(severityRank('critical')).toBeGreaterThan(severityRank('major'));
+    expect(severityRank('minor')).toBeGreaterThan(severityRank('info'));
+    expect(severityRank('unknown')).toBe(-1);
+  });
+});
+
+describe('sortFindings', () => {
+  test('sorts by severity, then file, then line', () => {
+    const findings = [
+      { file: 'b.js', line: 1, severity: 'minor' },
+      { file: 'a.js', line: 9, severity: 'critical' },
+      { file: 'a.js', line: 2, severity: 'minor' },
+      { file: 'a.js', line: null, severity: 'minor' }
+    ];
+    expect(sortFindings(findings).map(f => `${f.severity}:${f.file}:${f.line}`)).toEqual([
+      'critical:a.js:9',
+      'minor:a.js:null',
+      'minor:a.js:2',
+      'minor:b.js:1'
+    ]);
+  });
+
+  test('does not mutate the input', () => {
+    const findings = [{ file: 'a', line: 1, severity: 'info' }, { file: 'a', line: 1, severity: 'critical' }];
+    sortFindings(findings);
+    expect(findings[0].severity).toBe('info');
+  });
+});
+
+describe('countBySeverity', () => {
+  test('counts every severity including zeros', () => {
+    const findings = [{ severity: 'minor' }, { severity: 'critical' }, { severity: 'minor' }];
+    expect(countBySeverity(findings)).toEqual({ info: 0, minor: 2, major: 0, critical: 1 });
+  });
+
+  test('returns all zeros for no findings', () => {
+    expect(countBySeverity([])).toEqual({ info: 0, minor: 0, major: 0, critical: 0 });
+  });
+});
+
+describe('resolveFailThreshold', () => {
+  test('returns null when nothing is configured', () => {
+    expect(resolveFailThreshold('')).toBeNull();
+    expect(resolveFailThreshold(undefined)).toBeNull();
+  });
+
+  test('falls back to critical for legacy fail_on_issues', () => {
+    expect(resolveFailThreshold('', true)).toBe('critical');
+  });
+
+  test('explicit severity overrides fail_on_issues', () => {
+    expect(resolveFailThreshold('major', true)).toBe('major');
+    expect(resolveFailThreshold('none', true)).toBeNull();
+  });
+
+  test('normalizes case and whitespace', () => {
+    expect(resolveFailThreshold(' Minor ')).toBe('minor');
+  });
+
+  test('throws for unknown values', () => {
+    expect(() => resolveFailThreshold('high')).toThrow('Invalid fail_on_severity "high"');
+  });
+});
+
+describe('findingsAtOrAbove', () => {
+  const findings = [{ severity: 'info' }, { severity: 'minor' }, { severity: 'major' }, { severity: 'critical' }];
+
+  test('returns findings at or above the threshold', () => {
+    expect(findingsAtOrAbove(findings, 'major').map(f => f.severity)).toEqual(['major', 'critical']);
+    expect(findingsAtOrAbove(findings, 'info')).toHaveLength(4);
+  });
+
+  test('returns nothing when the gate is off', () => {
+    expect(findingsAtOrAbove(findings, null)).toEqual([]);
+  });
+});
@@ -29,15 +29,23 @@ function parseResponse(text) {
 
 /**
  * Creates an HTTP error with status and body information.
+ * Understands OpenAI-style bodies ({error: {message, type}} or {error: "..."})
+ * and Anthropic-style bodies ({type: "error", error: {type, message}}), where
+ * the error type is prefixed to the message (e.g. "overloaded_error: Overloaded").
  * @param {object|null} json - Parsed JSON response
  * @param {string} text - Raw response text
  * @param {number} status - HTTP status code
- * @returns {Error} Error object with status and body properties
+ * @returns {Error} Error object with status, type and body properties
  */
 function createHttpError(json, text, status) {
-  const msg = json?.error?.message || json?.error || text || `HTTP ${status}`;
+  const detail = json?.error?.message || (typeof json?.error === "string" ? json.error : null);
+  const type = typeof json?.error === "object" ? json.error?.type || null : null;
+  let msg = detail || text || `HTTP ${status}`;
+  if (json?.type === "error" && type && detail) msg = `${type}: ${detail}`;
+
   const err = new Error(msg);
   err.status = status;
+  err.type = type;
   err.body = text;
   return err;
 }
@@ -64,45 +72,79 @@ function calculateBackoff(attempt, baseDelay = RETRY_DELAY_MS) {
 }
 
 /**
- * Fetches JSON from a URL with timeout and retry support.
+ * Parses a Retry-After header value into milliseconds.
+ * Supports both delay-seconds and HTTP-date forms.
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Delay in milliseconds (0 if absent or invalid)
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return 0;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Sends a request with timeout and retry support, handing successful
+ * responses to readBody. HTTP errors, timeouts and network errors before
+ * readBody returns are retried like any failed request.
  * @param {string} url - The URL to fetch
  * @param {object} options - Fetch options (method, headers, body)
- * @param {object} config - Configuration object
- * @param {number} config.timeoutMs - Request timeout in milliseconds
- * @param {number} [config.maxRetries=3] - Maximum retry attempts
- * @param {Function} [config.onRetry] - Callback for retry events
- * @returns {Promise<object>} Parsed JSON response
+ * @param {object} config - Configuration object (see fetchJson)
+ * @param {Function} readBody - Async (res, timer) => result; timer.reset() restarts
+ *   the timeout and timer.clear() stops it
+ * @returns {Promise<*>} Result of readBody
  * @throws {Error} If all retries fail
  */
-async function fetchJson(url, options, { timeoutMs, maxRetries = MAX_RETRIES, onRetry } = {}) {
+async function fetchWithRetry(url, options, { timeoutMs, maxRetries = MAX_RETRIES, onRetry, rateLimiter } = {}, readBody) {
   let lastError;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    if (rateLimiter) await rateLimiter.wait();
+
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const timer = {
+      reset() {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+      },
+      clear() {
+        clearTimeout(timeoutId);
+      }
+    };
 
     try {
       const res = await fetch(url, { ...options, signal: controller.signal });
-      clearTimeout(timeoutId);
-
-      const text = await res.text();
-      const json = parseResponse(text);
 
-      if (res.ok) return json;
+      if (res.ok) {
+        const result = await readBody(res, timer);
+        timer.clear();
+        return result;
+      }
 
-      const err = createHttpError(json, text, res.status);
+      timer.clear();
+      const text = await res.text();
+      const err = createHttpError(parseResponse(text), text, res.status);
 
       // Don't retry 4xx errors except 408 and 429
       if (!isRetryableError(res.status)) throw err;
       if (attempt >= maxRetries) throw err;
 
-      const delay = calculateBackoff(attempt);
+      let delay = calculateBackoff(attempt);
+      if (res.status === 429) {
+        delay = Math.max(delay, parseRetryAfter(res.headers?.get?.("retry-after")));
+        if (rateLimiter) rateLimiter.pause(delay);
+      }
       if (onRetry) onRetry({ status: res.status, attempt, delay });
       await sleep(delay);
       lastError = err;
 
     } catch (err) {
-      clearTimeout(timeoutId);
+      timer.clear();
 
       if (err.name === "AbortError") {
         const timeoutErr = new Error(`Request timed out after ${timeoutMs}ms`);
@@ -116,7 +158,7 @@ async function fetchJson(url, options, { timeoutMs, maxRetries = MAX_RETRIES, on
       // Network errors (no status) are retryable
       if (!err.status && attempt < maxRetries) {
         const delay = calculateBackoff(attempt);
-        if (onRetry) onRetry({ status: 0, attempt, delay, network: true });
+        if (onRetry) onRetry({ status: 0, attempt, delay, network: true, error: err });
         await sleep(delay);
         lastError = err;
         continue;
@@ -128,13 +170,81 @@ async function fetchJson(url, options, { timeoutMs, maxRetries = MAX_RETRIES, on
   throw lastError;
 }
 
+/**
+ * Fetches JSON from a URL with timeout and retry support.
+ * @param {string} url - The URL to fetch
+ * @param {object} options - Fetch options (method, headers, body)
+ * @param {object} config - Configuration object
+ * @param {number} config.timeoutMs - Request timeout in milliseconds
+ * @param {number} [config.maxRetries=3] - Maximum retry attempts
+ * @param {Function} [config.onRetry] - Callback for retry events
+ * @param {object} [config.rateLimiter] - Shared limiter (see createRateLimiter); a 429 pauses every caller
+ * @returns {Promise<object>} Parsed JSON response
+ * @throws {Error} If all retries fail
+ */
+async function fetchJson(url, options, config = {}) {
+  return fetchWithRetry(url, options, config, async (res, timer) => {
+    timer.clear();
+    return parseResponse(await res.text());
+  });
+}
+
+/**
+ * Streams a response line by line (SSE or NDJSON) with retry support.
+ * timeoutMs is an idle timeout: it restarts whenever data arrives, so a slow
+ * model can keep generating as long as it keeps sending tokens. A stream that
+ * dies after delivering data is not retried; the caller gets the lines
+ * received so far and the interruption error. Lines that carry no data (SSE
+ * comments, keep-alives) don't count, so a stream that only sent those is
+ * retried like any failed request.
+ * @param {string} url - The URL to fetch
+ * @param {object} options - Fetch options (method, headers, body)
+ * @param {object} config - Configuration object (same as fetchJson)
+ * @param {number} config.timeoutMs - Longest wait for the next data, in milliseconds
+ * @param {Function} onLine - Called with each line of the body, without its line break;
+ *   returns true if the line carried a data payload
+ * @returns {Promise<{interrupted: Error|null}>} Why the stream ended early, or null if it completed
+ * @throws {Error} If all retries fail before any data arrives
+ */
+async function fetchStream(url, options, config, onLine) {
+  return fetchWithRetry(url, options, config, async (res, timer) => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let received = false;
+
+    try {
+      for await (const chunk of res.body) {
+        timer.reset();
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (onLine(line.replace(/\r$/, ""))) received = true;
+        }
+      }
+    } catch (err) {
+      if (!received) throw err;
+      const interrupted = err.name === "AbortError"
+        ? new Error(`Stream stalled for more than ${config.timeoutMs}ms`)
+        : err;
+      return { interrupted };
+    }
+
+    buffer += decoder.decode();
+    if (buffer) onLine(buffer.replace(/\r$/, ""));
+    return { interrupted: null };
+  });
+}
+
 module.exports = {
   sleep,
   parseResponse,
   createHttpError,
   isRetryableError,
   calculateBackoff,
+  parseRetryAfter,
   fetchJson,
+  fetchStream,
   MAX_RETRIES,
   RETRY_DELAY_MS
 };
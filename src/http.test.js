@@ -3,6 +3,7 @@ const {
   createHttpError,
   isRetryableError,
   calculateBackoff,
+  parseRetryAfter,
   MAX_RETRIES,
   RETRY_DELAY_MS
 } = require('./http');
@@ -56,6 +57,21 @@ describe('createHttpError', () => {
     expect(err.status).toBe(404);
   });
 
+  test('prefixes the error type for Anthropic error bodies', () => {
+    const json = { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } };
+    const err = createHttpError(json, 'raw text', 529);
+    expect(err.message).toBe('overloaded_error: Overloaded');
+    expect(err.type).toBe('overloaded_error');
+    expect(err.status).toBe(529);
+  });
+
+  test('records the OpenAI error type without changing the message', () => {
+    const json = { error: { message: 'Bad model', type: 'invalid_request_error' } };
+    const err = createHttpError(json, 'raw text', 400);
+    expect(err.message).toBe('Bad model');
+    expect(err.type).toBe('invalid_request_error');
+  });
+
   test('attaches body to error', () => {
     const err = createHttpError(null, 'response body', 500);
     expect(err.body).toBe('response body');
@@ -123,6 +139,30 @@ describe('calculateBackoff', () => {
   });
 });
 
+describe('parseRetryAfter', () => {
+  test('returns 0 for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBe(0);
+    expect(parseRetryAfter('')).toBe(0);
+    expect(parseRetryAfter('soon')).toBe(0);
+  });
+
+  test('parses delay-seconds', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  test('parses HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30000);
+  });
+
+  test('never returns negative delays', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('-3')).toBe(0);
+  });
+});
+
 describe('constants', () => {
   test('MAX_RETRIES is defined and reasonable', () => {
     expect(MAX_RETRIES).toBeDefined();
@@ -1,149 +1,341 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const core = require("@actions/core");
 const github = require("@actions/github");
+const { trimPatch, trimDiff } = require("./utils");
+const { chunkPatch } = require("./diff");
+const { buildFileContext, CONTEXT_BUDGET_SHARE } = require("./context");
+const { loadSymbolIndex, buildSymbolContext } = require("./symbols");
+const { sendChat } = require("./providers");
 const {
-  clampInt,
-  estimateTokens,
-  chunkString,
-  trimDiff,
-  isEmptyReview,
-  getFirstHunkPosition
-} = require("./utils");
+  buildModelChain,
+  createModelChain
+} = require("./fallback");
 const {
-  sleep,
-  parseResponse,
-  createHttpError,
-  isRetryableError,
-  calculateBackoff,
+  createTokenizer,
+  planDiffBudget,
+  PROMPT_OVERHEAD_TOKENS
+} = require("./tokens");
+const {
+  fetchJson,
   MAX_RETRIES
 } = require("./http");
+const {
+  createLimiter,
+  mapWithConcurrency,
+  createRateLimiter
+} = require("./concurrency");
 const {
   SYSTEM_PROMPT,
   buildSummaryPrompt,
-  buildFilePrompt
+  buildFileContextSection,
+  buildSymbolContextSection,
+  buildFilePrompt,
+  buildMergePrompt,
+  buildRepairPrompt,
+  buildContinuationPrompt,
+  buildExplainChangesPrompt,
+  buildExplainFindingPrompt,
+  buildThreadReplyPrompt
 } = require("./prompts");
+const {
+  parseFindings,
+  serializeFindings,
+  joinContinuation,
+  countBySeverity,
+  resolveFailThreshold,
+  findingsAtOrAbove,
+  MAX_REPAIR_ATTEMPTS
+} = require("./findings");
+const {
+  parseConfigText,
+  validateConfig,
+  resolveSettings,
+  DEFAULT_CONFIG_PATHS
+} = require("./config");
+const {
+  matchesAny,
+  filterFiles,
+  getPathInstructions
+} = require("./paths");
+const {
+  appendState,
+  stateReserve,
+  decodeState,
+  canReviewIncrementally,
+  stripState,
+  mergeFindings,
+  MAX_BODY_CHARS
+} = require("./state");
+const {
+  groupFileDiffs,
+  dedupeFindings
+} = require("./summary");
+const { renderSummary, renderModelLine, renderIncompleteLine, formatLocation } = require("./render");
+const {
+  createUsageTracker,
+  summarizeUsage,
+  estimateCost,
+  renderUsageFooter
+} = require("./usage");
+const { buildJobSummary } = require("./report");
+const { buildSarif } = require("./sarif");
+const {
+  buildFileComments,
+  splitReviewComments,
+  buildReviewBody,
+  commentHeader,
+  fingerprintInPatch,
+  parseFindingMarkers,
+  isStaleComment,
+  replyMarker,
+  buildThreadConversation
+} = require("./comments");
+const {
+  parseCommand,
+  formatCommand,
+  hasPermission,
+  matchFindings,
+  renderCommandHelp,
+  renderAmbiguousMatches,
+  PERMISSION_LEVELS
+} = require("./commands");
 
 // ============================================================================
-// Configuration Constants
+// HTTP Client with Retry (uses functions from ./http.js)
 // ============================================================================
 
-// Default values for action inputs (can be overridden by user)
-const DEFAULT_TIMEOUT_MS = 60000;
-const DEFAULT_MAX_TOKENS = 1024;
-const DEFAULT_CHUNK_SIZE = 12000;
-const DEFAULT_MAX_DIFF_PER_FILE = 50000;
+// Shared by every LLM request so a 429 backs off all workers together
+const rateLimiter = createRateLimiter();
+
+// Collects tokens, latency and retries of every LLM request in the run
+const usageTracker = createUsageTracker();
+
+/**
+ * Logs retry events from fetchJson as workflow warnings.
+ * @param {object} event - Retry event from fetchJson
+ * @returns {void}
+ */
+function logRetry({ status, attempt, delay, timeout, network, error }) {
+  if (timeout) {
+    core.warning(`Timeout, retrying... (${attempt}/${MAX_RETRIES})`);
+  } else if (network) {
+    core.warning(`Network error: ${error?.message}, retrying in ${delay}ms... (${attempt}/${MAX_RETRIES})`);
+  } else {
+    core.warning(`API error (${status}), retrying in ${delay}ms... (${attempt}/${MAX_RETRIES})`);
+  }
+}
 
-// Token warning threshold
-const TOKEN_WARNING_THRESHOLD = 25000;
+/**
+ * Logs a switch to the next model in the fallback chain.
+ * @param {object} endpoint - Endpoint that failed
+ * @param {Error} err - Its error
+ * @param {object} next - Endpoint tried next
+ * @returns {void}
+ */
+function logFallback(endpoint, err, next) {
+  core.warning(`Model ${endpoint.label} failed (${err.message}), falling back to ${next.label}`);
+}
 
 // ============================================================================
-// HTTP Client with Retry (uses functions from ./http.js)
+// LLM Integration
 // ============================================================================
 
 /**
- * Fetches JSON from a URL with timeout and retry support.
- * Wrapper around http.js functions with core.warning integration.
- * @param {string} url - The URL to fetch
- * @param {object} options - Fetch options (method, headers, body)
- * @param {object} config - Configuration object
- * @param {number} config.timeoutMs - Request timeout in milliseconds
- * @param {number} [config.maxRetries=3] - Maximum retry attempts
- * @returns {Promise<object>} Parsed JSON response
- * @throws {Error} If all retries fail
+ * Calls the configured provider's chat API.
+ * Every call, successful or not, is recorded in the run's usage tracker.
+ * @param {object} params - Call parameters
+ * @param {string} [params.provider] - Provider name (see providers.js)
+ * @param {string} params.baseUrl - API base URL
+ * @param {string} params.apiKey - API key for authentication
+ * @param {string} params.model - Model name to use
+ * @param {object} [params.providerOptions] - Provider-specific settings (see providers.js)
+ * @param {string} params.systemPrompt - System prompt content
+ * @param {string} params.userPrompt - User prompt content
+ * @param {object[]} [params.history] - Follow-up messages appended after the user prompt
+ * @param {number} params.maxTokens - Maximum tokens in response
+ * @param {number} params.timeoutMs - Request timeout in milliseconds (idle timeout between tokens when streaming)
+ * @param {boolean} [params.stream=false] - Stream the response
+ * @returns {Promise<{text: string, finishReason: string|null, usage: object, interrupted?: string|null}>} Normalized response
  */
-async function fetchJson(url, options, { timeoutMs, maxRetries = MAX_RETRIES } = {}) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+async function callLLM({ provider, baseUrl, apiKey, model, providerOptions = {}, systemPrompt, userPrompt, history = [], maxTokens, timeoutMs, stream = false }) {
+  const startedAt = Date.now();
+  let retries = 0;
+  const onRetry = event => {
+    retries++;
+    logRetry(event);
+  };
 
-    try {
-      const res = await fetch(url, { ...options, signal: controller.signal });
-      clearTimeout(timeoutId);
+  try {
+    const result = await sendChat({
+      provider,
+      baseUrl,
+      apiKey,
+      model,
+      systemPrompt,
+      messages: [{ role: "user", content: userPrompt }, ...history],
+      maxTokens,
+      stream,
+      options: providerOptions
+    }, { timeoutMs, onRetry, rateLimiter });
+    usageTracker.record({ model, ...result.usage, latencyMs: Date.now() - startedAt, retries });
+    return result;
+  } catch (err) {
+    usageTracker.record({ model, latencyMs: Date.now() - startedAt, retries, failed: true });
+    throw err;
+  }
+}
 
-      const text = await res.text();
-      const json = parseResponse(text);
+/**
+ * Calls the LLM and, while the response stops at max_tokens, asks it to
+ * continue: the text so far is replayed as an assistant turn and each
+ * continuation is appended to it. Stops early when the next turn would not
+ * fit the context window.
+ * @param {object} params - Call parameters (same as callLLM)
+ * @param {number} [params.maxContinuations=0] - Maximum continuation turns
+ * @param {number} [params.promptTokens=0] - Tokens in the system and user prompts
+ * @param {number} [params.contextWindow=Infinity] - Model context window in tokens
+ * @param {object} [params.tokenizer] - Tokenizer from createTokenizer, required with contextWindow
+ * @returns {Promise<{text: string, finishReason: string|null, usage: object, interrupted?: string|null,
+ *   truncated: boolean}>} Last response with the joined text; truncated when the text is still incomplete
+ */
+async function callLLMWithContinuation({ maxContinuations = 0, promptTokens = 0, contextWindow = Infinity, tokenizer = null, history = [], ...params }) {
+  let result = await callLLM({ ...params, history });
+  let text = result.text;
 
-      if (res.ok) return json;
+  for (let turn = 1; turn <= maxContinuations && result.finishReason === "length" && !result.interrupted; turn++) {
+    const replayed = tokenizer ? [...history.map(m => m.content), text].reduce((n, t) => n + tokenizer.count(t), 0) : 0;
+    const needed = promptTokens + replayed + params.maxTokens + PROMPT_OVERHEAD_TOKENS;
+    if (needed > contextWindow) {
+      core.warning(`Response hit max_tokens, but a continuation would need ${needed} tokens (window ${contextWindow})`);
+      break;
+    }
 
-      const err = createHttpError(json, text, res.status);
+    core.info(`  Response hit max_tokens, asking model to continue... (${turn}/${maxContinuations})`);
+    result = await callLLM({
+      ...params,
+      history: [...history, { role: "assistant", content: text }, { role: "user", content: buildContinuationPrompt() }]
+    });
+    text = joinContinuation(text, result.text);
+  }
 
-      // Don't retry 4xx errors except 408 and 429
-      if (!isRetryableError(res.status)) throw err;
-      if (attempt >= maxRetries) throw err;
+  return { ...result, text, truncated: result.finishReason === "length" || Boolean(result.interrupted) };
+}
 
-      const delay = calculateBackoff(attempt);
-      core.warning(`API error (${res.status}), retrying in ${delay}ms... (${attempt}/${maxRetries})`);
-      await sleep(delay);
-      lastError = err;
+/**
+ * Asks the LLM for a JSON findings array, re-asking when the output is malformed.
+ * Each repair turn replays the bad output and the validation errors to the model.
+ * Findings that validated on the last attempt are kept even if others did not.
+ * A response that is still cut off after its continuations (or a streamed
+ * response that died midway) is not repaired: the findings that arrived
+ * complete are kept and the result is flagged as truncated.
+ * @param {object} params - Call parameters (same as callLLMWithContinuation, minus systemPrompt and promptTokens)
+ * @param {string} params.userPrompt - User prompt content
+ * @param {string} [params.defaultFile] - File to assume when a finding omits it
+ * @returns {Promise<{findings: object[], truncated: boolean}>} Normalized findings, and
+ *   whether the response was cut off
+ * @throws {Error} If no usable findings array could be obtained
+ */
+async function requestFindings({ userPrompt, defaultFile, ...llmParams }) {
+  const history = [];
+  const promptTokens = llmParams.tokenizer
+    ? llmParams.tokenizer.count(SYSTEM_PROMPT) + llmParams.tokenizer.count(userPrompt)
+    : 0;
+  let result;
 
-    } catch (err) {
-      clearTimeout(timeoutId);
-
-      if (err.name === "AbortError") {
-        const timeoutErr = new Error(`Request timed out after ${timeoutMs}ms`);
-        timeoutErr.status = 408;
-        if (attempt >= maxRetries) throw timeoutErr;
-        core.warning(`Timeout after ${timeoutMs}ms, retrying... (${attempt}/${maxRetries})`);
-        lastError = timeoutErr;
-        continue;
-      }
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const { text: raw, interrupted, truncated } = await callLLMWithContinuation({
+      ...llmParams,
+      systemPrompt: SYSTEM_PROMPT,
+      userPrompt,
+      promptTokens,
+      history
+    });
+    if (truncated) {
+      const partial = parseFindings(raw, { defaultFile, partial: true });
+      const reason = interrupted ? `Response stream was interrupted (${interrupted})` : "Response was cut off at max_tokens";
+      core.warning(`${reason}; keeping ${partial.findings.length} finding(s) received before it stopped`);
+      return { findings: partial.findings, truncated: true };
+    }
 
-      // Network errors (no status) are retryable
-      if (!err.status && attempt < maxRetries) {
-        const delay = calculateBackoff(attempt);
-        core.warning(`Network error: ${err.message}, retrying in ${delay}ms... (${attempt}/${maxRetries})`);
-        await sleep(delay);
-        lastError = err;
-        continue;
-      }
+    result = parseFindings(raw, { defaultFile });
+    if (result.errors.length === 0) return { findings: result.findings, truncated: false };
 
-      throw err;
+    if (attempt < MAX_REPAIR_ATTEMPTS) {
+      core.warning(`Malformed findings (${result.errors[0]}), asking model to repair... (${attempt + 1}/${MAX_REPAIR_ATTEMPTS})`);
+      history.push(
+        { role: "assistant", content: raw || "" },
+        { role: "user", content: buildRepairPrompt({ errors: result.errors }) }
+      );
     }
   }
-  throw lastError;
+
+  if (result.findings.length > 0) {
+    core.warning(`Dropped ${result.errors.length} invalid finding(s) after ${MAX_REPAIR_ATTEMPTS} repair attempts`);
+    return { findings: result.findings, truncated: false };
+  }
+  throw new Error(`Model did not return a valid findings array: ${result.errors[0]}`);
 }
 
-// ============================================================================
-// LLM Integration
-// ============================================================================
+/**
+ * Requests findings from the first endpoint in the fallback chain that succeeds.
+ * @param {object} params - Call parameters (same as requestFindings, minus the endpoint fields)
+ * @param {object} params.chain - Fallback chain from createModelChain
+ * @param {object} [params.providerOptions] - Provider-specific settings shared by all endpoints
+ * @returns {Promise<{findings: object[], truncated: boolean, model: string}>} Findings, whether
+ *   the response was cut off, and the model that produced them
+ * @throws {Error} The last error if every endpoint fails
+ */
+async function requestFindingsWithFallback({ chain, providerOptions = {}, ...params }) {
+  const { result, endpoint } = await chain.run(
+    endpoint => requestFindings({
+      ...params,
+      provider: endpoint.provider,
+      baseUrl: endpoint.baseUrl,
+      apiKey: endpoint.apiKey,
+      model: endpoint.model,
+      providerOptions: { ...providerOptions, azureDeployment: endpoint.azureDeployment }
+    }),
+    logFallback
+  );
+  return { ...result, model: endpoint.label };
+}
 
 /**
- * Calls an OpenAI-compatible chat completions API.
- * @param {object} params - Call parameters
- * @param {string} params.baseUrl - API base URL
- * @param {string} params.apiKey - API key for authentication
- * @param {string} params.model - Model name to use
- * @param {string} params.systemPrompt - System prompt content
+ * Asks the first endpoint in the fallback chain that succeeds for a free-form
+ * markdown answer (no findings schema).
+ * @param {object} params - Call parameters (same as callLLMWithContinuation, minus the endpoint fields)
+ * @param {object} params.chain - Fallback chain from createModelChain
+ * @param {object} [params.providerOptions] - Provider-specific settings shared by all endpoints
  * @param {string} params.userPrompt - User prompt content
- * @param {number} params.maxTokens - Maximum tokens in response
- * @param {number} params.timeoutMs - Request timeout in milliseconds
- * @returns {Promise<string>} Generated text response
+ * @returns {Promise<{text: string, truncated: boolean, model: string}>} Answer, whether it was
+ *   cut off, and the model that wrote it
+ * @throws {Error} The last error if every endpoint fails, or if the answer is empty
  */
-async function callLLM({ baseUrl, apiKey, model, systemPrompt, userPrompt, maxTokens, timeoutMs }) {
-  const url = `${baseUrl}/chat/completions`;
-
-  const payload = {
-    model,
-    temperature: 0.2,
-    max_tokens: maxTokens,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ],
-    response_format: { type: "text" }
-  };
-
-  const json = await fetchJson(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
+async function requestTextWithFallback({ chain, providerOptions = {}, userPrompt, ...params }) {
+  const promptTokens = params.tokenizer
+    ? params.tokenizer.count(SYSTEM_PROMPT) + params.tokenizer.count(userPrompt)
+    : 0;
+  const { result, endpoint } = await chain.run(
+    async endpoint => {
+      const response = await callLLMWithContinuation({
+        ...params,
+        provider: endpoint.provider,
+        baseUrl: endpoint.baseUrl,
+        apiKey: endpoint.apiKey,
+        model: endpoint.model,
+        providerOptions: { ...providerOptions, azureDeployment: endpoint.azureDeployment },
+        systemPrompt: SYSTEM_PROMPT,
+        userPrompt,
+        promptTokens
+      });
+      if (!response.text.trim()) throw new Error("Model returned an empty response");
+      return response;
     },
-    body: JSON.stringify(payload)
-  }, { timeoutMs });
-
-  return json?.choices?.[0]?.message?.content ?? json?.choices?.[0]?.text ?? "";
+    logFallback
+  );
+  return { text: result.text.trim(), truncated: result.truncated, model: endpoint.label };
 }
 
 // ============================================================================
@@ -152,93 +344,267 @@ async function callLLM({ baseUrl, apiKey, model, systemPrompt, userPrompt, maxTo
 
 /**
  * Reviews a single file's diff using the LLM.
- * Handles chunking for large diffs and aggregates responses.
+ * Large diffs are chunked on hunk boundaries; findings outside the line range
+ * a chunk covers lose their line, since the model never saw that line.
+ * When the file's content or a symbol index is given, each chunk is sent
+ * with as much context as the token budget leaves room for: related code
+ * from other files first, then the file itself.
  * @param {object} params - Review parameters
- * @param {string} params.baseUrl - API base URL
- * @param {string} params.apiKey - API key
- * @param {string} params.model - Model name
+ * @param {object} params.chain - Fallback chain from createModelChain
+ * @param {object} params.providerOptions - Provider-specific settings
  * @param {string} params.language - Review language
  * @param {string} params.extra - Extra instructions
+ * @param {object[]} [params.pathRules] - Per-path instruction rules from parsePathInstructions
  * @param {object} params.file - File object with filename and patch
+ * @param {string|null} [params.fileContent=null] - File at the PR head, for file context
+ * @param {string} [params.fileContext="none"] - File context mode (see FILE_CONTEXT_MODES)
+ * @param {number} [params.fileContextLines] - Lines around each hunk in "surrounding" mode
+ * @param {object|null} [params.symbolIndex=null] - Workspace index from loadSymbolIndex, for related code
+ * @param {number} [params.symbolContextRefs] - Uses or definitions quoted per symbol
  * @param {number} params.chunkSizeChars - Maximum chunk size
  * @param {number} params.maxDiffCharsPerFile - Maximum diff size per file
  * @param {number} params.maxTokens - Maximum response tokens
+ * @param {number} [params.maxContinuations=0] - Continuation turns allowed per response
  * @param {number} params.timeoutMs - Request timeout
- * @returns {Promise<string|null>} Review text or null if no issues found
+ * @param {boolean} [params.stream=false] - Stream responses
+ * @param {number} params.contextWindow - Model context window in tokens
+ * @param {object} params.tokenizer - Tokenizer from createTokenizer
+ * @param {Function} [params.limit] - Concurrency limiter from createLimiter (defaults to running immediately)
+ * @returns {Promise<{findings: object[], models: string[], truncatedChunks: number}>} Findings for the
+ *   file (empty if no issues found), the model that reviewed each chunk and how many chunks were cut off
  */
-async function reviewFile({ baseUrl, apiKey, model, language, extra, file, chunkSizeChars, maxDiffCharsPerFile, maxTokens, timeoutMs }) {
-  // Trim diff if too large
-  const trimmedPatch = trimDiff(file.patch, maxDiffCharsPerFile);
+async function reviewFile({ chain, providerOptions, language, extra, pathRules = [], file, fileContent = null, fileContext = "none", fileContextLines, symbolIndex = null, symbolContextRefs, chunkSizeChars, maxDiffCharsPerFile, maxTokens, maxContinuations = 0, timeoutMs, stream = false, contextWindow, tokenizer, limit = task => task() }) {
+  // Trim diff if too large. The cut is noted in the prompt rather than in the
+  // patch, where parsePatch would drop a marker line
+  const { patch: trimmedPatch, truncated: diffTruncated } = trimPatch(file.patch, maxDiffCharsPerFile);
+  const pathInstructions = getPathInstructions(file.filename, pathRules);
+  const withFileContext = fileContext !== "none" && Boolean(fileContent);
+  const withContext = withFileContext || Boolean(symbolIndex);
+
+  // Whatever the system prompt and instructions don't use is left for the
+  // chunk note, the diff and the context sections
+  const promptParams = { language, extra_instructions: extra, path_instructions: pathInstructions, filename: file.filename };
+  const baseTokens = tokenizer.count(buildFilePrompt({ ...promptParams, diffChunk: "" }));
+  const diffBudget = planDiffBudget({
+    contextWindow,
+    maxOutputTokens: maxTokens,
+    fixedTokens: tokenizer.count(SYSTEM_PROMPT) + baseTokens
+  });
+  const sectionTokens = (withFileContext ? tokenizer.count(buildFileContextSection("")) : 0) +
+    (symbolIndex ? tokenizer.count(buildSymbolContextSection("")) : 0);
 
-  // Chunk the trimmed diff
-  const chunks = chunkString(trimmedPatch, chunkSizeChars);
-  const responses = [];
+  const describeChunk = (chunk, i, count) => {
+    if (count === 1 && !diffTruncated) return null;
+    const range = chunk.startLine !== null ? `new-file lines ${chunk.startLine}-${chunk.endLine}` : null;
+    const position = count === 1 ? "the start of the diff" : [`part ${i + 1}/${count}`, range].filter(Boolean).join(", ");
+    if (!diffTruncated || i < count - 1) return position;
+    return `${position}; the diff is truncated after ${chunk.endLine !== null ? `new-file line ${chunk.endLine}` : "this point"}`;
+  };
+  const noteTokens = chunkInfo => chunkInfo
+    ? tokenizer.count(buildFilePrompt({ ...promptParams, diffChunk: "", chunkInfo })) - baseTokens
+    : 0;
+  const longestNote = chunks => Math.max(0, ...chunks.map((c, i) => noteTokens(describeChunk(c, i, chunks.length))));
 
-  for (let i = 0; i < chunks.length; i++) {
-    const chunkInfo = chunks.length > 1 ? `part ${i + 1}/${chunks.length}` : null;
+  // Chunk the trimmed diff on hunk boundaries, within both size limits; with
+  // context, chunks leave part of the budget for it. The chunk notes depend on
+  // the chunks, so re-chunk until every chunk fits next to its note
+  const chunkBudget = withContext ? Math.floor(diffBudget * (1 - CONTEXT_BUDGET_SHARE)) : diffBudget - sectionTokens;
+  const chunkWithin = reserve => chunkPatch(trimmedPatch, chunkSizeChars, { maxTokens: chunkBudget - reserve, countTokens: tokenizer.count });
+  let chunks = chunkWithin(0);
+  for (let reserve = 0; longestNote(chunks) > reserve;) {
+    reserve = longestNote(chunks);
+    chunks = chunkWithin(reserve);
+  }
+
+  // Chunks run through the shared limiter; Promise.all keeps chunk order
+  const chunkResults = await Promise.all(chunks.map((chunk, i) => limit(async () => {
+    const chunkInfo = describeChunk(chunk, i, chunks.length);
+    let contextBudget = diffBudget - noteTokens(chunkInfo) - tokenizer.count(chunk.text) - sectionTokens;
+    const related = symbolIndex ? buildSymbolContext({
+      index: symbolIndex,
+      file: file.filename,
+      patch: chunk.text,
+      maxRefs: symbolContextRefs,
+      maxTokens: contextBudget,
+      countTokens: tokenizer.count
+    }) : null;
+    contextBudget -= tokenizer.count(related);
+    const context = withFileContext ? buildFileContext({
+      content: fileContent,
+      patch: chunk.text,
+      mode: fileContext,
+      contextLines: fileContextLines,
+      maxTokens: contextBudget,
+      countTokens: tokenizer.count
+    }) : null;
     const prompt = buildFilePrompt({
-      language,
-      extra_instructions: extra,
-      filename: file.filename,
-      diffChunk: chunks[i],
-      chunkInfo
+      ...promptParams,
+      diffChunk: chunk.text,
+      chunkInfo,
+      fileContext: context?.text,
+      symbolContext: related
     });
 
-    core.info(`  Reviewing ${file.filename}${chunkInfo ? ` (${chunkInfo})` : ""}...`);
+    const contextNote = [
+      withFileContext ? (context ? `${context.mode} file context` : "no file context (over budget)") : null,
+      related ? "related code" : null
+    ].filter(Boolean).map(n => `, ${n}`).join("");
+    core.info(`  Reviewing ${file.filename}${chunkInfo ? ` (${chunkInfo})` : ""}${contextNote}...`);
 
-    const response = await callLLM({
-      baseUrl,
-      apiKey,
-      model,
-      systemPrompt: SYSTEM_PROMPT,
+    const { findings, truncated, model } = await requestFindingsWithFallback({
+      chain,
+      providerOptions,
       userPrompt: prompt,
+      defaultFile: file.filename,
       maxTokens,
-      timeoutMs
+      maxContinuations,
+      timeoutMs,
+      stream,
+      contextWindow,
+      tokenizer
     });
 
-    if (response && !isEmptyReview(response)) {
-      responses.push(response);
+    if (chunks.length === 1) return { findings, truncated, model };
+    const outside = line => chunk.startLine === null || line < chunk.startLine || line > chunk.endLine;
+    return {
+      findings: findings.map(f => {
+        if (f.line && outside(f.line)) return { ...f, line: null, ...(f.replacement ? { endLine: null } : {}) };
+        // A replacement reaching past the chunk covers lines the model never saw; keep it as plain code
+        if (f.replacement && f.endLine && outside(f.endLine)) return { ...f, endLine: null };
+        return f;
+      }),
+      truncated,
+      model
+    };
+  })));
+
+  // Split hunks overlap by a few lines, so the same issue can be reported twice
+  return {
+    findings: dedupeFindings(chunkResults.flatMap(r => r.findings)),
+    models: chunkResults.map(r => r.model),
+    truncatedChunks: chunkResults.filter(r => r.truncated).length
+  };
+}
+
+/**
+ * Merges the partial reviews of a large PR into one review with a second LLM pass.
+ * Falls back to dropping exact duplicates when the findings are too large to
+ * send, or the merge pass fails or returns nothing.
+ * @param {object} params - Merge parameters
+ * @param {object[]} params.findings - Findings from every partial review
+ * @param {string} params.language - Review language
+ * @param {string} params.filesSummary - Summary of all reviewed files
+ * @param {number} params.maxChars - Maximum prompt size in characters
+ * @param {number} params.contextWindow - Model context window in tokens
+ * @param {object} params.tokenizer - Tokenizer from createTokenizer
+ * @returns {Promise<{findings: object[], model: string|null}>} Merged findings and the
+ *   model that merged them (null when no merge pass ran)
+ */
+async function reducePartialFindings({ findings, language, filesSummary, maxChars, contextWindow, tokenizer, ...llmParams }) {
+  const deduped = dedupeFindings(findings);
+  if (deduped.length <= 1) return { findings: deduped, model: null };
+
+  const prompt = buildMergePrompt({ language, filesSummary, findings: deduped });
+  const promptTokens = tokenizer.count(SYSTEM_PROMPT) + tokenizer.count(prompt);
+  if (prompt.length > maxChars || promptTokens + llmParams.maxTokens + PROMPT_OVERHEAD_TOKENS > contextWindow) {
+    core.warning(`Partial findings are too large to merge (${promptTokens} tokens), keeping them as-is`);
+    return { findings: deduped, model: null };
+  }
+
+  core.info(`Merging ${deduped.length} findings from partial reviews...`);
+  try {
+    const merged = await requestFindingsWithFallback({ ...llmParams, contextWindow, tokenizer, userPrompt: prompt });
+    if (merged.truncated) {
+      core.warning("Merge pass was cut off, keeping partial findings");
+    } else if (merged.findings.length > 0) {
+      return { findings: merged.findings, model: merged.model };
+    } else {
+      core.warning("Merge pass returned no findings, keeping partial findings");
     }
+  } catch (err) {
+    core.warning(`Merge pass failed, keeping partial findings: ${err.message}`);
   }
+  return { findings: deduped, model: null };
+}
 
-  if (responses.length === 0) return null;
-  if (responses.length === 1) return responses[0];
+/**
+ * Submits inline comments as a single pull request review.
+ * Splits into the minimum number of reviews when the per-review comment limit is exceeded.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} prNumber - Pull request number
+ * @param {object[]} comments - Review comments from buildFileComments
+ * @param {object} summary - Review body parameters (see buildReviewBody)
+ * @param {Function} [withState] - Adds the hidden state marker to the first review's body
+ * @returns {Promise<{posted: number, url: string|null}>} Number of comments posted and the URL
+ *   of the first review that was created
+ */
+async function postBatchedReview(octokit, repo, prNumber, comments, summary, withState = body => body) {
+  const batches = splitReviewComments(comments);
+  let posted = 0;
+  let url = null;
 
-  return responses.map((r, i) => `**Part ${i + 1}:**\n${r}`).join("\n\n");
+  for (let i = 0; i < batches.length; i++) {
+    const body = buildReviewBody({ ...summary, part: i + 1, totalParts: batches.length });
+    try {
+      const resp = await octokit.rest.pulls.createReview({
+        ...repo,
+        pull_number: prNumber,
+        event: "COMMENT",
+        body: i === 0 ? withState(body) : body,
+        comments: batches[i]
+      });
+      posted += batches[i].length;
+      url = url || resp.data.html_url || null;
+    } catch (err) {
+      core.warning(`Failed to post review ${i + 1}/${batches.length}: ${err.message}`);
+    }
+  }
+
+  return { posted, url };
 }
 
 /**
- * Posts an inline review comment on a PR file.
+ * Finds this action's sticky comment on a PR/issue.
  * @param {object} octokit - GitHub Octokit client
  * @param {object} repo - Repository info {owner, repo}
- * @param {number} prNumber - Pull request number
- * @param {object} file - File object with filename and patch
- * @param {string} reviewBody - Review comment body
- * @param {string} model - Model name for attribution
- * @returns {Promise<boolean>} True if comment was posted successfully
+ * @param {number} issue_number - Issue/PR number
+ * @param {string} commentMarker - Unique marker for identifying the comment
+ * @returns {Promise<object|null>} The comment, or null if none exists yet
  */
-async function postInlineReview(octokit, repo, prNumber, file, reviewBody, model) {
-  const position = getFirstHunkPosition(file.patch);
+async function findStickyComment(octokit, repo, issue_number, commentMarker) {
+  const marker = `<!-- ${commentMarker} -->`;
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    ...repo,
+    issue_number,
+    per_page: 100
+  });
+  return comments.find(c => (c.body || "").includes(marker)) || null;
+}
 
-  try {
-    await octokit.rest.pulls.createReview({
-      ...repo,
-      pull_number: prNumber,
-      event: "COMMENT",
-      comments: [
-        {
-          path: file.filename,
-          position,
-          body: `🤖 **AI Review** (${model})\n\n${reviewBody}`
-        }
-      ]
-    });
-    core.info(`  Posted inline review for ${file.filename}`);
-  } catch (err) {
-    core.warning(`Failed to post inline comment for ${file.filename}: ${err.message}`);
-    return false;
+/**
+ * Builds the body of the summary comment: the header, the rendered findings and
+ * the footer, with the review state appended. Findings that would push the
+ * comment past GitHub's size limit are cut at a finding boundary, leaving room
+ * for at least the compact state or the ignored fingerprints.
+ * @param {object} params - Body parts
+ * @param {string} params.header - Markdown before the findings, ending in a blank line
+ * @param {object[]} params.findings - Findings to render
+ * @param {string} [params.footer] - Markdown after the findings (e.g. the usage footer)
+ * @param {object} params.state - State to persist ({headSha, findings, ignored})
+ * @param {string} params.commentMarker - Unique marker for this action's comments
+ * @param {number} [params.maxChars=MAX_BODY_CHARS] - Maximum length of the body
+ * @returns {string} Comment body with state
+ */
+function buildSummaryBody({ header, findings, footer = "", state, commentMarker, maxChars = MAX_BODY_CHARS }) {
+  const tail = footer ? `\n\n${footer}` : "";
+  let summary = renderSummary(findings);
+  if (`${header}${summary}${tail}`.length > maxChars) {
+    const room = maxChars - header.length - tail.length - stateReserve(state, commentMarker, maxChars);
+    const note = "\n\n_More findings were left out to fit GitHub's comment size limit._";
+    summary = `${summary.slice(0, Math.max(0, summary.lastIndexOf("\n\n", room - note.length)))}${note}`;
   }
-  return true;
+  return appendState(`${header}${summary}${tail}`, state, commentMarker, { separator: "\n\n", maxChars });
 }
 
 /**
@@ -249,32 +615,564 @@ async function postInlineReview(octokit, repo, prNumber, file, reviewBody, model
  * @param {number} issue_number - Issue/PR number
  * @param {string} body - Comment body content
  * @param {string} commentMarker - Unique marker for identifying the comment
- * @returns {Promise<void>}
+ * @returns {Promise<string|null>} URL of the comment
  */
 async function createOrUpdateComment(octokit, repo, issue_number, body, commentMarker) {
   const marker = `<!-- ${commentMarker} -->`;
   const finalBody = `${marker}\n${body}`;
 
-  const comments = await octokit.rest.issues.listComments({
-    ...repo,
-    issue_number,
-    per_page: 100
-  });
-
-  const existing = comments.data.find(c => (c.body || "").includes(marker));
+  const existing = await findStickyComment(octokit, repo, issue_number, commentMarker);
+  let resp;
   if (existing) {
-    await octokit.rest.issues.updateComment({
+    resp = await octokit.rest.issues.updateComment({
       ...repo,
       comment_id: existing.id,
       body: finalBody
     });
   } else {
-    await octokit.rest.issues.createComment({
+    resp = await octokit.rest.issues.createComment({
       ...repo,
       issue_number,
       body: finalBody
     });
   }
+  return resp.data.html_url || existing?.html_url || null;
+}
+
+/**
+ * Finds the most recent pull request review carrying this action's state marker.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} prNumber - Pull request number
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {Promise<object|null>} The review, or null if none exists
+ */
+async function findStateReview(octokit, repo, prNumber, commentMarker) {
+  const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+    ...repo,
+    pull_number: prNumber,
+    per_page: 100
+  });
+  return [...reviews].reverse().find(r => decodeState(r.body, commentMarker)) || null;
+}
+
+/**
+ * Lists the inline review comments this action posted on a PR.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} prNumber - Pull request number
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {Promise<object[]>} Review comments carrying finding markers
+ */
+async function listActionReviewComments(octokit, repo, prNumber, commentMarker) {
+  const comments = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+    ...repo,
+    pull_number: prNumber,
+    per_page: 100
+  });
+  return comments.filter(c => parseFindingMarkers(c.body, commentMarker).length > 0);
+}
+
+const MINIMIZED_COMMENTS_QUERY = `
+  query($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on PullRequestReviewComment { id isMinimized }
+    }
+  }
+`;
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            comments(first: 1) { nodes { databaseId } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Resolves the threads of, or minimizes, stale review comments via GraphQL.
+ * Threads already resolved and comments already minimized are skipped.
+ * Failures are logged and do not fail the run.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} prNumber - Pull request number
+ * @param {object[]} staleComments - Review comments to retire
+ * @param {string} action - "resolve" or "minimize"
+ * @returns {Promise<number>} Number of comments retired
+ */
+async function retireStaleComments(octokit, repo, prNumber, staleComments, action) {
+  let retired = 0;
+
+  try {
+    if (action === "minimize") {
+      // Skip comments minimized by an earlier run; the nodes query takes up to 100 IDs
+      const minimized = new Set();
+      for (let i = 0; i < staleComments.length; i += 100) {
+        const ids = staleComments.slice(i, i + 100).map(c => c.node_id);
+        const resp = await octokit.graphql(MINIMIZED_COMMENTS_QUERY, { ids });
+        for (const node of resp.nodes) {
+          if (node?.isMinimized) minimized.add(node.id);
+        }
+      }
+
+      for (const comment of staleComments.filter(c => !minimized.has(c.node_id))) {
+        await octokit.graphql(
+          `mutation($id: ID!) { minimizeComment(input: { subjectId: $id, classifier: OUTDATED }) { clientMutationId } }`,
+          { id: comment.node_id }
+        );
+        retired++;
+      }
+      return retired;
+    }
+
+    // Map each thread's root comment to the thread so we can resolve it
+    const threads = new Map();
+    let cursor = null;
+    do {
+      const resp = await octokit.graphql(REVIEW_THREADS_QUERY, { ...repo, number: prNumber, cursor });
+      const page = resp.repository.pullRequest.reviewThreads;
+      for (const thread of page.nodes) {
+        const root = thread.comments.nodes[0];
+        if (root) threads.set(root.databaseId, thread);
+      }
+      cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (cursor);
+
+    for (const comment of staleComments) {
+      const thread = threads.get(comment.id);
+      if (!thread || thread.isResolved) continue;
+      await octokit.graphql(
+        `mutation($id: ID!) { resolveReviewThread(input: { threadId: $id }) { thread { id } } }`,
+        { id: thread.id }
+      );
+      retired++;
+    }
+  } catch (err) {
+    core.warning(`Failed to ${action} stale comments: ${err.message}`);
+  }
+
+  return retired;
+}
+
+/**
+ * Fetches the files changed between two commits.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {string} base - Older commit SHA
+ * @param {string} head - Newer commit SHA
+ * @returns {Promise<object[]|null>} Changed files, or null if head does not
+ *   simply extend base (force push, rebase) or base no longer exists
+ */
+async function fetchCompareFiles(octokit, repo, base, head) {
+  try {
+    const resp = await octokit.rest.repos.compareCommitsWithBasehead({
+      ...repo,
+      basehead: `${base}...${head}`,
+      per_page: 100
+    });
+    if (resp.data.status !== "ahead") return null;
+    return resp.data.files || [];
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Fetches the content of a file at a given ref.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {string} path - File path
+ * @param {string} ref - Branch, tag or SHA to read the file from
+ * @returns {Promise<string|null>} File content, or null if the file does not exist
+ *   there or is too large for the contents API
+ */
+async function fetchFileContent(octokit, repo, path, ref) {
+  try {
+    const resp = await octokit.rest.repos.getContent({ ...repo, path, ref });
+    if (resp.data.type !== "file" || !resp.data.content) return null;
+    return Buffer.from(resp.data.content, resp.data.encoding || "base64").toString("utf8");
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Loads the repository config file from a given ref.
+ * Tries DEFAULT_CONFIG_PATHS in order unless an explicit path is given.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {string} ref - Branch, tag or SHA to read the file from
+ * @param {string} [configPath] - Explicit config path (must exist if given)
+ * @returns {Promise<object>} Validated config settings (empty if no file)
+ * @throws {Error} If the file is invalid, or an explicit path is missing
+ */
+async function loadRepoConfig(octokit, repo, ref, configPath) {
+  const candidates = configPath ? [configPath] : DEFAULT_CONFIG_PATHS;
+
+  for (const path of candidates) {
+    let resp;
+    try {
+      resp = await octokit.rest.repos.getContent({ ...repo, path, ref });
+    } catch (err) {
+      if (err.status === 404) continue;
+      throw err;
+    }
+
+    const text = Buffer.from(resp.data.content || "", resp.data.encoding || "base64").toString("utf8");
+    core.info(`Loaded config from ${path} (${ref})`);
+    return validateConfig(parseConfigText(text, path), path);
+  }
+
+  if (configPath) throw new Error(`Config file ${configPath} not found on ${ref}`);
+  return {};
+}
+
+/**
+ * Publishes the results of a run as step outputs and in the job summary.
+ * The findings are written to a JSON file in RUNNER_TEMP, in the same shape
+ * the model is asked to produce. A job summary that cannot be written (e.g.
+ * outside GitHub Actions) only logs a warning. With sarif_path set, the
+ * findings are also written as SARIF for code scanning.
+ * @param {object} report - Run report (see buildJobSummary), plus:
+ * @param {string} report.reviewBody - Markdown of the posted review, without hidden markers
+ * @param {string} report.commentMarker - Unique marker, used to name the findings file
+ * @param {string} [report.sarifPath=""] - Where to write the SARIF file, relative to the workspace
+ * @param {Map<string, string>} [report.patches] - Diff per file name, used to place SARIF results
+ * @returns {Promise<void>}
+ */
+async function publishResults(report) {
+  const usage = summarizeUsage(usageTracker.calls());
+  const { cost } = estimateCost(usage, report.prices);
+  const findingsPath = path.join(
+    process.env.RUNNER_TEMP || os.tmpdir(),
+    `ai-pr-review-findings-${report.commentMarker.replace(/[^\w-]/g, "_")}.json`
+  );
+  fs.writeFileSync(findingsPath, `${JSON.stringify(serializeFindings(report.findings), null, 2)}\n`);
+
+  let sarifFile = "";
+  if (report.sarifPath) {
+    sarifFile = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), report.sarifPath);
+    fs.mkdirSync(path.dirname(sarifFile), { recursive: true });
+    fs.writeFileSync(sarifFile, `${JSON.stringify(buildSarif(report.findings, { patches: report.patches }), null, 2)}\n`);
+    core.info(`Wrote SARIF with ${report.findings.length} result(s) to ${sarifFile}`);
+  }
+
+  core.setOutput("review_body", report.reviewBody);
+  core.setOutput("findings_path", findingsPath);
+  core.setOutput("sarif_file", sarifFile);
+  core.setOutput("comment_url", report.commentUrl || "");
+  core.setOutput("files_reviewed", report.filesReviewed);
+  core.setOutput("files_skipped", report.filesSkipped);
+  core.setOutput("findings_count", report.findings.length);
+  for (const [severity, count] of Object.entries(countBySeverity(report.findings))) {
+    core.setOutput(`${severity}_count`, count);
+  }
+  core.setOutput("truncated", report.truncated);
+  core.setOutput("prompt_tokens", usage.inputTokens);
+  core.setOutput("completion_tokens", usage.outputTokens);
+  core.setOutput("llm_calls", usage.calls);
+  core.setOutput("estimated_cost", cost === null ? "" : cost.toFixed(6));
+  core.info(`Usage: ${usage.inputTokens} prompt + ${usage.outputTokens} completion tokens in ${usage.calls} calls (${usage.retries} retries)`);
+
+  try {
+    await buildJobSummary(core.summary, { ...report, usage }).write();
+  } catch (err) {
+    core.warning(`Could not write job summary: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// Slash Commands
+// ============================================================================
+
+/**
+ * Reads a slash command from an issue_comment event.
+ * Only new comments on pull requests count; comments by bots (including this
+ * action's own replies) are ignored.
+ * @param {object} payload - Webhook event payload
+ * @returns {{name: string, arg: string, commentId: number, user: string}|null} Command and
+ *   where it came from, or null if the event carries none
+ */
+function commandFromEvent(payload) {
+  const comment = payload.comment;
+  if (payload.action !== "created" || !payload.issue?.pull_request || !comment) return null;
+  if (comment.user?.type === "Bot") return null;
+
+  const command = parseCommand(comment.body);
+  return command ? { ...command, commentId: comment.id, user: comment.user.login } : null;
+}
+
+/**
+ * Looks up a user's role on the repository. Custom repository roles report
+ * their own `role_name`, so those users get the base `permission` instead.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {string} username - GitHub login
+ * @returns {Promise<string|null>} Role (read, triage, write, maintain, admin), or null for non-collaborators
+ */
+async function getRepoRole(octokit, repo, username) {
+  try {
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ ...repo, username });
+    return [data.role_name, data.permission].find(role => PERMISSION_LEVELS.includes(role)) || null;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Adds a reaction to a PR conversation comment. Failures only log a warning.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} commentId - Issue comment ID
+ * @param {string} content - Reaction ("eyes", "-1", "confused", ...)
+ * @returns {Promise<void>}
+ */
+async function reactToComment(octokit, repo, commentId, content) {
+  try {
+    await octokit.rest.reactions.createForIssueComment({ ...repo, comment_id: commentId, content });
+  } catch (err) {
+    core.warning(`Could not react to comment ${commentId}: ${err.message}`);
+  }
+}
+
+/**
+ * Replies to a slash command in the PR conversation.
+ * @param {object} octokit - GitHub Octokit client
+ * @param {object} repo - Repository info {owner, repo}
+ * @param {number} prNumber - Pull request number
+ * @param {object} command - Command from commandFromEvent
+ * @param {string} text - Markdown reply
+ * @param {string} [model] - Model that wrote the reply, for attribution
+ * @returns {Promise<string|null>} URL of the reply
+ */
+async function replyToCommand(octokit, repo, prNumber, command, text, model) {
+  const header = `${model ? commentHeader(model) : "🤖 **AI Review**"} · \`${formatCommand(command)}\` from @${command.user}`;
+  const resp = await octokit.rest.issues.createComment({
+    ...repo,
+    issue_number: prNumber,
+    body: `${header}\n\n${text}`
+  });
+  return resp.data.html_url || null;
+}
+
+/**
+ * Resolves a command's finding reference to exactly one finding, replying
+ * when it matches none or several.
+ * @param {object} params - Lookup parameters
+ * @param {object} params.octokit - GitHub Octokit client
+ * @param {object} params.repo - Repository info {owner, repo}
+ * @param {number} params.prNumber - Pull request number
+ * @param {object} params.command - Command from commandFromEvent
+ * @param {object|null} params.state - State of the previous review
+ * @returns {Promise<object|null>} The finding, or null after replying
+ */
+async function findCommandFinding({ octokit, repo, prNumber, command, state }) {
+  if (!state) {
+    await replyToCommand(octokit, repo, prNumber, command, "There is no review on this pull request yet; run `/ai-review` first.");
+    return null;
+  }
+
+  const matches = matchFindings(state.findings || [], command.arg);
+  if (matches.length === 1) return matches[0];
+  await replyToCommand(octokit, repo, prNumber, command, matches.length === 0
+    ? `No finding in the current review matches \`${command.arg}\`.`
+    : renderAmbiguousMatches(command.arg, matches));
+  return null;
+}
+
+/**
+ * Handles `/ai-review ignore <finding>`: removes the finding from the review
+ * state and remembers its fingerprint so later runs drop it. In summary mode
+ * the sticky comment is re-rendered (or, from compact state, annotated); in
+ * inline mode the finding's thread is resolved.
+ * @param {object} params - Command parameters
+ * @param {object} params.octokit - GitHub Octokit client
+ * @param {object} params.repo - Repository info {owner, repo}
+ * @param {number} params.prNumber - Pull request number
+ * @param {object} params.command - Command from commandFromEvent
+ * @param {object|null} params.state - State of the previous review
+ * @param {object|null} params.stateHolder - Sticky comment (summary mode) or review (inline mode) holding the state
+ * @param {string} params.reviewMode - "summary" or "inline"
+ * @param {string} params.commentMarker - Unique marker for this action's comments
+ * @param {Map<string, object>} params.prFilesByName - PR files by name
+ * @returns {Promise<void>}
+ */
+async function handleIgnoreCommand({ octokit, repo, prNumber, command, state, stateHolder, reviewMode, commentMarker, prFilesByName }) {
+  if (!command.arg) {
+    await replyToCommand(octokit, repo, prNumber, command, "Say which finding to ignore, e.g. `/ai-review ignore src/a.js:12`.");
+    return;
+  }
+  const finding = await findCommandFinding({ octokit, repo, prNumber, command, state });
+  if (!finding) return;
+
+  const fingerprint = fingerprintInPatch(finding, prFilesByName.get(finding.file)?.patch);
+  const findings = state.findings.filter(f => f !== finding);
+  const newState = { ...state, findings, ignored: [...new Set([...(state.ignored || []), fingerprint])] };
+  const body = stripState(stateHolder.body, commentMarker);
+
+  if (reviewMode === "inline") {
+    await octokit.rest.pulls.updateReview({
+      ...repo,
+      pull_number: prNumber,
+      review_id: stateHolder.id,
+      body: appendState(body, newState, commentMarker)
+    });
+    const comments = await listActionReviewComments(octokit, repo, prNumber, commentMarker);
+    const threads = comments.filter(c => !c.in_reply_to_id &&
+      parseFindingMarkers(c.body, commentMarker).some(m => m.fingerprint === fingerprint));
+    if (threads.length > 0) await retireStaleComments(octokit, repo, prNumber, threads, "resolve");
+  } else if (state.compact) {
+    // Compact state has lost the findings' text, so keep the visible summary and note the ignore below it
+    await octokit.rest.issues.updateComment({
+      ...repo,
+      comment_id: stateHolder.id,
+      body: appendState(`${body}\n\n_Ignored since this review: **${finding.title}** (\`${formatLocation(finding)}\`)._`,
+        newState, commentMarker, { separator: "\n\n" })
+    });
+  } else {
+    // The sticky comment is the header, a blank line, the summary, then the usage footer
+    const headerEnd = body.indexOf("\n\n") + 2;
+    const footerStart = body.lastIndexOf("\n\n<sub>📊");
+    await octokit.rest.issues.updateComment({
+      ...repo,
+      comment_id: stateHolder.id,
+      body: buildSummaryBody({
+        header: body.slice(0, headerEnd),
+        findings,
+        footer: footerStart >= headerEnd ? body.slice(footerStart + 2) : "",
+        state: newState,
+        commentMarker
+      })
+    });
+  }
+
+  core.info(`Ignored finding "${finding.title}" (${formatLocation(finding)})`);
+  await replyToCommand(octokit, repo, prNumber, command,
+    `Ignored **${finding.title}** (\`${formatLocation(finding)}\`). It won't be reported again on this pull request.`);
+}
+
+/**
+ * Handles `/ai-review explain [<finding>]`: without a reference, explains what
+ * the pull request changes; with one, explains that finding in more detail.
+ * @param {object} params - Command parameters
+ * @param {object} params.octokit - GitHub Octokit client
+ * @param {object} params.repo - Repository info {owner, repo}
+ * @param {number} params.prNumber - Pull request number
+ * @param {object} params.command - Command from commandFromEvent
+ * @param {object|null} params.state - State of the previous review
+ * @param {object[]} params.files - Reviewable PR files, for the walkthrough
+ * @param {Map<string, object>} params.prFilesByName - PR files by name
+ * @param {string} params.language - Reply language
+ * @param {number} params.maxChars - Maximum diff size in characters
+ * @param {number} params.maxDiffCharsPerFile - Maximum diff size per file
+ * @param {object} params.llmParams - Parameters for requestTextWithFallback (chain, tokenizer, maxTokens, ...)
+ * @param {Function} params.usageFooter - Renders the usage footer
+ * @returns {Promise<void>}
+ */
+async function handleExplainCommand({ octokit, repo, prNumber, command, state, files, prFilesByName, language, maxChars, maxDiffCharsPerFile, llmParams, usageFooter }) {
+  const { tokenizer, contextWindow, maxTokens } = llmParams;
+  let prompt;
+
+  if (command.arg) {
+    const finding = await findCommandFinding({ octokit, repo, prNumber, command, state });
+    if (!finding) return;
+
+    const fixedTokens = tokenizer.count(SYSTEM_PROMPT) + tokenizer.count(buildExplainFindingPrompt({ language, finding, diffText: "" }));
+    const diffBudget = planDiffBudget({ contextWindow, maxOutputTokens: maxTokens, fixedTokens });
+    const patch = prFilesByName.get(finding.file)?.patch;
+    const diffText = patch ? tokenizer.truncate(trimDiff(patch, maxDiffCharsPerFile), diffBudget) : "";
+    prompt = buildExplainFindingPrompt({ language, finding, diffText });
+  } else {
+    if (files.length === 0) {
+      await replyToCommand(octokit, repo, prNumber, command, "This pull request has no reviewable changes to explain.");
+      return;
+    }
+    const filesSummary = files.map(f => `- ${f.filename} (+${f.additions}/-${f.deletions})`).join("\n");
+    const fixedTokens = tokenizer.count(SYSTEM_PROMPT) + tokenizer.count(buildExplainChangesPrompt({ language, filesSummary, diffText: "" }));
+    const diffBudget = planDiffBudget({ contextWindow, maxOutputTokens: maxTokens, fixedTokens });
+    // A walkthrough needs one pass; files beyond the first group are only listed
+    const [group] = groupFileDiffs(files, { maxChars, maxDiffCharsPerFile, maxTokens: diffBudget, tokenizer });
+    prompt = buildExplainChangesPrompt({ language, filesSummary, diffText: group.diffText });
+  }
+
+  const { text, truncated, model } = await requestTextWithFallback({ ...llmParams, userPrompt: prompt });
+  const note = truncated ? "\n\n_⚠️ The answer was cut off; raise `max_tokens` for a complete one._" : "";
+  await replyToCommand(octokit, repo, prNumber, command, `${text}${note}\n\n${usageFooter()}`, model);
+  core.info(`Posted explanation from ${model}`);
+}
+
+// ============================================================================
+// Thread Replies
+// ============================================================================
+
+/**
+ * Reads a reply in a review thread from a pull_request_review_comment event.
+ * Comments by bots (including this action's own replies) are ignored.
+ * @param {object} payload - Webhook event payload
+ * @returns {{commentId: number, rootId: number, user: string}|null} The reply and its
+ *   thread's root comment, or null if the event is not a new reply
+ */
+function threadReplyFromEvent(payload) {
+  const comment = payload.comment;
+  if (payload.action !== "created" || !comment?.in_reply_to_id) return null;
+  if (comment.user?.type === "Bot") return null;
+  return { commentId: comment.id, rootId: comment.in_reply_to_id, user: comment.user.login };
+}
+
+/**
+ * Answers a reply in a review thread this action started, in the same thread.
+ * The model sees the diff hunk, the original comment and every reply so far.
+ * @param {object} params - Reply parameters
+ * @param {object} params.octokit - GitHub Octokit client
+ * @param {object} params.repo - Repository info {owner, repo}
+ * @param {number} params.prNumber - Pull request number
+ * @param {object} params.threadReply - Reply from threadReplyFromEvent
+ * @param {string} params.commentMarker - Unique marker for this action's comments
+ * @param {string} params.language - Reply language
+ * @param {object} params.llmParams - Parameters for requestTextWithFallback (chain, tokenizer, maxTokens, ...)
+ * @param {Function} params.usageFooter - Renders the usage footer
+ * @returns {Promise<void>}
+ */
+async function handleThreadReply({ octokit, repo, prNumber, threadReply, commentMarker, language, llmParams, usageFooter }) {
+  const comments = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+    ...repo,
+    pull_number: prNumber,
+    per_page: 100
+  });
+  const root = comments.find(c => c.id === threadReply.rootId);
+  if (!root || parseFindingMarkers(root.body, commentMarker).length === 0) {
+    core.info("The thread was not started by this action; skipping.");
+    return;
+  }
+
+  const { tokenizer, contextWindow, maxTokens } = llmParams;
+  const { finding, replies } = buildThreadConversation(root, comments, commentMarker);
+  const promptParams = { language, filename: root.path, finding, replies };
+  const fixedTokens = tokenizer.count(SYSTEM_PROMPT) + tokenizer.count(buildThreadReplyPrompt({ ...promptParams, diffHunk: "" }));
+  const diffBudget = planDiffBudget({ contextWindow, maxOutputTokens: maxTokens, fixedTokens });
+  const prompt = buildThreadReplyPrompt({ ...promptParams, diffHunk: tokenizer.truncate(root.diff_hunk || "", diffBudget) });
+
+  const { text, truncated, model } = await requestTextWithFallback({ ...llmParams, userPrompt: prompt });
+  const note = truncated ? "\n\n_⚠️ The answer was cut off; raise `max_tokens` for a complete one._" : "";
+  await octokit.rest.pulls.createReplyForReviewComment({
+    ...repo,
+    pull_number: prNumber,
+    comment_id: root.id,
+    body: `${commentHeader(model)}\n\n${text}${note}\n\n${usageFooter()}\n${replyMarker(commentMarker)}`
+  });
+  core.info(`Replied to @${threadReply.user} in the thread on ${root.path} (${model})`);
 }
 
 // ============================================================================
@@ -283,46 +1181,165 @@ async function createOrUpdateComment(octokit, repo, issue_number, body, commentM
 
 /**
  * Main entry point for the GitHub Action.
- * Orchestrates PR file fetching, LLM review, and comment posting.
+ * Resolves the pull request from a pull_request event, a slash command
+ * comment or a reply in a review thread, then hands over to review().
  * @returns {Promise<void>}
  */
 async function main() {
   const token = process.env.GITHUB_TOKEN;
   if (!token) throw new Error("GITHUB_TOKEN is required");
 
-  // Read inputs
-  const baseUrlInput = core.getInput("base_url", { required: true }).trim().replace(/\/+$/, "");
-  const apiKey = core.getInput("api_key", { required: true }).trim();
-  const model = core.getInput("model", { required: true }).trim();
-  const language = core.getInput("language") || "Turkish";
-  const maxFiles = clampInt(core.getInput("max_files"), 25, 1, 200);
-  const maxChars = clampInt(core.getInput("max_chars"), 120000, 10000, 500000);
-  const failOnIssues = (core.getInput("fail_on_issues") || "false").toLowerCase() === "true";
-  const extra = core.getInput("extra_instructions") || "";
-  const commentMarker = core.getInput("comment_marker") || "AI_PR_REVIEW_ACTION";
-  const reviewMode = core.getInput("review_mode") || "summary";
-
-  // New configurable inputs
-  const timeoutMs = clampInt(core.getInput("timeout_ms"), DEFAULT_TIMEOUT_MS, 5000, 600000);
-  const maxTokens = clampInt(core.getInput("max_tokens"), DEFAULT_MAX_TOKENS, 50, 8000);
-  const chunkSizeChars = clampInt(core.getInput("chunk_size_chars"), DEFAULT_CHUNK_SIZE, 1000, 50000);
-  const maxDiffCharsPerFile = clampInt(core.getInput("max_diff_chars_per_file"), DEFAULT_MAX_DIFF_PER_FILE, 1000, 200000);
-
   const ctx = github.context;
-  if (!ctx.payload.pull_request) {
-    core.info("Not a pull_request event; skipping.");
-    return;
-  }
-
-  const pr = ctx.payload.pull_request;
   const owner = ctx.repo.owner;
   const repoName = ctx.repo.repo;
   const repo = { owner, repo: repoName };
   const octokit = github.getOctokit(token);
 
+  // Slash commands arrive as issue_comment events without the pull request itself
+  let command = null;
+  let threadReply = null;
+  let pr;
+  if (ctx.eventName === "issue_comment") {
+    command = commandFromEvent(ctx.payload);
+    if (!command) {
+      core.info("No /ai-review command in this comment; skipping.");
+      return;
+    }
+    pr = (await octokit.rest.pulls.get({ ...repo, pull_number: ctx.payload.issue.number })).data;
+  } else if (ctx.eventName === "pull_request_review_comment") {
+    threadReply = threadReplyFromEvent(ctx.payload);
+    if (!threadReply) {
+      core.info("Not a reply in a review thread; skipping.");
+      return;
+    }
+    pr = ctx.payload.pull_request;
+  } else if (ctx.payload.pull_request) {
+    pr = ctx.payload.pull_request;
+  } else {
+    core.info("Not a pull_request event; skipping.");
+    return;
+  }
+
+  try {
+    await review({ ctx, octokit, repo, pr, command, threadReply });
+  } catch (err) {
+    if (command) await reactToComment(octokit, repo, command.commentId, "confused");
+    throw err;
+  }
+}
+
+/**
+ * Reviews a pull request, or runs a slash command on it.
+ * Orchestrates PR file fetching, LLM review, and comment posting.
+ * @param {object} params - Run parameters
+ * @param {object} params.ctx - GitHub Actions context
+ * @param {object} params.octokit - GitHub Octokit client
+ * @param {object} params.repo - Repository info {owner, repo}
+ * @param {object} params.pr - Pull request
+ * @param {object|null} params.command - Slash command from commandFromEvent, or null for other events
+ * @param {object|null} params.threadReply - Review thread reply from threadReplyFromEvent, or null for other events
+ * @returns {Promise<void>}
+ */
+async function review({ ctx, octokit, repo, pr, command, threadReply }) {
+  // Read settings: action inputs win over the repo config file (from the base branch)
+  const apiKey = core.getInput("api_key", { required: true }).trim();
+  const fileConfig = await loadRepoConfig(octokit, repo, pr.base.ref, core.getInput("config_path").trim());
+  const settings = resolveSettings(core.getInput, fileConfig);
+  const {
+    provider,
+    baseUrl,
+    model,
+    language,
+    maxFiles,
+    maxChars,
+    extraInstructions: extra,
+    commentMarker,
+    reviewMode,
+    includePaths,
+    excludePaths,
+    useDefaultExcludes,
+    pathInstructions: pathRules,
+    timeoutMs,
+    stream,
+    maxTokens,
+    maxContinuations,
+    chunkSizeChars,
+    maxDiffCharsPerFile,
+    fileContext,
+    fileContextLines,
+    symbolContext,
+    symbolContextRefs,
+    incremental,
+    staleComments: staleCommentAction,
+    concurrency,
+    contextWindow
+  } = settings;
+  const providerOptions = { contextWindow, azureApiVersion: settings.azureApiVersion };
+  const chain = createModelChain(buildModelChain(
+    { provider, baseUrl, apiKey, model, azureDeployment: settings.azureDeployment },
+    settings.fallbackModels
+  ));
+  const failThreshold = resolveFailThreshold(settings.failOnSeverity, settings.failOnIssues);
+  const modelPrices = settings.modelPrices;
+  const usageFooter = () => {
+    const usage = summarizeUsage(usageTracker.calls());
+    return renderUsageFooter(usage, estimateCost(usage, modelPrices));
+  };
+
+  if (command) {
+    const role = await getRepoRole(octokit, repo, command.user);
+    if (!hasPermission(role, settings.commandPermission)) {
+      await reactToComment(octokit, repo, command.commentId, "-1");
+      core.info(`@${command.user} (${role || "no access"}) lacks "${settings.commandPermission}" permission for \`${formatCommand(command)}\`; skipping.`);
+      return;
+    }
+    await reactToComment(octokit, repo, command.commentId, "eyes");
+    core.info(`Running \`${formatCommand(command)}\` from @${command.user} on PR #${pr.number}`);
+
+    if (command.name === "help" || command.name === "unknown") {
+      const intro = command.name === "unknown" ? `Unknown command \`${command.arg}\`. ` : "";
+      await replyToCommand(octokit, repo, pr.number, command, `${intro}Available commands:\n\n${renderCommandHelp()}`);
+      return;
+    }
+  }
+
   core.info(`Starting AI PR Review for PR #${pr.number}`);
   core.info(`Mode: ${reviewMode}, Model: ${model}`);
-  core.info(`Config: timeout=${timeoutMs}ms, max_tokens=${maxTokens}, chunk_size=${chunkSizeChars}, max_diff_per_file=${maxDiffCharsPerFile}`);
+  core.info(`Provider: ${provider} (${baseUrl})`);
+  if (chain.endpoints.length > 1) {
+    core.info(`Fallback models: ${chain.endpoints.slice(1).map(e => `${e.label} (${e.provider})`).join(", ")}`);
+  }
+  core.info(`Config: timeout=${timeoutMs}ms${stream ? " (idle, streaming)" : ""}, max_tokens=${maxTokens}, max_continuations=${maxContinuations}, chunk_size=${chunkSizeChars}, max_diff_per_file=${maxDiffCharsPerFile}, concurrency=${concurrency}, context_window=${contextWindow}`);
+  if (fileContext !== "none") {
+    core.info(reviewMode === "inline"
+      ? `File context: ${fileContext}${fileContext === "surrounding" ? ` (${fileContextLines} lines)` : ""}`
+      : "file_context only applies to inline mode; ignoring it");
+  }
+  if (symbolContext && reviewMode !== "inline") core.info("symbol_context only applies to inline mode; ignoring it");
+
+  // Fail fast when the window cannot even hold the system prompt and the response
+  const tokenizer = createTokenizer(model);
+  planDiffBudget({ contextWindow, maxOutputTokens: maxTokens, fixedTokens: tokenizer.count(SYSTEM_PROMPT) });
+  core.info(`Tokenizer: ${tokenizer.encoding}`);
+
+  if (threadReply) {
+    const role = await getRepoRole(octokit, repo, threadReply.user);
+    if (!hasPermission(role, settings.commandPermission)) {
+      core.info(`@${threadReply.user} (${role || "no access"}) lacks "${settings.commandPermission}" permission for thread replies; skipping.`);
+      return;
+    }
+    await handleThreadReply({
+      octokit,
+      repo,
+      prNumber: pr.number,
+      threadReply,
+      commentMarker,
+      language,
+      llmParams: { chain, providerOptions, maxTokens, maxContinuations, timeoutMs, stream, contextWindow, tokenizer },
+      usageFooter
+    });
+    return;
+  }
 
   // 1) Fetch ALL PR files first
   const allFiles = [];
@@ -339,120 +1356,430 @@ async function main() {
     page++;
   }
 
-  // 2) Filter files with patches FIRST, then slice to max_files
-  const filesWithPatch = allFiles.filter(f => f.patch && f.patch.length > 0);
-  const reviewableFiles = filesWithPatch.slice(0, maxFiles);
+  // 2) Narrow to the commits since the last review on synchronize.
+  // The state is always read: it also holds the findings commands refer to
+  let state = null;
+  let stateReview = null;
+  let stickyComment = null;
+  if (reviewMode === "inline") {
+    stateReview = await findStateReview(octokit, repo, pr.number, commentMarker);
+    state = decodeState(stateReview?.body, commentMarker);
+  } else {
+    stickyComment = await findStickyComment(octokit, repo, pr.number, commentMarker);
+    state = decodeState(stickyComment?.body, commentMarker);
+  }
 
-  core.info(`Found ${allFiles.length} total files, ${filesWithPatch.length} with patches, reviewing ${reviewableFiles.length}`);
+  const prFilesByName = new Map(allFiles.map(f => [f.filename, f]));
+  let candidateFiles = allFiles;
+  let incrementalBase = null;
+  if (incremental && canReviewIncrementally({ action: ctx.payload.action, state, headSha: pr.head.sha })) {
+    const changed = await fetchCompareFiles(octokit, repo, state.headSha, pr.head.sha);
+    if (changed) {
+      // Ignore files brought in by merging the base branch
+      candidateFiles = changed.filter(f => prFilesByName.has(f.filename));
+      incrementalBase = state.headSha;
+      core.info(`Incremental review of ${candidateFiles.length} file(s) changed since ${incrementalBase.slice(0, 7)}`);
+    } else {
+      core.info(`Previous head ${state.headSha.slice(0, 7)} is not an ancestor of ${pr.head.sha.slice(0, 7)}; reviewing the full PR`);
+    }
+  }
+
+  // 3) Filter files with patches and path rules FIRST, then slice to max_files
+  const filesWithPatch = candidateFiles.filter(f => f.patch && f.patch.length > 0);
+  const { included, excluded } = filterFiles(filesWithPatch, {
+    include: includePaths,
+    exclude: excludePaths,
+    useDefaultExcludes
+  });
+  let reviewableFiles = included.slice(0, maxFiles);
+
+  // `/ai-review file <path>` reviews just that file, even if path filters exclude it
+  const targetFile = command?.name === "file" ? command.arg.replace(/^\.\//, "") : null;
+  if (command?.name === "file") {
+    reviewableFiles = filesWithPatch.filter(f => f.filename === targetFile);
+    if (!targetFile || reviewableFiles.length === 0) {
+      await replyToCommand(octokit, repo, pr.number, command, targetFile
+        ? `\`${targetFile}\` has no reviewable changes in this pull request.`
+        : "Say which file to review, e.g. `/ai-review file src/a.js`.");
+      return;
+    }
+  }
+
+  core.info(`Found ${allFiles.length} total files, ${filesWithPatch.length} with patches, ${excluded.length} excluded by path filters, reviewing ${reviewableFiles.length}`);
+
+  if (command?.name === "ignore") {
+    await handleIgnoreCommand({
+      octokit,
+      repo,
+      prNumber: pr.number,
+      command,
+      state,
+      stateHolder: reviewMode === "inline" ? stateReview : stickyComment,
+      reviewMode,
+      commentMarker,
+      prFilesByName
+    });
+    return;
+  }
+  if (command?.name === "explain") {
+    await handleExplainCommand({
+      octokit,
+      repo,
+      prNumber: pr.number,
+      command,
+      state,
+      files: reviewableFiles,
+      prFilesByName,
+      language,
+      maxChars,
+      maxDiffCharsPerFile,
+      llmParams: { chain, providerOptions, maxTokens, maxContinuations, timeoutMs, stream, contextWindow, tokenizer },
+      usageFooter
+    });
+    return;
+  }
+
+  const report = {
+    prNumber: pr.number,
+    mode: reviewMode,
+    models: [],
+    filesReviewed: reviewableFiles.length,
+    filesSkipped: candidateFiles.length - reviewableFiles.length,
+    findings: [],
+    commentUrl: null,
+    reviewBody: "",
+    truncated: false,
+    prices: modelPrices,
+    commentMarker,
+    sarifPath: settings.sarifPath,
+    patches: new Map(allFiles.map(f => [f.filename, f.patch]))
+  };
 
   if (reviewableFiles.length === 0) {
-    core.info("No reviewable files found (all binary or too large). Skipping.");
+    core.info("No reviewable files found (all binary, too large or unchanged). Skipping.");
+    await publishResults(report);
     return;
   }
 
-  // 3) Execute review based on mode
+  // Incremental and single-file runs carry forward the previous findings for the rest of the PR.
+  // Compact state has lost the text of its findings, so there is nothing to carry forward.
+  if (targetFile && state?.compact) {
+    core.info("The previous review's state was compacted; only findings for the requested file will be shown");
+  }
+  const withPreviousFindings = (findings) => {
+    if (targetFile) {
+      const previous = state?.compact ? [] : state?.findings || [];
+      return [...previous.filter(f => f.file !== targetFile && prFilesByName.has(f.file)), ...findings];
+    }
+    if (!incrementalBase) return findings;
+    return mergeFindings(state.findings || [], findings, {
+      patches: new Map(reviewableFiles.map(f => [f.filename, f.patch])),
+      prFiles: new Set(prFilesByName.keys())
+    });
+  };
+  const reviewScope = targetFile
+    ? `1 (\`${targetFile}\`, on request)`
+    : incrementalBase
+      ? `${reviewableFiles.length} (changes since \`${incrementalBase.slice(0, 7)}\`)`
+      : `${reviewableFiles.length}`;
+  // A single-file run leaves the rest of the PR where the last full review left it
+  // (or unreviewed, if the previous findings could not be carried forward)
+  const stateHeadSha = targetFile ? (!state?.compact && state?.headSha) || null : pr.head.sha;
+
+  // Findings dismissed with `/ai-review ignore` stay dismissed
+  const ignored = new Set(state?.ignored || []);
+  const dropIgnored = findings => findings.filter(f =>
+    !ignored.has(fingerprintInPatch(f, prFilesByName.get(f.file)?.patch)));
+
+  // 4) Execute review based on mode
+  let allFindings = [];
+  let truncatedParts = 0;
+  let failedParts = 0;
+
   if (reviewMode === "inline") {
-    let successCount = 0;
+    const comments = [];
     let skipCount = 0;
 
-    for (const file of reviewableFiles) {
+    // Fingerprints of findings already posted, so reruns don't repeat them
+    const existingComments = await listActionReviewComments(octokit, repo, pr.number, commentMarker);
+    const postedFingerprints = new Set(
+      existingComments.flatMap(c => parseFindingMarkers(c.body, commentMarker).map(m => m.fingerprint))
+    );
+
+    // Related code comes from the checked-out workspace (actions/checkout).
+    // issue_comment runs check out the default branch, not the PR head
+    let symbolIndex = null;
+    if (symbolContext && command) {
+      core.info("symbol_context is skipped for slash commands: the checkout is the default branch, not the pull request");
+    } else if (symbolContext) {
+      const { index, truncated } = loadSymbolIndex(process.env.GITHUB_WORKSPACE || process.cwd(), {
+        onSkip: (file, err) => core.debug(`Symbol index: skipped ${file}: ${err.message}`)
+      });
+      if (index.size() > 0) {
+        symbolIndex = index;
+        core.info(`Symbol index: ${index.size()} source file(s)${truncated ? " (limit reached, rest not indexed)" : ""}`);
+      } else {
+        core.warning("symbol_context is on but the workspace has no supported source files; run actions/checkout before this action");
+      }
+    }
+
+    // Review files in parallel; LLM calls and file context fetches are bounded by
+    // the shared limiter and hold back while the rate limiter is paused
+    const limit = createLimiter(concurrency);
+    const results = await Promise.all(reviewableFiles.map(async file => {
+      let fileContent = null;
+      if (fileContext !== "none" && file.status !== "removed") {
+        try {
+          fileContent = await limit(async () => {
+            await rateLimiter.wait();
+            return fetchFileContent(octokit, repo, file.filename, pr.head.sha);
+          });
+        } catch (err) {
+          core.warning(`Could not fetch ${file.filename} for file context: ${err.message}`);
+        }
+      }
+
       try {
-        const reviewBody = await reviewFile({
-          baseUrl: baseUrlInput,
-          apiKey,
-          model,
+        const { findings, models, truncatedChunks } = await reviewFile({
+          chain,
+          providerOptions,
           language,
           extra,
+          pathRules,
           file,
+          fileContent,
+          fileContext,
+          fileContextLines,
+          symbolIndex,
+          symbolContextRefs,
           chunkSizeChars,
           maxDiffCharsPerFile,
           maxTokens,
-          timeoutMs
+          maxContinuations,
+          timeoutMs,
+          stream,
+          contextWindow,
+          tokenizer,
+          limit
         });
-
-        if (reviewBody) {
-          const posted = await postInlineReview(octokit, repo, pr.number, file, reviewBody, model);
-          if (posted) successCount++;
-        } else {
-          skipCount++;
-          core.info(`  Skipped ${file.filename} (no issues found)`);
-        }
+        return { file, findings, models, truncatedChunks };
       } catch (err) {
         core.warning(`Failed to review ${file.filename}: ${err.message}`);
+        return { file, findings: null, models: [], truncatedChunks: 0 };
+      }
+    }));
+
+    // Build comments in file order so output is deterministic
+    const modelsUsed = results.flatMap(r => r.models);
+    const failedCount = results.filter(r => !r.findings).length;
+    truncatedParts = results.reduce((sum, r) => sum + r.truncatedChunks, 0);
+    report.models = modelsUsed;
+    report.filesReviewed -= failedCount;
+    report.filesSkipped += failedCount;
+    for (const { file, models, ...result } of results) {
+      if (!result.findings) continue;
+      const findings = dropIgnored(result.findings);
+      if (findings.length > 0) {
+        allFindings.push(...findings);
+        // Anchor against the full PR diff, which may be wider than an incremental patch
+        comments.push(...buildFileComments({
+          file: prFilesByName.get(file.filename) || file,
+          findings,
+          model: [...new Set(models)].join(", "),
+          commentMarker,
+          postedFingerprints
+        }));
+      } else {
+        skipCount++;
+        core.info(`  Skipped ${file.filename} (no issues found)`);
+      }
+    }
+
+    allFindings = withPreviousFindings(allFindings);
+    const newState = { headSha: stateHeadSha, findings: allFindings, ignored: [...ignored] };
+    const withState = body => appendState(body, newState, commentMarker);
+
+    let successCount = 0;
+    // Without an earlier state review, post one even with no comments so the state is saved
+    if (comments.length > 0 || !stateReview) {
+      const reviewSummary = {
+        model,
+        modelsUsed,
+        truncatedParts,
+        findings: allFindings,
+        filesReviewed: reviewScope,
+        footer: usageFooter()
+      };
+      const { posted, url } = await postBatchedReview(octokit, repo, pr.number, comments, reviewSummary, withState);
+      successCount = posted;
+      report.commentUrl = url;
+      report.reviewBody = buildReviewBody(reviewSummary);
+    } else if (stateReview) {
+      // Nothing new to post: carry the state forward on the previous review
+      await octokit.rest.pulls.updateReview({
+        ...repo,
+        pull_number: pr.number,
+        review_id: stateReview.id,
+        body: withState(stripState(stateReview.body, commentMarker))
+      });
+    }
+
+    let retiredCount = 0;
+    if (staleCommentAction !== "none") {
+      // Threads are retired through their root comment
+      const stale = existingComments.filter(c => !c.in_reply_to_id && isStaleComment(c, prFilesByName, commentMarker));
+      if (stale.length > 0) {
+        retiredCount = await retireStaleComments(octokit, repo, pr.number, stale, staleCommentAction);
       }
     }
 
-    core.info(`Inline review complete: ${successCount} comments posted, ${skipCount} files skipped`);
+    core.info(`Inline review complete: ${successCount} comments posted, ${retiredCount} stale comments retired (${staleCommentAction}), ${skipCount} files skipped`);
 
   } else {
-    // Summary mode
-    const filesSummary = reviewableFiles
+    // Summary mode: one prompt when the PR fits in max_chars, otherwise
+    // review file groups separately and merge the partial reviews
+    const summarizeFiles = files => files
       .map(f => `- ${f.filename} (+${f.additions}/-${f.deletions})`)
       .join("\n");
+    const filesSummary = summarizeFiles(reviewableFiles);
+    const summaryPathInstructions = files => pathRules
+      .filter(r => files.some(f => matchesAny(f.filename, [r.pattern])))
+      .map(r => `${r.pattern}: ${r.instruction}`);
+    const buildGroupPrompt = (files, diffText, partInfo) => buildSummaryPrompt({
+      language,
+      extra_instructions: extra,
+      path_instructions: summaryPathInstructions(files),
+      filesSummary: summarizeFiles(files),
+      diffText,
+      partInfo
+    });
 
-    // Build combined diff with per-file trimming
-    const diffParts = [];
-    let totalChars = 0;
-    for (const f of reviewableFiles) {
-      // Trim each file's diff before adding
-      const trimmedPatch = trimDiff(f.patch, maxDiffCharsPerFile);
-      const fileDiff = `--- a/${f.filename}\n+++ b/${f.filename}\n${trimmedPatch}\n`;
-
-      if (totalChars + fileDiff.length > maxChars) {
-        diffParts.push(`...[${reviewableFiles.length - diffParts.length} more files truncated]\n`);
-        break;
-      }
-      diffParts.push(fileDiff);
-      totalChars += fileDiff.length;
+    // Budget the diff against the largest fixed parts any group can have: the
+    // full file list, plus the part note (longest for the last part) once the
+    // number of parts is known
+    const baseTokens = tokenizer.count(buildGroupPrompt(reviewableFiles, "", null));
+    const diffBudget = planDiffBudget({
+      contextWindow,
+      maxOutputTokens: maxTokens,
+      fixedTokens: tokenizer.count(SYSTEM_PROMPT) + baseTokens
+    });
+    const partNoteTokens = count => count > 1
+      ? tokenizer.count(buildGroupPrompt(reviewableFiles, "", `part ${count}/${count}`)) - baseTokens
+      : 0;
+    const groupWithin = reserve => groupFileDiffs(reviewableFiles, { maxChars, maxDiffCharsPerFile, maxTokens: diffBudget - reserve, tokenizer });
+    let groups = groupWithin(0);
+    for (let reserve = 0; partNoteTokens(groups.length) > reserve;) {
+      reserve = partNoteTokens(groups.length);
+      groups = groupWithin(reserve);
     }
-    const diffText = diffParts.join("\n");
+    const llmParams = { chain, providerOptions, maxTokens, maxContinuations, timeoutMs, stream };
 
-    // Estimate tokens
-    const prompt = buildSummaryPrompt({ language, extra_instructions: extra, filesSummary, diffText });
-    const estimatedTokens = estimateTokens(prompt);
-    core.info(`Estimated input tokens: ~${estimatedTokens}`);
+    const reviewGroup = (group, i) => {
+      const partInfo = groups.length > 1 ? `part ${i + 1}/${groups.length}` : null;
+      const prompt = buildGroupPrompt(group.files, group.diffText, partInfo);
+      const promptTokens = tokenizer.count(SYSTEM_PROMPT) + tokenizer.count(prompt);
+      core.info(`${partInfo ? `Reviewing ${partInfo} (${group.files.length} files), p` : "P"}rompt tokens: ${promptTokens} (+${maxTokens} for the response, window ${contextWindow})`);
+      return requestFindingsWithFallback({ ...llmParams, contextWindow, tokenizer, userPrompt: prompt });
+    };
 
-    if (estimatedTokens > TOKEN_WARNING_THRESHOLD) {
-      core.warning(`Large prompt detected (~${estimatedTokens} tokens). Consider using inline mode or reducing max_files.`);
+    let newFindings;
+    const modelsUsed = [];
+    report.models = modelsUsed;
+    if (groups.length === 1) {
+      const result = await reviewGroup(groups[0], 0);
+      newFindings = result.findings;
+      modelsUsed.push(result.model);
+      truncatedParts = result.truncated ? 1 : 0;
+    } else {
+      core.info(`PR diff exceeds max_chars, reviewing ${reviewableFiles.length} files in ${groups.length} parts...`);
+      // A failed part only loses its own findings; the other parts are still merged
+      const results = await mapWithConcurrency(groups, concurrency, async (group, i) => {
+        try {
+          return await reviewGroup(group, i);
+        } catch (err) {
+          core.warning(`Failed to review part ${i + 1}/${groups.length}: ${err.message}`);
+          return { error: err, files: group.files };
+        }
+      });
+      const failed = results.filter(r => r.error);
+      if (failed.length === groups.length) throw failed[0].error;
+      const partial = results.filter(r => !r.error);
+      const failedFiles = failed.reduce((sum, r) => sum + r.files.length, 0);
+      failedParts = failed.length;
+      report.filesReviewed -= failedFiles;
+      report.filesSkipped += failedFiles;
+      const merged = await reducePartialFindings({
+        ...llmParams,
+        language,
+        filesSummary,
+        findings: partial.flatMap(p => p.findings),
+        maxChars,
+        contextWindow,
+        tokenizer
+      });
+      newFindings = merged.findings;
+      modelsUsed.push(...partial.map(p => p.model), ...(merged.model ? [merged.model] : []));
+      truncatedParts = partial.filter(p => p.truncated).length;
     }
 
-    // Call LLM
-    const content = await callLLM({
-      baseUrl: baseUrlInput,
-      apiKey,
-      model,
-      systemPrompt: SYSTEM_PROMPT,
-      userPrompt: prompt,
-      maxTokens,
-      timeoutMs
-    });
-
-    if (!content) throw new Error("Model returned empty response");
+    const findings = withPreviousFindings(dropIgnored(newFindings));
 
     // Post summary comment
     const header = [
       `## 🤖 AI PR Review`,
-      `- Model: \`${model}\``,
-      `- Files reviewed: ${reviewableFiles.length}`,
+      renderModelLine(modelsUsed),
+      `- Files reviewed: ${reviewScope}`,
+      groups.length > 1 ? `- Reviewed in ${groups.length} parts and merged` : null,
+      renderIncompleteLine(truncatedParts, groups.length, failedParts),
       ``,
-    ].join("\n");
+      ``
+    ].filter(line => line !== null).join("\n");
+    const newState = { headSha: stateHeadSha, findings, ignored: [...ignored] };
 
-    await createOrUpdateComment(octokit, repo, pr.number, header + content, commentMarker);
+    const footer = usageFooter();
+    report.reviewBody = `${header}${renderSummary(findings)}\n\n${footer}`;
+    // Leave room for the sticky marker createOrUpdateComment puts in front
+    const body = buildSummaryBody({
+      header,
+      findings,
+      footer,
+      state: newState,
+      commentMarker,
+      maxChars: MAX_BODY_CHARS - `<!-- ${commentMarker} -->\n`.length
+    });
+    report.commentUrl = await createOrUpdateComment(octokit, repo, pr.number, body, commentMarker);
     core.info("Summary review posted successfully.");
 
-    // Check for critical issues
-    if (failOnIssues) {
-      const lowered = content.toLowerCase();
-      const criticalKeywords = ["kritik", "critical", "security", "rce", "sql injection", "auth bypass", "vulnerability"];
-      if (criticalKeywords.some(k => lowered.includes(k))) {
-        core.setFailed("Critical issues detected by AI review (fail_on_issues=true).");
-      }
-    }
+    allFindings.push(...findings);
+  }
+
+  // 5) Publish outputs and the job summary, then apply the severity gate
+  await publishResults({ ...report, findings: allFindings, truncated: truncatedParts + failedParts > 0 });
+
+  const failing = findingsAtOrAbove(allFindings, failThreshold);
+  if (failing.length > 0) {
+    core.setFailed(`${failing.length} finding(s) at or above "${failThreshold}" severity detected by AI review.`);
   }
 
   core.info("AI PR Review completed.");
 }
 
-main().catch(err => {
-  core.setFailed(`${err.message}${err.status ? ` (HTTP ${err.status})` : ""}`);
-});
+// Run only as the action's entry point, so tests can load the functions above
+if (require.main === module) {
+  main().catch(err => {
+    core.setFailed(`${err.message}${err.status ? ` (HTTP ${err.status})` : ""}`);
+  });
+}
+
+module.exports = {
+  callLLMWithContinuation,
+  reviewFile,
+  requestFindings,
+  requestFindingsWithFallback,
+  requestTextWithFallback,
+  retireStaleComments,
+  getRepoRole,
+  handleIgnoreCommand,
+  handleExplainCommand,
+  handleThreadReply
+};
@@ -0,0 +1,341 @@
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({ context: {}, getOctokit: jest.fn() }));
+jest.mock('./providers', () => ({ ...jest.requireActual('./providers'), sendChat: jest.fn() }));
+
+const core = require('@actions/core');
+const { sendChat } = require('./providers');
+const { buildModelChain, createModelChain } = require('./fallback');
+const { encodeState, decodeState, compactFindings, MAX_BODY_CHARS } = require('./state');
+const { findingMarker, fingerprintInPatch, replyMarker } = require('./comments');
+const { renderSummary } = require('./render');
+const {
+  callLLMWithContinuation,
+  reviewFile,
+  requestFindings,
+  requestFindingsWithFallback,
+  retireStaleComments,
+  getRepoRole,
+  handleIgnoreCommand,
+  handleExplainCommand,
+  handleThreadReply
+} = require('./index');
+
+const tokenizer = { count: text => (text || '').length, truncate: text => text };
+const reply = (text, finishReason = 'stop') => ({ text, finishReason, usage: {} });
+const llm = { provider: 'openai-compatible', baseUrl: 'http://local/v1', apiKey: 'k', model: 'main', maxTokens: 50, timeoutMs: 1000 };
+const chain = (...models) => createModelChain(buildModelChain(
+  { provider: 'openai-compatible', baseUrl: 'http://local/v1', apiKey: 'k', model: models[0] },
+  models.slice(1).map(model => ({ model }))
+));
+
+const repo = { owner: 'o', repo: 'r' };
+const patch = '@@ -1,2 +1,3 @@\n const a = 1;\n+const b = a.b;\n return a;';
+const prFilesByName = new Map([['src/a.js', { filename: 'src/a.js', patch, additions: 1, deletions: 0 }]]);
+const finding = {
+  file: 'src/a.js',
+  line: 2,
+  severity: 'major',
+  category: 'bug',
+  title: 'Null dereference',
+  explanation: 'a may be undefined.',
+  suggestedFix: ''
+};
+const other = { ...finding, line: null, severity: 'minor', title: 'Saves $$ and $& later' };
+const command = (name, arg) => ({ name, arg, commentId: 7, user: 'alice' });
+
+/**
+ * Builds an Octokit stub whose REST methods resolve to empty responses.
+ * @param {object[]} [reviewComments=[]] - Review comments returned by paginate
+ * @returns {object} Octokit stub
+ */
+function octokitStub(reviewComments = []) {
+  return {
+    rest: {
+      issues: {
+        createComment: jest.fn().mockResolvedValue({ data: {} }),
+        updateComment: jest.fn().mockResolvedValue({ data: {} })
+      },
+      pulls: {
+        updateReview: jest.fn().mockResolvedValue({ data: {} }),
+        listReviewComments: jest.fn(),
+        createReplyForReviewComment: jest.fn().mockResolvedValue({ data: {} })
+      }
+    },
+    paginate: jest.fn().mockResolvedValue(reviewComments),
+    graphql: jest.fn()
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sendChat.mockReset();
+});
+
+describe('callLLMWithContinuation', () => {
+  test('joins continuations while the response stops at max_tokens', async () => {
+    sendChat
+      .mockResolvedValueOnce(reply('[{"a": ', 'length'))
+      .mockResolvedValueOnce(reply('```json\n1}]'));
+    const result = await callLLMWithContinuation({ ...llm, userPrompt: 'p', maxContinuations: 2 });
+
+    expect(result).toMatchObject({ text: '[{"a": 1}]', truncated: false });
+    const { messages } = sendChat.mock.calls[1][0];
+    expect(messages[1]).toEqual({ role: 'assistant', content: '[{"a": ' });
+    expect(messages[2].role).toBe('user');
+  });
+
+  test('stops when the next turn would not fit the context window', async () => {
+    sendChat.mockResolvedValue(reply('x'.repeat(20), 'length'));
+    // 100 prompt + 20 replayed + 50 output + 32 overhead > 200
+    const result = await callLLMWithContinuation({
+      ...llm, userPrompt: 'p', maxContinuations: 2, promptTokens: 100, contextWindow: 200, tokenizer
+    });
+
+    expect(sendChat).toHaveBeenCalledTimes(1);
+    expect(result.truncated).toBe(true);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('would need 202 tokens'));
+  });
+});
+
+describe('requestFindings', () => {
+  test('replays malformed output and the errors until the findings validate', async () => {
+    sendChat
+      .mockResolvedValueOnce(reply('not json'))
+      .mockResolvedValueOnce(reply('[{"file": "src/a.js", "line": 2, "severity": "major", "title": "T", "explanation": "E"}]'));
+    const result = await requestFindings({ ...llm, userPrompt: 'p' });
+
+    expect(result.truncated).toBe(false);
+    expect(result.findings).toHaveLength(1);
+    const { messages } = sendChat.mock.calls[1][0];
+    expect(messages[1]).toEqual({ role: 'assistant', content: 'not json' });
+    expect(messages[2].role).toBe('user');
+  });
+
+  test('throws when no attempt yields a findings array', async () => {
+    sendChat.mockResolvedValue(reply('not json'));
+    await expect(requestFindings({ ...llm, userPrompt: 'p' })).rejects.toThrow('did not return a valid findings array');
+  });
+});
+
+describe('reviewFile', () => {
+  test('tells the model where a trimmed diff stops', async () => {
+    sendChat.mockResolvedValueOnce(reply('[]'));
+    const file = { filename: 'src/a.js', patch: '@@ -1,3 +1,4 @@\n const a = 1;\n+const b = a.b;\n return a;\n+const c = 3;' };
+    await reviewFile({
+      ...llm, chain: chain('main'), language: 'English', file, chunkSizeChars: 10000, maxDiffCharsPerFile: 45,
+      contextWindow: 100000, tokenizer
+    });
+
+    const prompt = sendChat.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain('(This is the start of the diff; the diff is truncated after new-file line 2)');
+    expect(prompt).toMatch(/\+const b = a\.b;$/);
+    expect(prompt).not.toContain('[truncated]');
+  });
+});
+
+describe('requestFindingsWithFallback', () => {
+  test('labels the findings with the model that produced them', async () => {
+    sendChat
+      .mockRejectedValueOnce(Object.assign(new Error('unauthorized'), { status: 401 }))
+      .mockResolvedValueOnce(reply('[]'));
+    const result = await requestFindingsWithFallback({ ...llm, chain: chain('main', 'backup'), userPrompt: 'p' });
+
+    expect(result).toEqual({ findings: [], truncated: false, model: 'backup' });
+    expect(sendChat.mock.calls[1][0].model).toBe('backup');
+  });
+});
+
+describe('retireStaleComments', () => {
+  test('minimizes only comments that are not minimized yet', async () => {
+    const octokit = octokitStub();
+    octokit.graphql
+      .mockResolvedValueOnce({ nodes: [{ id: 'C1', isMinimized: true }, { id: 'C2', isMinimized: false }] })
+      .mockResolvedValue({});
+    const retired = await retireStaleComments(octokit, repo, 1, [{ node_id: 'C1' }, { node_id: 'C2' }], 'minimize');
+
+    expect(retired).toBe(1);
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+    expect(octokit.graphql).toHaveBeenLastCalledWith(expect.stringContaining('minimizeComment'), { id: 'C2' });
+  });
+
+  test('logs failures instead of throwing', async () => {
+    const octokit = octokitStub();
+    octokit.graphql.mockRejectedValue(new Error('forbidden'));
+
+    await expect(retireStaleComments(octokit, repo, 1, [{ node_id: 'C1' }], 'minimize')).resolves.toBe(0);
+    expect(core.warning).toHaveBeenCalledWith('Failed to minimize stale comments: forbidden');
+  });
+});
+
+describe('getRepoRole', () => {
+  const lookup = data => ({ rest: { repos: { getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data }) } } });
+
+  test('returns the role name for built-in roles', async () => {
+    await expect(getRepoRole(lookup({ role_name: 'maintain', permission: 'write' }), repo, 'alice')).resolves.toBe('maintain');
+  });
+
+  test('falls back to the base permission for custom roles', async () => {
+    await expect(getRepoRole(lookup({ role_name: 'release-manager', permission: 'write' }), repo, 'alice')).resolves.toBe('write');
+    await expect(getRepoRole(lookup({ role_name: 'auditor', permission: 'none' }), repo, 'alice')).resolves.toBeNull();
+  });
+
+  test('returns null for non-collaborators', async () => {
+    const octokit = { rest: { repos: { getCollaboratorPermissionLevel: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) } } };
+    await expect(getRepoRole(octokit, repo, 'mallory')).resolves.toBeNull();
+  });
+});
+
+describe('handleIgnoreCommand', () => {
+  const state = { headSha: 'abc', findings: [finding, other], ignored: [] };
+  const fingerprint = fingerprintInPatch(finding, patch);
+
+  test('re-renders the sticky comment and records the fingerprint in summary mode', async () => {
+    const octokit = octokitStub();
+    const body = `## Header\n- Model: m\n\n${renderSummary(state.findings)}\n\n<sub>📊 usage</sub>\n\n${encodeState(state, 'M')}`;
+    await handleIgnoreCommand({
+      octokit, repo, prNumber: 1, command: command('ignore', 'src/a.js:2'), state,
+      stateHolder: { id: 9, body }, reviewMode: 'summary', commentMarker: 'M', prFilesByName
+    });
+
+    const updated = octokit.rest.issues.updateComment.mock.calls[0][0];
+    expect(updated.comment_id).toBe(9);
+    expect(updated.body).toContain(`## Header\n- Model: m\n\n${renderSummary([other])}\n\n<sub>📊 usage</sub>\n\n`);
+    expect(updated.body).not.toContain('Null dereference');
+    expect(decodeState(updated.body, 'M')).toMatchObject({ headSha: 'abc', findings: [other], ignored: [fingerprint] });
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('Ignored **Null dereference**');
+  });
+
+  test('keeps the visible findings when the state was compacted', async () => {
+    const octokit = octokitStub();
+    const compacted = { ...state, findings: compactFindings(state.findings), compact: true };
+    const visible = `## Header\n\n${renderSummary(state.findings)}\n\n<sub>📊 usage</sub>`;
+    await handleIgnoreCommand({
+      octokit, repo, prNumber: 1, command: command('ignore', 'src/a.js:2'), state: compacted,
+      stateHolder: { id: 9, body: `${visible}\n\n${encodeState(compacted, 'M')}` }, reviewMode: 'summary', commentMarker: 'M', prFilesByName
+    });
+
+    const updated = octokit.rest.issues.updateComment.mock.calls[0][0];
+    expect(updated.body).toContain(visible);
+    expect(updated.body).toContain(other.explanation);
+    expect(updated.body).toContain('_Ignored since this review: **Null dereference** (`src/a.js:2`)._');
+    expect(decodeState(updated.body, 'M')).toMatchObject({ compact: true, findings: compactFindings([other]), ignored: [fingerprint] });
+  });
+
+  test('caps the re-rendered summary and compacts the state like a review run', async () => {
+    const octokit = octokitStub();
+    const many = [finding, ...Array.from({ length: 40 }, (_, i) => ({ ...other, file: 'src/b.js', line: i + 1, explanation: 'e'.repeat(2000) }))];
+    const big = { ...state, findings: many };
+    await handleIgnoreCommand({
+      octokit, repo, prNumber: 1, command: command('ignore', 'src/a.js:2'), state: big,
+      stateHolder: { id: 9, body: `<!-- M -->\n## Header\n\nOld summary\n\n<sub>📊 usage</sub>\n\n${encodeState(big, 'M')}` },
+      reviewMode: 'summary', commentMarker: 'M', prFilesByName
+    });
+
+    const { body } = octokit.rest.issues.updateComment.mock.calls[0][0];
+    expect(body.length).toBeLessThanOrEqual(MAX_BODY_CHARS);
+    expect(body).toMatch(/^<!-- M -->\n## Header\n\n\*\*Findings:\*\*/);
+    expect(body).toContain('_More findings were left out to fit GitHub\'s comment size limit._\n\n<sub>📊 usage</sub>');
+    expect(decodeState(body, 'M')).toMatchObject({ compact: true, findings: compactFindings(many.slice(1)), ignored: [fingerprint] });
+  });
+
+  test('updates the review state and resolves the thread in inline mode', async () => {
+    const root = { id: 3, body: `Null dereference\n${findingMarker('M', fingerprint, 'const b = a.b;')}` };
+    const octokit = octokitStub([root]);
+    octokit.graphql
+      .mockResolvedValueOnce({ repository: { pullRequest: { reviewThreads: {
+        pageInfo: { hasNextPage: false },
+        nodes: [{ id: 'T3', isResolved: false, comments: { nodes: [{ databaseId: 3 }] } }]
+      } } } })
+      .mockResolvedValueOnce({});
+    await handleIgnoreCommand({
+      octokit, repo, prNumber: 1, command: command('ignore', 'src/a.js:2'), state,
+      stateHolder: { id: 9, body: `Review\n${encodeState(state, 'M')}` }, reviewMode: 'inline', commentMarker: 'M', prFilesByName
+    });
+
+    const updated = octokit.rest.pulls.updateReview.mock.calls[0][0];
+    expect(updated.review_id).toBe(9);
+    expect(decodeState(updated.body, 'M')).toMatchObject({ findings: [other], ignored: [fingerprint] });
+    expect(octokit.graphql).toHaveBeenLastCalledWith(expect.stringContaining('resolveReviewThread'), { id: 'T3' });
+  });
+
+  test('replies without touching the state when nothing matches', async () => {
+    const octokit = octokitStub();
+    await handleIgnoreCommand({
+      octokit, repo, prNumber: 1, command: command('ignore', 'src/b.js'), state,
+      stateHolder: { id: 9, body: '' }, reviewMode: 'summary', commentMarker: 'M', prFilesByName
+    });
+
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('No finding in the current review matches');
+  });
+});
+
+describe('handleExplainCommand', () => {
+  const params = {
+    repo,
+    prNumber: 1,
+    state: { findings: [finding] },
+    files: [...prFilesByName.values()],
+    prFilesByName,
+    language: 'English',
+    maxChars: 10000,
+    maxDiffCharsPerFile: 5000,
+    usageFooter: () => '_usage_'
+  };
+
+  test('explains a finding with its file diff', async () => {
+    const octokit = octokitStub();
+    sendChat.mockResolvedValueOnce(reply('Because a can be undefined.'));
+    await handleExplainCommand({
+      ...params, octokit, command: command('explain', 'src/a.js:2'),
+      llmParams: { ...llm, chain: chain('main'), tokenizer, contextWindow: 100000 }
+    });
+
+    expect(sendChat.mock.calls[0][0].messages[0].content).toContain('const b = a.b;');
+    const { body } = octokit.rest.issues.createComment.mock.calls[0][0];
+    expect(body).toContain('(main)');
+    expect(body).toContain('Because a can be undefined.\n\n_usage_');
+  });
+
+  test('notes an answer that was cut off', async () => {
+    const octokit = octokitStub();
+    sendChat.mockResolvedValueOnce(reply('This PR adds b', 'length'));
+    await handleExplainCommand({
+      ...params, octokit, command: command('explain', ''),
+      llmParams: { ...llm, chain: chain('main'), tokenizer, contextWindow: 100000 }
+    });
+
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('The answer was cut off');
+  });
+});
+
+describe('handleThreadReply', () => {
+  const root = { id: 3, path: 'src/a.js', diff_hunk: patch, body: `Null dereference\n${findingMarker('M', 'abc', null)}` };
+  const llmParams = { ...llm, chain: chain('main'), tokenizer, contextWindow: 100000 };
+
+  test('answers in the thread with the conversation so far', async () => {
+    const octokit = octokitStub([root, { id: 4, in_reply_to_id: 3, user: { login: 'alice' }, body: 'Why?' }]);
+    sendChat.mockResolvedValueOnce(reply('It is read before the check.'));
+    await handleThreadReply({
+      octokit, repo, prNumber: 1, threadReply: { commentId: 4, rootId: 3, user: 'alice' },
+      commentMarker: 'M', language: 'English', llmParams, usageFooter: () => '_usage_'
+    });
+
+    expect(sendChat.mock.calls[0][0].messages[0].content).toContain('Why?');
+    const posted = octokit.rest.pulls.createReplyForReviewComment.mock.calls[0][0];
+    expect(posted.comment_id).toBe(3);
+    expect(posted.body).toContain('It is read before the check.');
+    expect(posted.body).toContain(replyMarker('M'));
+  });
+
+  test('skips threads this action did not start', async () => {
+    const octokit = octokitStub([{ ...root, body: 'Human comment' }]);
+    await handleThreadReply({
+      octokit, repo, prNumber: 1, threadReply: { commentId: 4, rootId: 3, user: 'alice' },
+      commentMarker: 'M', language: 'English', llmParams, usageFooter: () => '_usage_'
+    });
+
+    expect(sendChat).not.toHaveBeenCalled();
+    expect(octokit.rest.pulls.createReplyForReviewComment).not.toHaveBeenCalled();
+  });
+});
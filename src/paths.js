@@ -0,0 +1,132 @@
+const { minimatch } = require("minimatch");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// Files that are rarely worth an LLM review (lockfiles, build output, generated assets)
+const DEFAULT_EXCLUDES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "composer.lock",
+  "Gemfile.lock",
+  "Cargo.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "go.sum",
+  "*.lock",
+  "**/dist/**",
+  "**/node_modules/**",
+  "**/vendor/**",
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+  "**/__snapshots__/**",
+  "*.snap"
+];
+
+const MATCH_OPTIONS = { dot: true, matchBase: true };
+
+// ============================================================================
+// Path Filtering
+// ============================================================================
+
+/**
+ * Parses a list of glob patterns from an action input.
+ * Patterns may be separated by newlines or commas; blank entries and
+ * `#` comments are ignored.
+ * @param {string|null|undefined} input - Raw input value
+ * @returns {string[]} Glob patterns
+ */
+function parsePatternList(input) {
+  if (!input) return [];
+  return input
+    .split(/[\n,]/)
+    .map(p => p.trim())
+    .filter(p => p && !p.startsWith("#"));
+}
+
+/**
+ * Parses per-path review instructions from an action input.
+ * Each non-empty line has the form `<glob>: <instruction>`.
+ * @param {string|null|undefined} input - Raw input value
+ * @returns {{pattern: string, instruction: string}[]} Instruction rules
+ * @throws {Error} If a line is missing the `: ` separator
+ */
+function parsePathInstructions(input) {
+  if (!input) return [];
+  const rules = [];
+  for (const raw of input.split("\n")) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    const sep = line.indexOf(": ");
+    if (sep <= 0) {
+      throw new Error(`Invalid path_instructions line "${line}" (expected "<glob>: <instruction>")`);
+    }
+    rules.push({ pattern: line.slice(0, sep).trim(), instruction: line.slice(sep + 2).trim() });
+  }
+  return rules;
+}
+
+/**
+ * Checks whether a path matches any of the given glob patterns.
+ * Patterns without a slash match against the file's basename.
+ * @param {string} path - File path relative to the repository root
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(path, patterns) {
+  return patterns.some(p => minimatch(path, p, MATCH_OPTIONS));
+}
+
+/**
+ * Splits PR files into included and excluded sets.
+ * A file is included when it matches an include pattern (or none are given)
+ * and matches no exclude pattern.
+ * @param {object[]} files - PR file objects with a filename
+ * @param {object} options - Filter options
+ * @param {string[]} [options.include=[]] - Include patterns
+ * @param {string[]} [options.exclude=[]] - Exclude patterns
+ * @param {boolean} [options.useDefaultExcludes=true] - Also apply DEFAULT_EXCLUDES
+ * @returns {{included: object[], excluded: object[]}} Partitioned files
+ */
+function filterFiles(files, { include = [], exclude = [], useDefaultExcludes = true } = {}) {
+  const excludes = useDefaultExcludes ? [...DEFAULT_EXCLUDES, ...exclude] : exclude;
+  const included = [];
+  const excluded = [];
+
+  for (const file of files) {
+    const wanted = include.length === 0 || matchesAny(file.filename, include);
+    if (wanted && !matchesAny(file.filename, excludes)) {
+      included.push(file);
+    } else {
+      excluded.push(file);
+    }
+  }
+
+  return { included, excluded };
+}
+
+/**
+ * Returns the instructions whose pattern matches a path.
+ * @param {string} path - File path relative to the repository root
+ * @param {{pattern: string, instruction: string}[]} rules - Instruction rules
+ * @returns {string[]} Matching instructions, in rule order
+ */
+function getPathInstructions(path, rules) {
+  return rules
+    .filter(r => minimatch(path, r.pattern, MATCH_OPTIONS))
+    .map(r => r.instruction);
+}
+
+module.exports = {
+  parsePatternList,
+  parsePathInstructions,
+  matchesAny,
+  filterFiles,
+  getPathInstructions,
+  DEFAULT_EXCLUDES
+};
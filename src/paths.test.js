@@ -0,0 +1,116 @@
+const {
+  parsePatternList,
+  parsePathInstructions,
+  matchesAny,
+  filterFiles,
+  getPathInstructions,
+  DEFAULT_EXCLUDES
+} = require('./paths');
+
+const files = (...names) => names.map(filename => ({ filename }));
+
+describe('parsePatternList', () => {
+  test('returns empty array for null/undefined/empty', () => {
+    expect(parsePatternList(null)).toEqual([]);
+    expect(parsePatternList(undefined)).toEqual([]);
+    expect(parsePatternList('')).toEqual([]);
+  });
+
+  test('splits on newlines and commas', () => {
+    expect(parsePatternList('src/**, lib/**\ntest/**')).toEqual(['src/**', 'lib/**', 'test/**']);
+  });
+
+  test('drops blank lines and comments', () => {
+    expect(parsePatternList('\n# generated\ngen/**\n  \n')).toEqual(['gen/**']);
+  });
+});
+
+describe('parsePathInstructions', () => {
+  test('returns empty array for empty input', () => {
+    expect(parsePathInstructions('')).toEqual([]);
+  });
+
+  test('parses glob/instruction pairs', () => {
+    const input = 'migrations/**: Check for irreversible schema changes\n*.sql: Look for missing indexes';
+    expect(parsePathInstructions(input)).toEqual([
+      { pattern: 'migrations/**', instruction: 'Check for irreversible schema changes' },
+      { pattern: '*.sql', instruction: 'Look for missing indexes' }
+    ]);
+  });
+
+  test('keeps colons inside the instruction', () => {
+    expect(parsePathInstructions('api/**: Note: check auth')[0].instruction).toBe('Note: check auth');
+  });
+
+  test('throws for lines without a separator', () => {
+    expect(() => parsePathInstructions('migrations/**')).toThrow('Invalid path_instructions line');
+  });
+});
+
+describe('matchesAny', () => {
+  test('matches directory globs', () => {
+    expect(matchesAny('src/a/b.js', ['src/**'])).toBe(true);
+    expect(matchesAny('lib/a.js', ['src/**'])).toBe(false);
+  });
+
+  test('matches basename patterns in any directory', () => {
+    expect(matchesAny('packages/x/yarn.lock', ['*.lock'])).toBe(true);
+  });
+
+  test('matches dotfiles', () => {
+    expect(matchesAny('.github/workflows/ci.yml', ['.github/**'])).toBe(true);
+  });
+});
+
+describe('filterFiles', () => {
+  test('applies default excludes', () => {
+    const { included, excluded } = filterFiles(files(
+      'src/index.js',
+      'package-lock.json',
+      'dist/index.js',
+      'packages/ui/dist/app.js',
+      'public/app.min.js',
+      'src/__snapshots__/a.test.js.snap',
+      'vendor/lib/x.go'
+    ));
+    expect(included.map(f => f.filename)).toEqual(['src/index.js']);
+    expect(excluded).toHaveLength(6);
+  });
+
+  test('can disable default excludes', () => {
+    const { included } = filterFiles(files('package-lock.json'), { useDefaultExcludes: false });
+    expect(included).toHaveLength(1);
+  });
+
+  test('keeps only included paths when include patterns are given', () => {
+    const { included } = filterFiles(files('src/a.js', 'docs/b.md'), { include: ['src/**'] });
+    expect(included.map(f => f.filename)).toEqual(['src/a.js']);
+  });
+
+  test('exclude wins over include', () => {
+    const { included } = filterFiles(files('src/a.js', 'src/gen/b.js'), {
+      include: ['src/**'],
+      exclude: ['src/gen/**']
+    });
+    expect(included.map(f => f.filename)).toEqual(['src/a.js']);
+  });
+
+  test('DEFAULT_EXCLUDES covers common lockfiles', () => {
+    expect(DEFAULT_EXCLUDES).toEqual(expect.arrayContaining(['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml']));
+  });
+});
+
+describe('getPathInstructions', () => {
+  const rules = [
+    { pattern: 'migrations/**', instruction: 'Check reversibility' },
+    { pattern: '*.sql', instruction: 'Check indexes' }
+  ];
+
+  test('returns instructions for matching rules in order', () => {
+    expect(getPathInstructions('migrations/001.sql', rules)).toEqual(['Check reversibility', 'Check indexes']);
+  });
+
+  test('returns empty array when nothing matches', () => {
+    expect(getPathInstructions('src/a.js', rules)).toEqual([]);
+  });
+});
@@ -1,27 +1,50 @@
+const { serializeFindings } = require("./findings");
+
 // ============================================================================
 // Prompt Builders
 // ============================================================================
 
 const SYSTEM_PROMPT = "You are a senior software engineer doing a careful, strict code review.";
 
+// Shared output contract for structured reviews (see findings.js for the schema)
+const FINDINGS_FORMAT = [
+  `Respond with ONLY a JSON array of findings (no prose, no markdown). Use [] if there are no issues.`,
+  `Each finding is an object with these keys:`,
+  `- "file": path of the file the issue is in`,
+  `- "line": line number in the NEW version of the file, or null if not line-specific`,
+  `- "severity": one of "info", "minor", "major", "critical"`,
+  `- "category": one of "bug", "security", "performance", "correctness", "maintainability", "testing", "style"`,
+  `- "title": short one-line summary`,
+  `- "explanation": why this is a problem`,
+  `- "suggested_fix": concrete fix or code snippet, or "" if none`,
+  `- "replacement": for a small fix of specific lines, the exact code that replaces lines "line" to "end_line" of the NEW file (whole lines, original indentation, no code fence); otherwise ""`,
+  `- "end_line": last line "replacement" replaces (equal to "line" for a single line), or null if there is no replacement`
+].join("\n");
+
 /**
  * Builds a summary prompt for reviewing an entire PR.
  * @param {object} params - Prompt parameters
  * @param {string} params.language - Review language
  * @param {string} [params.extra_instructions] - Additional instructions
+ * @param {string[]} [params.path_instructions] - Path-specific instructions ("<glob>: <instruction>")
  * @param {string} params.filesSummary - Summary of files in PR
  * @param {string} params.diffText - Combined diff text
+ * @param {string|null} [params.partInfo] - Group position when the PR is reviewed in parts (e.g., "part 2/4")
  * @returns {string} Complete prompt text
  */
-function buildSummaryPrompt({ language, extra_instructions, filesSummary, diffText }) {
+function buildSummaryPrompt({ language, extra_instructions, path_instructions = [], filesSummary, diffText, partInfo }) {
   return [
     `You are a senior software engineer doing a pull request code review.`,
     `Reply in ${language}.`,
-    `Be concise but specific. Prefer bullet points.`,
+    `Be concise but specific.`,
     `Focus on: bugs, security, correctness, performance, DX, and test gaps.`,
-    `If you suggest changes, show small code snippets or exact lines (file:line if possible).`,
+    `If you suggest changes, put small code snippets or exact lines in "suggested_fix".`,
     extra_instructions ? `Extra instructions: ${extra_instructions}` : ``,
+    path_instructions.length ? `Path-specific instructions:\n${path_instructions.map(i => `- ${i}`).join("\n")}` : ``,
+    ``,
+    FINDINGS_FORMAT,
     ``,
+    partInfo ? `This pull request is too large for one review; this is ${partInfo}. Review only the files below.` : ``,
     `Files in PR (with additions/deletions):`,
     filesSummary,
     ``,
@@ -30,17 +53,51 @@ function buildSummaryPrompt({ language, extra_instructions, filesSummary, diffTe
   ].filter(Boolean).join("\n");
 }
 
+/**
+ * Builds the file prompt section that quotes the file at the PR head.
+ * @param {string} fileContext - Numbered excerpt of the file (see buildFileContext)
+ * @returns {string} Prompt section
+ */
+function buildFileContextSection(fileContext) {
+  return [
+    `File context (the file at the head of the PR; lines marked ">" were added or changed by this PR):`,
+    fileContext,
+    ``,
+    `Use the context to check symbols, imports and surrounding logic, but only report issues in the changed lines.`,
+    ``
+  ].join("\n");
+}
+
+/**
+ * Builds the file prompt section that quotes related code from other files.
+ * @param {string} symbolContext - Related code (see buildSymbolContext)
+ * @returns {string} Prompt section
+ */
+function buildSymbolContextSection(symbolContext) {
+  return [
+    `Related code in other files of the repository:`,
+    symbolContext,
+    ``,
+    `Check that the uses still match any changed signatures or contracts, and that calls in the diff match the definitions.`,
+    `Report a broken caller against the changed line in this file.`,
+    ``
+  ].join("\n");
+}
+
 /**
  * Builds a prompt for reviewing a single file's diff.
  * @param {object} params - Prompt parameters
  * @param {string} params.language - Review language
  * @param {string} [params.extra_instructions] - Additional instructions
+ * @param {string[]} [params.path_instructions] - Instructions that apply to this file's path
  * @param {string} params.filename - Name of the file being reviewed
  * @param {string} params.diffChunk - Diff chunk to review
  * @param {string|null} [params.chunkInfo] - Chunk position info (e.g., "part 1/3")
+ * @param {string|null} [params.fileContext] - Numbered excerpt of the file at the PR head (see buildFileContext)
+ * @param {string|null} [params.symbolContext] - Related code from other files (see buildSymbolContext)
  * @returns {string} Complete prompt text
  */
-function buildFilePrompt({ language, extra_instructions, filename, diffChunk, chunkInfo }) {
+function buildFilePrompt({ language, extra_instructions, path_instructions = [], filename, diffChunk, chunkInfo, fileContext, symbolContext }) {
   const chunkNote = chunkInfo ? `\n(This is ${chunkInfo})` : "";
   return [
     `Review the following file diff.${chunkNote}`,
@@ -57,17 +114,161 @@ function buildFilePrompt({ language, extra_instructions, filename, diffChunk, ch
     ``,
     `If possible, suggest small code snippets or exact fixes.`,
     `Reply in ${language}.`,
-    `Be concise. Prefer bullet points.`,
+    `Be concise.`,
     `Do NOT repeat the diff.`,
     extra_instructions ? `\nExtra instructions: ${extra_instructions}` : ``,
+    path_instructions.length ? `\nInstructions for this file:\n${path_instructions.map(i => `- ${i}`).join("\n")}` : ``,
     ``,
+    FINDINGS_FORMAT,
+    ``,
+    fileContext ? buildFileContextSection(fileContext) : ``,
+    symbolContext ? buildSymbolContextSection(symbolContext) : ``,
     `Diff:`,
     diffChunk
   ].filter(Boolean).join("\n");
 }
 
+/**
+ * Builds a prompt that merges partial reviews of a large PR into one review.
+ * @param {object} params - Prompt parameters
+ * @param {string} params.language - Review language
+ * @param {string} params.filesSummary - Summary of all reviewed files
+ * @param {object[]} params.findings - Findings from every partial review
+ * @returns {string} Complete prompt text
+ */
+function buildMergePrompt({ language, filesSummary, findings }) {
+  return [
+    `You are a senior software engineer consolidating a pull request code review.`,
+    `The pull request was reviewed in several parts. Merge the findings below into one review:`,
+    `- Combine findings that describe the same issue, even when reported for different files or lines`,
+    `- Drop findings that contradict each other or only restate another finding`,
+    `- Keep "file" and "line" of the most specific occurrence; never invent new locations`,
+    `- Order the result from most to least important`,
+    `Reply in ${language}.`,
+    ``,
+    FINDINGS_FORMAT,
+    ``,
+    `Files in PR (with additions/deletions):`,
+    filesSummary,
+    ``,
+    `Findings from the partial reviews:`,
+    JSON.stringify(serializeFindings(findings), null, 2)
+  ].join("\n");
+}
+
+/**
+ * Builds a follow-up prompt asking the model to fix a malformed findings response.
+ * @param {object} params - Prompt parameters
+ * @param {string[]} params.errors - Validation errors from the previous response
+ * @returns {string} Complete prompt text
+ */
+function buildRepairPrompt({ errors }) {
+  return [
+    `Your previous response could not be used:`,
+    ...errors.map(e => `- ${e}`),
+    ``,
+    `Reply again with ONLY the corrected JSON array of findings.`,
+    FINDINGS_FORMAT
+  ].join("\n");
+}
+
+/**
+ * Builds a follow-up prompt asking the model to continue a response that hit
+ * the output token limit.
+ * @returns {string} Complete prompt text
+ */
+function buildContinuationPrompt() {
+  return [
+    `Your previous response was cut off by the output token limit.`,
+    `Continue exactly where it stopped. Do not repeat anything, do not restart the array and do not add commentary or code fences:`,
+    `your reply is appended to the previous response as-is.`
+  ].join("\n");
+}
+
+/**
+ * Builds a prompt asking for a plain-language walkthrough of a pull request.
+ * @param {object} params - Prompt parameters
+ * @param {string} params.language - Reply language
+ * @param {string} params.filesSummary - Summary of files in PR
+ * @param {string} params.diffText - Combined diff text
+ * @returns {string} Complete prompt text
+ */
+function buildExplainChangesPrompt({ language, filesSummary, diffText }) {
+  return [
+    `Explain what this pull request changes, for a reviewer who has not read it yet.`,
+    `Start with a short overview of the purpose of the change, then walk through the files in a logical order.`,
+    `Point out behavior changes, new dependencies and anything a reviewer should look at closely.`,
+    `Reply in ${language}, in GitHub-flavored markdown. Do not list code review findings and do not repeat the diff.`,
+    ``,
+    `Files in PR (with additions/deletions):`,
+    filesSummary,
+    ``,
+    `Unified diff (may be truncated):`,
+    diffText
+  ].join("\n");
+}
+
+/**
+ * Builds a prompt asking for a detailed explanation of one finding.
+ * @param {object} params - Prompt parameters
+ * @param {string} params.language - Reply language
+ * @param {object} params.finding - The finding to explain
+ * @param {string} params.diffText - Diff of the finding's file (may be empty)
+ * @returns {string} Complete prompt text
+ */
+function buildExplainFindingPrompt({ language, finding, diffText }) {
+  return [
+    `Your code review reported the finding below. The author asked for more detail.`,
+    `Explain why it is a problem, when it would happen in practice, and how to fix it, with a short code example if it helps.`,
+    `If on reflection the finding is wrong, say so plainly.`,
+    `Reply in ${language}, in GitHub-flavored markdown.`,
+    ``,
+    `Finding:`,
+    JSON.stringify(serializeFindings([finding])[0], null, 2),
+    ``,
+    diffText ? `Diff of ${finding.file} (may be truncated):\n${diffText}` : `The file is no longer part of the diff.`
+  ].join("\n");
+}
+
+/**
+ * Builds a prompt answering a reply in a review thread this action started.
+ * @param {object} params - Prompt parameters
+ * @param {string} params.language - Reply language
+ * @param {string} params.filename - File the thread is on
+ * @param {string} params.diffHunk - Diff hunk ending at the commented line (may be empty)
+ * @param {string} params.finding - The original comment, as posted
+ * @param {{author: string, fromAction: boolean, text: string}[]} params.replies - Thread replies, oldest first
+ * @returns {string} Complete prompt text
+ */
+function buildThreadReplyPrompt({ language, filename, diffHunk, finding, replies }) {
+  const thread = replies.map(r => `${r.fromAction ? "You" : `@${r.author}`}:\n${r.text}`).join("\n\n");
+  return [
+    `You left the review comment below on a pull request, and the author replied in its thread.`,
+    `Answer the latest reply directly and concisely, referring to the code.`,
+    `If the reply shows the finding is wrong or does not apply, say so plainly; if it stands, explain why.`,
+    `Reply in ${language}, in GitHub-flavored markdown. Do not repeat the diff or your original comment.`,
+    ``,
+    `File: ${filename}`,
+    diffHunk ? `Diff hunk (the comment is on its last line; may be truncated):\n${diffHunk}\n` : null,
+    `Your original comment:`,
+    finding,
+    ``,
+    `Thread so far (oldest first):`,
+    thread
+  ].filter(line => line !== null).join("\n");
+}
+
 module.exports = {
   SYSTEM_PROMPT,
+  FINDINGS_FORMAT,
   buildSummaryPrompt,
-  buildFilePrompt
+  buildFileContextSection,
+  buildSymbolContextSection,
+  buildFilePrompt,
+  buildMergePrompt,
+  buildRepairPrompt,
+  buildContinuationPrompt,
+  buildExplainChangesPrompt,
+  buildExplainFindingPrompt,
+  buildThreadReplyPrompt
 };
@@ -1,7 +1,16 @@
 const {
   SYSTEM_PROMPT,
+  FINDINGS_FORMAT,
   buildSummaryPrompt,
-  buildFilePrompt
+  buildFileContextSection,
+  buildSymbolContextSection,
+  buildFilePrompt,
+  buildMergePrompt,
+  buildRepairPrompt,
+  buildContinuationPrompt,
+  buildExplainChangesPrompt,
+  buildExplainFindingPrompt,
+  buildThreadReplyPrompt
 } = require('./prompts');
 
 describe('SYSTEM_PROMPT', () => {
@@ -27,6 +36,11 @@ describe('buildSummaryPrompt', () => {
     expect(result).toContain('Reply in English');
   });
 
+  test('notes the part when the PR is reviewed in parts', () => {
+    expect(buildSummaryPrompt({ ...baseParams, partInfo: 'part 2/3' })).toContain('this is part 2/3');
+    expect(buildSummaryPrompt(baseParams)).not.toContain('too large for one review');
+  });
+
   test('includes files summary', () => {
     const result = buildSummaryPrompt(baseParams);
     expect(result).toContain('file1.js (+10/-5)');
@@ -59,6 +73,24 @@ describe('buildSummaryPrompt', () => {
     expect(result).toContain('performance');
   });
 
+  test('includes path-specific instructions when provided', () => {
+    const result = buildSummaryPrompt({
+      ...baseParams,
+      path_instructions: ['migrations/**: Check for irreversible schema changes']
+    });
+    expect(result).toContain('Path-specific instructions:\n- migrations/**: Check for irreversible schema changes');
+  });
+
+  test('excludes path-specific instructions when empty', () => {
+    const result = buildSummaryPrompt({ ...baseParams, path_instructions: [] });
+    expect(result).not.toContain('Path-specific instructions');
+  });
+
+  test('requests the JSON findings format', () => {
+    const result = buildSummaryPrompt(baseParams);
+    expect(result).toContain(FINDINGS_FORMAT);
+  });
+
   test('works with different languages', () => {
     const turkishResult = buildSummaryPrompt({ ...baseParams, language: 'Turkish' });
     expect(turkishResult).toContain('Reply in Turkish');
@@ -68,6 +100,19 @@ describe('buildSummaryPrompt', () => {
   });
 });
 
+describe('context sections', () => {
+  test('wrap the quoted code with its instructions', () => {
+    expect(buildFileContextSection('> 1 | a;')).toContain('lines marked ">" were added or changed by this PR):\n> 1 | a;\n');
+    expect(buildSymbolContextSection('src/b.js:3: foo(1);')).toContain('repository:\nsrc/b.js:3: foo(1);\n');
+  });
+
+  test('are quoted verbatim by the file prompt', () => {
+    const prompt = buildFilePrompt({ language: 'English', filename: 'a.js', diffChunk: '+a', fileContext: 'ctx', symbolContext: 'rel' });
+    expect(prompt).toContain(buildFileContextSection('ctx'));
+    expect(prompt).toContain(buildSymbolContextSection('rel'));
+  });
+});
+
 describe('buildFilePrompt', () => {
   const baseParams = {
     language: 'English',
@@ -125,6 +170,50 @@ describe('buildFilePrompt', () => {
     expect(result).toContain('Missing edge cases');
   });
 
+  test('includes per-file instructions when provided', () => {
+    const result = buildFilePrompt({
+      ...baseParams,
+      path_instructions: ['Check for irreversible schema changes', 'Check indexes']
+    });
+    expect(result).toContain('Instructions for this file:\n- Check for irreversible schema changes\n- Check indexes');
+  });
+
+  test('excludes per-file instructions when not provided', () => {
+    const result = buildFilePrompt(baseParams);
+    expect(result).not.toContain('Instructions for this file');
+  });
+
+  test('requests the JSON findings format', () => {
+    const result = buildFilePrompt(baseParams);
+    expect(result).toContain(FINDINGS_FORMAT);
+  });
+
+  test('includes the file context before the diff when provided', () => {
+    const result = buildFilePrompt({ ...baseParams, fileContext: '> 1 | const foo = 1;\n  2 | use(foo);' });
+    expect(result).toContain('File context');
+    expect(result).toContain('> 1 | const foo = 1;\n  2 | use(foo);');
+    expect(result).toContain('only report issues in the changed lines');
+    expect(result.indexOf('File context')).toBeLessThan(result.indexOf('Diff:'));
+  });
+
+  test('excludes the file context when not provided', () => {
+    const result = buildFilePrompt(baseParams);
+    expect(result).not.toContain('File context');
+  });
+
+  test('includes related code from other files when provided', () => {
+    const symbolContext = 'Uses of `foo` (defined or changed in this diff):\n  src/b.js:3: foo(1);';
+    const result = buildFilePrompt({ ...baseParams, symbolContext });
+    expect(result).toContain(`Related code in other files of the repository:\n${symbolContext}`);
+    expect(result).toContain('still match any changed signatures');
+    expect(result.indexOf('Related code')).toBeLessThan(result.indexOf('Diff:'));
+  });
+
+  test('excludes related code when not provided', () => {
+    const result = buildFilePrompt(baseParams);
+    expect(result).not.toContain('Related code');
+  });
+
   test('instructs not to repeat diff', () => {
     const result = buildFilePrompt(baseParams);
     expect(result).toContain('Do NOT repeat the diff');
@@ -146,3 +235,120 @@ describe('buildFilePrompt', () => {
     expect(result).not.toContain('Extra instructions');
   });
 });
+
+describe('FINDINGS_FORMAT', () => {
+  test('describes every finding field', () => {
+    for (const key of ['file', 'line', 'severity', 'category', 'title', 'explanation', 'suggested_fix', 'replacement', 'end_line']) {
+      expect(FINDINGS_FORMAT).toContain(`"${key}"`);
+    }
+  });
+
+  test('lists all severities', () => {
+    expect(FINDINGS_FORMAT).toContain('"info", "minor", "major", "critical"');
+  });
+});
+
+describe('buildMergePrompt', () => {
+  const findings = [{
+    file: 'a.js',
+    line: 3,
+    severity: 'major',
+    category: 'bug',
+    title: 'Null check',
+    explanation: 'x may be null',
+    suggestedFix: 'if (!x) return;'
+  }];
+
+  test('includes the partial findings as JSON with schema keys', () => {
+    const result = buildMergePrompt({ language: 'English', filesSummary: '- a.js (+1/-0)', findings });
+    expect(result).toContain('"suggested_fix": "if (!x) return;"');
+    expect(result).not.toContain('suggestedFix');
+    expect(result).toContain('- a.js (+1/-0)');
+  });
+
+  test('asks for deduplicated findings in the output contract', () => {
+    const result = buildMergePrompt({ language: 'German', filesSummary: '', findings });
+    expect(result).toContain('Combine findings that describe the same issue');
+    expect(result).toContain('Reply in German');
+    expect(result).toContain(FINDINGS_FORMAT);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  test('lists each validation error', () => {
+    const result = buildRepairPrompt({ errors: ['findings[0].title is required', 'bad line'] });
+    expect(result).toContain('- findings[0].title is required');
+    expect(result).toContain('- bad line');
+  });
+
+  test('repeats the output contract', () => {
+    const result = buildRepairPrompt({ errors: ['x'] });
+    expect(result).toContain('ONLY the corrected JSON array');
+    expect(result).toContain(FINDINGS_FORMAT);
+  });
+});
+
+describe('buildContinuationPrompt', () => {
+  test('asks for a verbatim continuation', () => {
+    const result = buildContinuationPrompt();
+    expect(result).toContain('cut off');
+    expect(result).toContain('Do not repeat anything');
+  });
+});
+
+describe('buildExplainChangesPrompt', () => {
+  test('asks for a markdown walkthrough of the diff', () => {
+    const result = buildExplainChangesPrompt({ language: 'English', filesSummary: '- a.js (+1/-0)', diffText: '+x' });
+    expect(result).toContain('Explain what this pull request changes');
+    expect(result).toContain('Reply in English, in GitHub-flavored markdown');
+    expect(result).toContain('- a.js (+1/-0)');
+    expect(result).toContain('+x');
+    expect(result).not.toContain(FINDINGS_FORMAT);
+  });
+});
+
+describe('buildExplainFindingPrompt', () => {
+  const finding = {
+    file: 'a.js', line: 2, severity: 'major', category: 'bug',
+    title: 'Null deref', explanation: 'x may be null', suggestedFix: ''
+  };
+
+  test('includes the finding with schema keys and the file diff', () => {
+    const result = buildExplainFindingPrompt({ language: 'German', finding, diffText: '@@ -1 +1 @@\n+x' });
+    expect(result).toContain('"title": "Null deref"');
+    expect(result).toContain('"suggested_fix": ""');
+    expect(result).toContain('Diff of a.js (may be truncated):\n@@ -1 +1 @@\n+x');
+    expect(result).toContain('Reply in German');
+  });
+
+  test('notes when the file has no diff', () => {
+    expect(buildExplainFindingPrompt({ language: 'English', finding, diffText: '' })).toContain('no longer part of the diff');
+  });
+});
+
+describe('buildThreadReplyPrompt', () => {
+  const params = {
+    language: 'English',
+    filename: 'src/a.js',
+    diffHunk: '@@ -1 +1 @@\n+x',
+    finding: 'Null check\nx may be null',
+    replies: [
+      { author: 'alice', fromAction: false, text: 'Is this really a bug?' },
+      { author: 'bot', fromAction: true, text: 'Yes.' },
+      { author: 'alice', fromAction: false, text: 'Why?' }
+    ]
+  };
+
+  test('includes the hunk, the original comment and the thread in order', () => {
+    const result = buildThreadReplyPrompt(params);
+    expect(result).toContain('File: src/a.js');
+    expect(result).toContain('Diff hunk (the comment is on its last line; may be truncated):\n@@ -1 +1 @@\n+x');
+    expect(result).toContain('Your original comment:\nNull check\nx may be null');
+    expect(result).toContain('@alice:\nIs this really a bug?\n\nYou:\nYes.\n\n@alice:\nWhy?');
+    expect(result).toContain('Reply in English');
+  });
+
+  test('leaves out a missing hunk', () => {
+    expect(buildThreadReplyPrompt({ ...params, diffHunk: '' })).not.toContain('Diff hunk');
+  });
+});
@@ -0,0 +1,372 @@
+const { fetchJson, fetchStream, parseResponse } = require("./http");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+const DEFAULT_PROVIDER = "openai-compatible";
+
+// Sent as the anthropic-version header on every Messages API request
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Replayed in place of an empty assistant turn, which the Messages API rejects
+const EMPTY_TURN_PLACEHOLDER = "(empty response)";
+
+// Azure OpenAI data-plane API version used when azure_api_version is not set
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+// Provider stop reasons mapped onto the OpenAI finish_reason vocabulary
+const ANTHROPIC_FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length"
+};
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+/**
+ * Builds an OpenAI-style chat completions body.
+ * @param {object} params - Chat request (see PROVIDERS)
+ * @returns {object} Request body
+ */
+function chatCompletionBody({ model, systemPrompt, messages, maxTokens, stream }) {
+  return {
+    model,
+    temperature: 0.2,
+    max_tokens: maxTokens,
+    messages: [{ role: "system", content: systemPrompt }, ...messages],
+    response_format: { type: "text" },
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+  };
+}
+
+/**
+ * Normalizes an OpenAI-style chat completions response.
+ * @param {object|null} json - Parsed response body
+ * @returns {{text: string, finishReason: string|null, usage: object}} Normalized result
+ */
+function parseChatCompletion(json) {
+  const choice = json?.choices?.[0];
+  return {
+    text: choice?.message?.content ?? choice?.text ?? "",
+    finishReason: choice?.finish_reason ?? null,
+    usage: {
+      inputTokens: json?.usage?.prompt_tokens ?? null,
+      outputTokens: json?.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+/**
+ * Adds one OpenAI-style streaming chunk to a streamed result.
+ * Usage arrives in a final chunk with no choices, when the server supports stream_options.
+ * @param {object} event - Parsed chunk
+ * @param {object} result - Streamed result being built ({text, finishReason, usage})
+ * @returns {void}
+ */
+function applyChatCompletionChunk(event, result) {
+  const choice = event.choices?.[0];
+  if (choice?.delta?.content) result.text += choice.delta.content;
+  if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+  if (event.usage) {
+    result.usage.inputTokens = event.usage.prompt_tokens ?? result.usage.inputTokens;
+    result.usage.outputTokens = event.usage.completion_tokens ?? result.usage.outputTokens;
+  }
+}
+
+// ============================================================================
+// Provider Adapters
+// ============================================================================
+
+/**
+ * Provider adapters. Each one turns a chat request into an HTTP request for
+ * its API and normalizes the response to {text, finishReason, usage}, so the
+ * review pipeline does not depend on the provider.
+ *
+ * buildRequest({baseUrl, apiKey, model, systemPrompt, messages, maxTokens, options})
+ *   returns {url, headers, body}; messages alternate user/assistant turns and
+ *   options holds provider-specific settings (contextWindow, azureDeployment,
+ *   azureApiVersion).
+ * parseResponse(json) returns {text, finishReason, usage: {inputTokens, outputTokens}}.
+ *
+ * Streaming: buildRequest receives stream: true, the body arrives as
+ * streamFormat ("sse" or "ndjson") and applyStreamEvent(event, result) adds
+ * each parsed event to a result of the same shape.
+ */
+const PROVIDERS = {
+  "openai-compatible": {
+    defaultBaseUrl: "",
+
+    /**
+     * Builds a /chat/completions request with a Bearer token.
+     * @param {object} params - Chat request (see PROVIDERS)
+     * @returns {{url: string, headers: object, body: object}} HTTP request
+     */
+    buildRequest({ baseUrl, apiKey, ...chat }) {
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${apiKey}`
+        },
+        body: chatCompletionBody(chat)
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    streamFormat: "sse",
+    applyStreamEvent: applyChatCompletionChunk
+  },
+
+  anthropic: {
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+
+    /**
+     * Builds a Messages API request; the system prompt is a top-level field.
+     * Empty assistant turns (e.g. a blank response sent back for repair) are
+     * replaced with a placeholder, since the API rejects empty content.
+     * @param {object} params - Chat request (see PROVIDERS)
+     * @returns {{url: string, headers: object, body: object}} HTTP request
+     */
+    buildRequest({ baseUrl, apiKey, model, systemPrompt, messages, maxTokens, stream }) {
+      return {
+        url: `${baseUrl}/messages`,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION
+        },
+        body: {
+          model,
+          temperature: 0.2,
+          max_tokens: maxTokens,
+          system: systemPrompt,
+          messages: messages.map(m => (m.role === "assistant" && !m.content ? { ...m, content: EMPTY_TURN_PLACEHOLDER } : m)),
+          ...(stream ? { stream: true } : {})
+        }
+      };
+    },
+
+    /**
+     * Normalizes a Messages API response, joining its text content blocks.
+     * @param {object|null} json - Parsed response body
+     * @returns {{text: string, finishReason: string|null, usage: object}} Normalized result
+     */
+    parseResponse(json) {
+      const blocks = Array.isArray(json?.content) ? json.content : [];
+      return {
+        text: blocks.filter(b => b.type === "text").map(b => b.text).join(""),
+        finishReason: ANTHROPIC_FINISH_REASONS[json?.stop_reason] ?? json?.stop_reason ?? null,
+        usage: {
+          inputTokens: json?.usage?.input_tokens ?? null,
+          outputTokens: json?.usage?.output_tokens ?? null
+        }
+      };
+    },
+
+    streamFormat: "sse",
+
+    /**
+     * Adds one Messages API stream event to a streamed result.
+     * @param {object} event - Parsed event (message_start, content_block_delta, message_delta, error, ...)
+     * @param {object} result - Streamed result being built
+     * @returns {void}
+     * @throws {Error} For an error event sent mid-stream
+     */
+    applyStreamEvent(event, result) {
+      if (event.type === "message_start") {
+        result.usage.inputTokens = event.message?.usage?.input_tokens ?? null;
+      } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+        result.text += event.delta.text;
+      } else if (event.type === "message_delta") {
+        const reason = event.delta?.stop_reason;
+        if (reason) result.finishReason = ANTHROPIC_FINISH_REASONS[reason] ?? reason;
+        result.usage.outputTokens = event.usage?.output_tokens ?? result.usage.outputTokens;
+      } else if (event.type === "error") {
+        throw new Error(`${event.error?.type}: ${event.error?.message}`);
+      }
+    }
+  },
+
+  ollama: {
+    defaultBaseUrl: "http://localhost:11434",
+
+    /**
+     * Builds a native /api/chat request.
+     * The context window is passed as num_ctx, since Ollama otherwise loads
+     * models with a small default context and silently drops prompt tokens.
+     * A Bearer token is only sent when set, for servers behind an auth proxy.
+     * @param {object} params - Chat request (see PROVIDERS)
+     * @returns {{url: string, headers: object, body: object}} HTTP request
+     */
+    buildRequest({ baseUrl, apiKey, model, systemPrompt, messages, maxTokens, stream, options = {} }) {
+      return {
+        url: `${baseUrl}/api/chat`,
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {})
+        },
+        body: {
+          model,
+          stream: Boolean(stream),
+          messages: [{ role: "system", content: systemPrompt }, ...messages],
+          options: {
+            temperature: 0.2,
+            num_predict: maxTokens,
+            ...(options.contextWindow ? { num_ctx: options.contextWindow } : {})
+          }
+        }
+      };
+    },
+
+    /**
+     * Normalizes an /api/chat response.
+     * @param {object|null} json - Parsed response body
+     * @returns {{text: string, finishReason: string|null, usage: object}} Normalized result
+     */
+    parseResponse(json) {
+      return {
+        text: json?.message?.content ?? "",
+        finishReason: json?.done_reason ?? null,
+        usage: {
+          inputTokens: json?.prompt_eval_count ?? null,
+          outputTokens: json?.eval_count ?? null
+        }
+      };
+    },
+
+    streamFormat: "ndjson",
+
+    /**
+     * Adds one streamed /api/chat line to a streamed result; the final line
+     * carries the stop reason and token counts.
+     * @param {object} event - Parsed line
+     * @param {object} result - Streamed result being built
+     * @returns {void}
+     * @throws {Error} For an error line sent mid-stream
+     */
+    applyStreamEvent(event, result) {
+      if (event.error) throw new Error(event.error);
+      if (event.message?.content) result.text += event.message.content;
+      if (event.done) {
+        result.finishReason = event.done_reason ?? null;
+        result.usage.inputTokens = event.prompt_eval_count ?? null;
+        result.usage.outputTokens = event.eval_count ?? null;
+      }
+    }
+  },
+
+  azure: {
+    defaultBaseUrl: "",
+
+    /**
+     * Builds a chat completions request for an Azure OpenAI deployment.
+     * The base URL is the resource endpoint (https://<resource>.openai.azure.com);
+     * the deployment defaults to the model name.
+     * @param {object} params - Chat request (see PROVIDERS)
+     * @returns {{url: string, headers: object, body: object}} HTTP request
+     */
+    buildRequest({ baseUrl, apiKey, options = {}, ...chat }) {
+      const deployment = encodeURIComponent(options.azureDeployment || chat.model);
+      const apiVersion = encodeURIComponent(options.azureApiVersion || DEFAULT_AZURE_API_VERSION);
+      return {
+        url: `${baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+        headers: {
+          "Content-Type": "application/json",
+          "api-key": apiKey
+        },
+        body: chatCompletionBody(chat)
+      };
+    },
+
+    parseResponse: parseChatCompletion,
+    streamFormat: "sse",
+    applyStreamEvent: applyChatCompletionChunk
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Looks up a provider adapter by name.
+ * @param {string} name - Provider name (see PROVIDER_NAMES)
+ * @returns {object} Provider adapter
+ * @throws {Error} If the provider is unknown
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${PROVIDER_NAMES.join(", ")})`);
+  }
+  return provider;
+}
+
+// ============================================================================
+// Chat Requests
+// ============================================================================
+
+/**
+ * Extracts the payload of an SSE "data:" line.
+ * @param {string} line - One line of an event stream
+ * @returns {string|null} Payload, or null for other lines (event names, comments, blanks)
+ */
+function sseData(line) {
+  return line.startsWith("data:") ? line.slice(5).trim() : null;
+}
+
+/**
+ * Sends one chat request through a provider adapter.
+ * With stream, timeoutMs is the longest wait between tokens instead of a
+ * deadline for the whole response, and a stream that dies after producing
+ * text returns that text with the reason in `interrupted`.
+ * @param {object} params - Chat request
+ * @param {string} [params.provider=DEFAULT_PROVIDER] - Provider name
+ * @param {string} params.baseUrl - API base URL
+ * @param {string} params.apiKey - API key
+ * @param {string} params.model - Model name
+ * @param {string} params.systemPrompt - System prompt content
+ * @param {object[]} params.messages - User/assistant turns
+ * @param {number} params.maxTokens - Maximum tokens in response
+ * @param {boolean} [params.stream=false] - Stream the response
+ * @param {object} [params.options] - Provider-specific settings
+ * @param {object} [fetchOptions] - Options for fetchJson/fetchStream (timeoutMs, onRetry, rateLimiter, ...)
+ * @returns {Promise<{text: string, finishReason: string|null, usage: object, interrupted?: string|null}>}
+ *   Normalized response; streamed responses also carry `interrupted`
+ * @throws {Error} If the request fails, or a stream dies before producing any text
+ */
+async function sendChat({ provider = DEFAULT_PROVIDER, stream = false, ...chat }, fetchOptions = {}) {
+  const adapter = getProvider(provider);
+  const request = adapter.buildRequest({ ...chat, stream });
+  const init = {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(request.body)
+  };
+
+  if (!stream) return adapter.parseResponse(await fetchJson(request.url, init, fetchOptions));
+
+  const result = { text: "", finishReason: null, usage: { inputTokens: null, outputTokens: null } };
+  const { interrupted } = await fetchStream(request.url, init, fetchOptions, line => {
+    const data = adapter.streamFormat === "sse" ? sseData(line) : line.trim();
+    if (!data || data === "[DONE]") return false;
+    const event = parseResponse(data);
+    if (!event) return false;
+    adapter.applyStreamEvent(event, result);
+    return true;
+  });
+
+  if (interrupted && !result.text) throw interrupted;
+  return { ...result, interrupted: interrupted ? interrupted.message : null };
+}
+
+module.exports = {
+  getProvider,
+  sendChat,
+  PROVIDERS,
+  PROVIDER_NAMES,
+  DEFAULT_PROVIDER,
+  ANTHROPIC_VERSION,
+  DEFAULT_AZURE_API_VERSION
+};
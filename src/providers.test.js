@@ -0,0 +1,371 @@
+const http = require('http');
+const {
+  getProvider,
+  sendChat,
+  PROVIDER_NAMES,
+  DEFAULT_PROVIDER,
+  ANTHROPIC_VERSION,
+  DEFAULT_AZURE_API_VERSION
+} = require('./providers');
+
+/**
+ * Starts a local mock API server that records requests and replies with `reply`.
+ * @param {Function} reply - (req, body) => {status, json}
+ * @returns {Promise<{baseUrl: string, requests: object[], close: Function}>}
+ */
+function startMockServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status = 200, json } = reply(req, body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Starts a local mock API server that streams `lines` and then ends the
+ * response, or leaves it open after `stallAfter` lines.
+ * @param {string[]} lines - Body lines, written one chunk each
+ * @param {object} [options] - Stream options
+ * @param {number} [options.stallAfter] - Stop writing (without ending) after this many lines
+ * @returns {Promise<{baseUrl: string, requests: object[], close: Function}>}
+ */
+function startStreamServer(lines, { stallAfter = null } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(data) });
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const sent = stallAfter === null ? lines : lines.slice(0, stallAfter);
+      for (const line of sent) res.write(`${line}\n`);
+      if (stallAfter === null) res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+const chat = {
+  baseUrl: 'https://llm.example/v1',
+  apiKey: 'secret',
+  model: 'm',
+  systemPrompt: 'be strict',
+  messages: [{ role: 'user', content: 'review this' }],
+  maxTokens: 500
+};
+
+describe('getProvider', () => {
+  test('knows the built-in providers', () => {
+    expect(PROVIDER_NAMES).toEqual(expect.arrayContaining(['openai-compatible', 'anthropic', 'ollama', 'azure']));
+    expect(getProvider(DEFAULT_PROVIDER)).toBe(getProvider('openai-compatible'));
+  });
+
+  test('throws for unknown providers', () => {
+    expect(() => getProvider('nope')).toThrow('Unknown provider "nope"');
+  });
+});
+
+describe('openai-compatible provider', () => {
+  const provider = getProvider('openai-compatible');
+
+  test('builds a chat completions request with a bearer token', () => {
+    const request = provider.buildRequest(chat);
+    expect(request.url).toBe('https://llm.example/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(request.body.max_tokens).toBe(500);
+    expect(request.body.messages).toEqual([
+      { role: 'system', content: 'be strict' },
+      { role: 'user', content: 'review this' }
+    ]);
+  });
+
+  test('normalizes the response', () => {
+    const json = {
+      choices: [{ message: { content: '[]' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 }
+    };
+    expect(provider.parseResponse(json)).toEqual({
+      text: '[]',
+      finishReason: 'stop',
+      usage: { inputTokens: 12, outputTokens: 3 }
+    });
+  });
+
+  test('handles legacy text completions and missing fields', () => {
+    expect(provider.parseResponse({ choices: [{ text: 'hi' }] }).text).toBe('hi');
+    expect(provider.parseResponse(null)).toEqual({
+      text: '',
+      finishReason: null,
+      usage: { inputTokens: null, outputTokens: null }
+    });
+  });
+});
+
+describe('anthropic provider', () => {
+  const provider = getProvider('anthropic');
+
+  test('builds a Messages API request', () => {
+    const request = provider.buildRequest(chat);
+    expect(request.url).toBe('https://llm.example/v1/messages');
+    expect(request.headers['x-api-key']).toBe('secret');
+    expect(request.headers['anthropic-version']).toBe(ANTHROPIC_VERSION);
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(request.body.system).toBe('be strict');
+    expect(request.body.messages).toEqual([{ role: 'user', content: 'review this' }]);
+    expect(request.body.max_tokens).toBe(500);
+  });
+
+  test('replaces empty assistant turns with a placeholder', () => {
+    const messages = [
+      { role: 'user', content: 'review this' },
+      { role: 'assistant', content: '' },
+      { role: 'user', content: 'try again' }
+    ];
+    const request = provider.buildRequest({ ...chat, messages });
+    expect(request.body.messages[1]).toEqual({ role: 'assistant', content: '(empty response)' });
+    expect(request.body.messages[2]).toEqual({ role: 'user', content: 'try again' });
+  });
+
+  test('has a default base URL', () => {
+    expect(provider.defaultBaseUrl).toBe('https://api.anthropic.com/v1');
+  });
+
+  test('joins text blocks and normalizes the stop reason', () => {
+    const json = {
+      content: [{ type: 'text', text: '[{"a":' }, { type: 'tool_use', id: 'x' }, { type: 'text', text: '1}]' }],
+      stop_reason: 'max_tokens',
+      usage: { input_tokens: 40, output_tokens: 500 }
+    };
+    expect(provider.parseResponse(json)).toEqual({
+      text: '[{"a":1}]',
+      finishReason: 'length',
+      usage: { inputTokens: 40, outputTokens: 500 }
+    });
+    expect(provider.parseResponse({ content: [], stop_reason: 'end_turn' }).finishReason).toBe('stop');
+  });
+});
+
+describe('ollama provider', () => {
+  const provider = getProvider('ollama');
+
+  test('builds a native /api/chat request with num_ctx', () => {
+    const request = provider.buildRequest({ ...chat, apiKey: '', options: { contextWindow: 32768 } });
+    expect(request.url).toBe('https://llm.example/v1/api/chat');
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(request.body.stream).toBe(false);
+    expect(request.body.messages[0]).toEqual({ role: 'system', content: 'be strict' });
+    expect(request.body.options).toEqual({ temperature: 0.2, num_predict: 500, num_ctx: 32768 });
+  });
+
+  test('sends a bearer token only when set', () => {
+    expect(provider.buildRequest(chat).headers.Authorization).toBe('Bearer secret');
+  });
+
+  test('normalizes the response', () => {
+    const json = { message: { role: 'assistant', content: '[]' }, done_reason: 'length', prompt_eval_count: 7, eval_count: 2 };
+    expect(provider.parseResponse(json)).toEqual({
+      text: '[]',
+      finishReason: 'length',
+      usage: { inputTokens: 7, outputTokens: 2 }
+    });
+  });
+});
+
+describe('azure provider', () => {
+  const provider = getProvider('azure');
+
+  test('builds a deployment URL with api-version and api-key', () => {
+    const request = provider.buildRequest({
+      ...chat,
+      baseUrl: 'https://res.openai.azure.com',
+      options: { azureDeployment: 'review bot', azureApiVersion: '2024-06-01' }
+    });
+    expect(request.url).toBe('https://res.openai.azure.com/openai/deployments/review%20bot/chat/completions?api-version=2024-06-01');
+    expect(request.headers['api-key']).toBe('secret');
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(request.body.messages).toHaveLength(2);
+  });
+
+  test('defaults the deployment to the model and the API version', () => {
+    const request = provider.buildRequest({ ...chat, baseUrl: 'https://res.openai.azure.com' });
+    expect(request.url).toBe(`https://res.openai.azure.com/openai/deployments/m/chat/completions?api-version=${DEFAULT_AZURE_API_VERSION}`);
+  });
+});
+
+describe('sendChat against mock servers', () => {
+  let mock;
+  afterEach(async () => {
+    if (mock) await mock.close();
+    mock = null;
+  });
+
+  test('ollama', async () => {
+    mock = await startMockServer(() => ({
+      json: { message: { role: 'assistant', content: 'ok' }, done: true, done_reason: 'stop', prompt_eval_count: 5, eval_count: 1 }
+    }));
+    const result = await sendChat({ ...chat, provider: 'ollama', baseUrl: mock.baseUrl, options: { contextWindow: 8192 } }, { timeoutMs: 5000 });
+
+    expect(result).toEqual({ text: 'ok', finishReason: 'stop', usage: { inputTokens: 5, outputTokens: 1 } });
+    expect(mock.requests[0].method).toBe('POST');
+    expect(mock.requests[0].url).toBe('/api/chat');
+    expect(mock.requests[0].body.options.num_ctx).toBe(8192);
+  });
+
+  test('azure', async () => {
+    mock = await startMockServer(() => ({
+      json: { choices: [{ message: { content: 'ok' }, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 1 } }
+    }));
+    const result = await sendChat({ ...chat, provider: 'azure', baseUrl: mock.baseUrl, options: { azureDeployment: 'gpt4o-prod' } }, { timeoutMs: 5000 });
+
+    expect(result.text).toBe('ok');
+    expect(mock.requests[0].url).toBe(`/openai/deployments/gpt4o-prod/chat/completions?api-version=${DEFAULT_AZURE_API_VERSION}`);
+    expect(mock.requests[0].headers['api-key']).toBe('secret');
+  });
+
+  test('anthropic', async () => {
+    mock = await startMockServer(() => ({
+      json: { content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn', usage: { input_tokens: 3, output_tokens: 1 } }
+    }));
+    const result = await sendChat({ ...chat, provider: 'anthropic', baseUrl: mock.baseUrl }, { timeoutMs: 5000 });
+
+    expect(result.text).toBe('ok');
+    expect(mock.requests[0].url).toBe('/messages');
+    expect(mock.requests[0].headers['x-api-key']).toBe('secret');
+  });
+
+  test('surfaces provider errors without retrying client errors', async () => {
+    mock = await startMockServer(() => ({
+      status: 404,
+      json: { error: { code: 'DeploymentNotFound', message: 'The API deployment for this resource does not exist.' } }
+    }));
+    await expect(sendChat({ ...chat, provider: 'azure', baseUrl: mock.baseUrl }, { timeoutMs: 5000 }))
+      .rejects.toThrow('The API deployment for this resource does not exist.');
+    expect(mock.requests).toHaveLength(1);
+  });
+});
+
+describe('sendChat streaming', () => {
+  let mock;
+  afterEach(async () => {
+    if (mock) await mock.close();
+    mock = null;
+  });
+
+  const sse = event => `data: ${JSON.stringify(event)}`;
+
+  test('accumulates OpenAI-style SSE chunks', async () => {
+    mock = await startStreamServer([
+      sse({ choices: [{ delta: { role: 'assistant' } }] }),
+      '',
+      sse({ choices: [{ delta: { content: '[{"a":' } }] }),
+      '',
+      sse({ choices: [{ delta: { content: ' 1}]' }, finish_reason: 'stop' }] }),
+      '',
+      'data: [DONE]'
+    ]);
+    const result = await sendChat({ ...chat, baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 5000 });
+
+    expect(result).toEqual({
+      text: '[{"a": 1}]',
+      finishReason: 'stop',
+      usage: { inputTokens: null, outputTokens: null },
+      interrupted: null
+    });
+    expect(mock.requests[0].body.stream).toBe(true);
+  });
+
+  test('accumulates Anthropic stream events', async () => {
+    mock = await startStreamServer([
+      'event: message_start',
+      sse({ type: 'message_start', message: { usage: { input_tokens: 12 } } }),
+      'event: content_block_delta',
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'o' } }),
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'k' } }),
+      'event: message_delta',
+      sse({ type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 2 } }),
+      sse({ type: 'message_stop' })
+    ]);
+    const result = await sendChat({ ...chat, provider: 'anthropic', baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 5000 });
+
+    expect(result).toEqual({
+      text: 'ok',
+      finishReason: 'length',
+      usage: { inputTokens: 12, outputTokens: 2 },
+      interrupted: null
+    });
+    expect(mock.requests[0].body.stream).toBe(true);
+  });
+
+  test('accumulates Ollama NDJSON lines', async () => {
+    mock = await startStreamServer([
+      JSON.stringify({ message: { content: 'o' }, done: false }),
+      JSON.stringify({ message: { content: 'k' }, done: false }),
+      JSON.stringify({ message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 7, eval_count: 2 })
+    ]);
+    const result = await sendChat({ ...chat, provider: 'ollama', baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 5000 });
+
+    expect(result.text).toBe('ok');
+    expect(result.usage).toEqual({ inputTokens: 7, outputTokens: 2 });
+    expect(mock.requests[0].body.stream).toBe(true);
+  });
+
+  test('returns partial text when the stream stalls midway', async () => {
+    mock = await startStreamServer([
+      sse({ choices: [{ delta: { content: 'partial' } }] }),
+      sse({ choices: [{ delta: { content: ' never sent' } }] })
+    ], { stallAfter: 1 });
+    const result = await sendChat({ ...chat, baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 200 });
+
+    expect(result.text).toBe('partial');
+    expect(result.finishReason).toBeNull();
+    expect(result.interrupted).toBe('Stream stalled for more than 200ms');
+  });
+
+  test('times out like a normal request when nothing arrives', async () => {
+    mock = await startStreamServer([sse({ choices: [{ delta: { content: 'x' } }] })], { stallAfter: 0 });
+    await expect(sendChat({ ...chat, baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 200, maxRetries: 1 }))
+      .rejects.toThrow('Request timed out after 200ms');
+  });
+
+  test('does not count keep-alive comments as data', async () => {
+    mock = await startStreamServer([': keep-alive', ''], { stallAfter: 2 });
+    await expect(sendChat({ ...chat, baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 200, maxRetries: 1 }))
+      .rejects.toThrow('Request timed out after 200ms');
+  });
+
+  test('throws a mid-stream error event that arrives before any text', async () => {
+    mock = await startStreamServer([
+      sse({ type: 'message_start', message: { usage: { input_tokens: 1 } } }),
+      sse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+    ]);
+    await expect(sendChat({ ...chat, provider: 'anthropic', baseUrl: mock.baseUrl, stream: true }, { timeoutMs: 5000 }))
+      .rejects.toThrow('overloaded_error: Overloaded');
+  });
+});
@@ -0,0 +1,165 @@
+const { SEVERITIES, sortFindings } = require("./findings");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+const SEVERITY_ICONS = {
+  critical: "🔴",
+  major: "🟠",
+  minor: "🟡",
+  info: "🔵"
+};
+
+const NO_FINDINGS_MESSAGE = "✅ No issues found.";
+
+// ============================================================================
+// Markdown Rendering
+// ============================================================================
+
+/**
+ * Formats a file/line reference for a finding.
+ * @param {object} finding - Normalized finding
+ * @returns {string} Reference such as `src/a.js:12` or `src/a.js`
+ */
+function formatLocation(finding) {
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
+
+/**
+ * Wraps text in a markdown code fence longer than any backtick run inside it.
+ * @param {string} text - Code to wrap
+ * @param {string} [info=""] - Info string (language, or "suggestion")
+ * @returns {string} Fenced code block
+ */
+function codeBlock(text, info = "") {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}${info}\n${text}\n${fence}`;
+}
+
+/**
+ * Renders a single finding as markdown.
+ * A replacement is shown as a GitHub suggestion block when the caller has
+ * placed the comment on exactly the lines it replaces, and as plain code otherwise.
+ * @param {object} finding - Normalized finding
+ * @param {object} [options] - Render options
+ * @param {boolean} [options.showLocation=true] - Include the file/line reference
+ * @param {boolean} [options.suggestion=false] - Render the replacement as a committable suggestion
+ * @returns {string} Markdown block
+ */
+function renderFinding(finding, { showLocation = true, suggestion = false } = {}) {
+  const icon = SEVERITY_ICONS[finding.severity] || "";
+  const location = showLocation ? ` — \`${formatLocation(finding)}\`` : "";
+  const parts = [
+    `${icon} **${finding.title}** _(${finding.severity}, ${finding.category})_${location}`,
+    ``,
+    finding.explanation
+  ];
+
+  if (finding.suggestedFix) {
+    parts.push(``, `**Suggested fix:**`, ``, finding.suggestedFix);
+  }
+
+  if (finding.replacement) {
+    const lines = !finding.line || !finding.endLine ? ""
+      : finding.endLine > finding.line ? ` (lines ${finding.line}-${finding.endLine})` : ` (line ${finding.line})`;
+    parts.push(``, suggestion ? `**Suggested change:**` : `**Suggested replacement${lines}:**`, ``,
+      codeBlock(finding.replacement, suggestion ? "suggestion" : ""));
+  }
+
+  return parts.join("\n");
+}
+
+/**
+ * Renders a count line such as "1 critical, 2 minor".
+ * @param {object[]} findings - Normalized findings
+ * @returns {string} Comma-separated counts, most severe first
+ */
+function renderCounts(findings) {
+  return [...SEVERITIES].reverse()
+    .map(s => [s, findings.filter(f => f.severity === s).length])
+    .filter(([, n]) => n > 0)
+    .map(([s, n]) => `${n} ${s}`)
+    .join(", ");
+}
+
+/**
+ * Renders the header line naming the models that produced a review.
+ * @param {string[]} labels - Model that produced each review part, in order
+ * @returns {string} "- Model: `a`", or "- Models: `a` (3 parts), `b` (1 part)" after a fallback
+ */
+function renderModelLine(labels) {
+  const counts = new Map();
+  for (const label of labels) counts.set(label, (counts.get(label) || 0) + 1);
+  if (counts.size <= 1) return `- Model: \`${labels[0] ?? ""}\``;
+  const parts = [...counts].map(([label, n]) => `\`${label}\` (${n} part${n === 1 ? "" : "s"})`);
+  return `- Models: ${parts.join(", ")}`;
+}
+
+/**
+ * Renders the header line warning that some model responses were cut off
+ * or that some review parts failed.
+ * @param {number} truncatedParts - Number of review parts whose response was cut off
+ * @param {number} totalParts - Number of review parts
+ * @param {number} [failedParts=0] - Number of review parts that failed
+ * @returns {string|null} Warning line, or null when every response was complete
+ */
+function renderIncompleteLine(truncatedParts, totalParts, failedParts = 0) {
+  if (!truncatedParts && !failedParts) return null;
+  const reasons = [];
+  if (failedParts) reasons.push(`${failedParts} of ${totalParts} parts could not be reviewed`);
+  if (truncatedParts) {
+    const scope = totalParts > 1 ? ` in ${truncatedParts} of ${totalParts} parts` : "";
+    reasons.push(`the model's response was cut off${scope}`);
+  }
+  return `- ⚠️ Incomplete: ${reasons.join(" and ")}, so some findings may be missing`;
+}
+
+/**
+ * Renders the body of the summary comment from findings.
+ * Findings are grouped by severity, most severe first.
+ * @param {object[]} findings - Normalized findings
+ * @returns {string} Markdown body
+ */
+function renderSummary(findings) {
+  if (findings.length === 0) return NO_FINDINGS_MESSAGE;
+
+  const sorted = sortFindings(findings);
+  const sections = [`**Findings:** ${renderCounts(sorted)}`];
+
+  for (const severity of [...SEVERITIES].reverse()) {
+    const group = sorted.filter(f => f.severity === severity);
+    if (group.length === 0) continue;
+    sections.push(
+      `### ${SEVERITY_ICONS[severity]} ${severity[0].toUpperCase()}${severity.slice(1)}`,
+      group.map(f => renderFinding(f)).join("\n\n---\n\n")
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * Renders the findings for one file as a single inline comment body.
+ * @param {object[]} findings - Findings belonging to the same file
+ * @returns {string} Markdown body
+ */
+function renderFileComment(findings) {
+  return sortFindings(findings)
+    .map(f => renderFinding(f, { showLocation: false }) + (f.line ? `\n\n_Line ${f.line}_` : ""))
+    .join("\n\n---\n\n");
+}
+
+module.exports = {
+  formatLocation,
+  codeBlock,
+  renderFinding,
+  renderCounts,
+  renderModelLine,
+  renderIncompleteLine,
+  renderSummary,
+  renderFileComment,
+  SEVERITY_ICONS,
+  NO_FINDINGS_MESSAGE
+};
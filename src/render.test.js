@@ -0,0 +1,138 @@
+const {
+  formatLocation,
+  codeBlock,
+  renderFinding,
+  renderCounts,
+  renderModelLine,
+  renderIncompleteLine,
+  renderSummary,
+  renderFileComment,
+  NO_FINDINGS_MESSAGE
+} = require('./render');
+
+const finding = {
+  file: 'src/a.js',
+  line: 12,
+  severity: 'major',
+  category: 'bug',
+  title: 'Null dereference',
+  explanation: 'user may be undefined here.',
+  suggestedFix: ''
+};
+
+describe('formatLocation', () => {
+  test('includes line when present', () => {
+    expect(formatLocation(finding)).toBe('src/a.js:12');
+  });
+
+  test('omits line when null', () => {
+    expect(formatLocation({ ...finding, line: null })).toBe('src/a.js');
+  });
+});
+
+describe('renderFinding', () => {
+  test('includes title, severity, category and location', () => {
+    const result = renderFinding(finding);
+    expect(result).toContain('**Null dereference**');
+    expect(result).toContain('_(major, bug)_');
+    expect(result).toContain('`src/a.js:12`');
+    expect(result).toContain('user may be undefined here.');
+  });
+
+  test('omits location when requested', () => {
+    expect(renderFinding(finding, { showLocation: false })).not.toContain('src/a.js');
+  });
+
+  test('includes suggested fix when present', () => {
+    const result = renderFinding({ ...finding, suggestedFix: 'if (!user) return;' });
+    expect(result).toContain('**Suggested fix:**');
+    expect(result).toContain('if (!user) return;');
+  });
+
+  test('excludes suggested fix section when empty', () => {
+    expect(renderFinding(finding)).not.toContain('Suggested fix');
+  });
+
+  test('renders a replacement as plain code with its lines', () => {
+    const result = renderFinding({ ...finding, endLine: 13, replacement: 'if (!user) return;\nuse(user);' });
+    expect(result).toContain('**Suggested replacement (lines 12-13):**\n\n```\nif (!user) return;\nuse(user);\n```');
+    expect(result).not.toContain('```suggestion');
+    expect(renderFinding({ ...finding, endLine: 12, replacement: 'x' })).toContain('**Suggested replacement (line 12):**');
+  });
+
+  test('renders a replacement as a suggestion block when requested', () => {
+    const result = renderFinding({ ...finding, endLine: 12, replacement: 'if (!user) return;' }, { suggestion: true });
+    expect(result).toContain('**Suggested change:**\n\n```suggestion\nif (!user) return;\n```');
+  });
+});
+
+describe('codeBlock', () => {
+  test('uses a fence longer than any backtick run in the code', () => {
+    expect(codeBlock('a', 'js')).toBe('```js\na\n```');
+    expect(codeBlock('x = `y`;\n```', 'suggestion')).toBe('````suggestion\nx = `y`;\n```\n````');
+  });
+});
+
+describe('renderModelLine', () => {
+  test('names a single model', () => {
+    expect(renderModelLine(['m', 'm'])).toBe('- Model: `m`');
+  });
+
+  test('counts parts per model after a fallback', () => {
+    expect(renderModelLine(['a', 'b', 'a', 'a'])).toBe('- Models: `a` (3 parts), `b` (1 part)');
+  });
+});
+
+describe('renderIncompleteLine', () => {
+  test('is omitted when every response was complete', () => {
+    expect(renderIncompleteLine(0, 3)).toBeNull();
+  });
+
+  test('warns about a cut-off review', () => {
+    expect(renderIncompleteLine(1, 1)).toBe("- ⚠️ Incomplete: the model's response was cut off, so some findings may be missing");
+    expect(renderIncompleteLine(2, 5)).toContain('cut off in 2 of 5 parts');
+  });
+
+  test('warns about failed parts', () => {
+    expect(renderIncompleteLine(0, 3, 1)).toBe('- ⚠️ Incomplete: 1 of 3 parts could not be reviewed, so some findings may be missing');
+    expect(renderIncompleteLine(1, 3, 1)).toContain('could not be reviewed and the model\'s response was cut off in 1 of 3 parts');
+  });
+});
+
+describe('renderCounts', () => {
+  test('lists counts most severe first and skips zeros', () => {
+    const findings = [
+      { ...finding, severity: 'minor' },
+      { ...finding, severity: 'critical' },
+      { ...finding, severity: 'minor' }
+    ];
+    expect(renderCounts(findings)).toBe('1 critical, 2 minor');
+  });
+});
+
+describe('renderSummary', () => {
+  test('returns no-findings message for empty list', () => {
+    expect(renderSummary([])).toBe(NO_FINDINGS_MESSAGE);
+  });
+
+  test('groups findings by severity, most severe first', () => {
+    const result = renderSummary([
+      { ...finding, severity: 'minor', title: 'Minor thing' },
+      { ...finding, severity: 'critical', title: 'Critical thing' }
+    ]);
+    expect(result).toContain('### 🔴 Critical');
+    expect(result).toContain('### 🟡 Minor');
+    expect(result).not.toContain('### 🟠 Major');
+    expect(result.indexOf('Critical thing')).toBeLessThan(result.indexOf('Minor thing'));
+  });
+});
+
+describe('renderFileComment', () => {
+  test('renders each finding without the file path', () => {
+    const result = renderFileComment([finding, { ...finding, line: null, title: 'General' }]);
+    expect(result).toContain('**Null dereference**');
+    expect(result).toContain('**General**');
+    expect(result).toContain('_Line 12_');
+    expect(result).not.toContain('`src/a.js');
+  });
+});
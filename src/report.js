@@ -0,0 +1,113 @@
+const { SEVERITIES, sortFindings } = require("./findings");
+const { SEVERITY_ICONS, formatLocation } = require("./render");
+const { usageTableRows } = require("./usage");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// Findings listed in the job summary; the rest are only counted
+const MAX_SUMMARY_FINDINGS = 50;
+
+// ============================================================================
+// Job Summary
+// ============================================================================
+
+/**
+ * Escapes text for use inside the HTML the job summary is built from.
+ * @param {string} text - Plain text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the overview rows of the job summary.
+ * @param {object} report - Run report (see buildJobSummary)
+ * @returns {string[][]} Table rows, header row first
+ */
+function overviewRows(report) {
+  const counts = [...SEVERITIES].reverse()
+    .map(s => [s, report.findings.filter(f => f.severity === s).length])
+    .filter(([, n]) => n > 0)
+    .map(([s, n]) => `${SEVERITY_ICONS[s]} ${n} ${s}`)
+    .join(", ");
+
+  return [
+    [{ data: "Pull request", header: true }, { data: `#${report.prNumber}`, header: true }],
+    ["Mode", escapeHtml(report.mode)],
+    ["Model", report.models.length > 0 ? escapeHtml([...new Set(report.models)].join(", ")) : "-"],
+    ["Files reviewed", String(report.filesReviewed)],
+    ["Files skipped", String(report.filesSkipped)],
+    ["Findings", counts || "none"],
+    ...(report.commentUrl ? [["Review", `<a href="${escapeHtml(report.commentUrl)}">${escapeHtml(report.commentUrl)}</a>`]] : [])
+  ];
+}
+
+/**
+ * Builds the findings table of the job summary, most severe first.
+ * @param {object[]} findings - Normalized findings
+ * @returns {string[][]} Table rows, header row first
+ */
+function findingRows(findings) {
+  const header = ["Severity", "Location", "Finding", "Category"].map(data => ({ data, header: true }));
+  return [
+    header,
+    ...sortFindings(findings).slice(0, MAX_SUMMARY_FINDINGS).map(f => [
+      `${SEVERITY_ICONS[f.severity] || ""} ${f.severity}`,
+      `<code>${escapeHtml(formatLocation(f))}</code>`,
+      escapeHtml(f.title),
+      f.category
+    ])
+  ];
+}
+
+/**
+ * Adds the review report to a job summary.
+ * @param {object} summary - Job summary builder (core.summary)
+ * @param {object} report - Run report
+ * @param {number} report.prNumber - Pull request number
+ * @param {string} report.mode - Review mode
+ * @param {string[]} report.models - Model that produced each review part
+ * @param {number} report.filesReviewed - Files sent to the model
+ * @param {number} report.filesSkipped - Changed files that were not reviewed
+ * @param {object[]} report.findings - Findings in the posted review
+ * @param {string|null} [report.commentUrl] - URL of the posted comment or review
+ * @param {boolean} [report.truncated=false] - Some model responses were cut off or review parts failed
+ * @param {object} [report.usage] - Totals from summarizeUsage
+ * @param {object} [report.prices={}] - Price table from the model_prices setting
+ * @returns {object} The same summary builder, for chaining
+ */
+function buildJobSummary(summary, report) {
+  summary
+    .addHeading("🤖 AI PR Review", 2)
+    .addTable(overviewRows(report));
+
+  if (report.truncated) {
+    summary.addRaw("⚠️ Some model responses were cut off or failed, so some findings may be missing.", true);
+  }
+
+  if (report.findings.length > 0) {
+    summary.addHeading("Findings", 3).addTable(findingRows(report.findings));
+    if (report.findings.length > MAX_SUMMARY_FINDINGS) {
+      summary.addRaw(`…and ${report.findings.length - MAX_SUMMARY_FINDINGS} more (see the review).`, true);
+    }
+  }
+
+  if (report.usage && report.usage.calls > 0) {
+    summary.addHeading("Usage", 3).addTable(usageTableRows(report.usage, report.prices || {}));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  escapeHtml,
+  buildJobSummary,
+  MAX_SUMMARY_FINDINGS
+};
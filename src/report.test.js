@@ -0,0 +1,86 @@
+const { escapeHtml, buildJobSummary, MAX_SUMMARY_FINDINGS } = require('./report');
+const { summarizeUsage } = require('./usage');
+
+/**
+ * Creates a fake core.summary that records every call.
+ * @returns {object} Chainable builder with a `calls` array
+ */
+function fakeSummary() {
+  const summary = { calls: [] };
+  for (const method of ['addHeading', 'addTable', 'addRaw']) {
+    summary[method] = (...args) => {
+      summary.calls.push([method, ...args]);
+      return summary;
+    };
+  }
+  return summary;
+}
+
+const finding = {
+  file: 'src/a.js',
+  line: 3,
+  severity: 'major',
+  category: 'bug',
+  title: 'Unchecked <input>',
+  explanation: 'x',
+  suggestedFix: ''
+};
+
+const report = {
+  prNumber: 7,
+  mode: 'summary',
+  models: ['m', 'm', 'backup'],
+  filesReviewed: 3,
+  filesSkipped: 2,
+  findings: [{ ...finding, severity: 'minor' }, { ...finding, severity: 'critical', line: null }],
+  commentUrl: 'https://github.com/o/r/pull/7#issuecomment-1'
+};
+
+describe('escapeHtml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeHtml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+});
+
+describe('buildJobSummary', () => {
+  test('adds an overview table', () => {
+    const summary = fakeSummary();
+    expect(buildJobSummary(summary, report)).toBe(summary);
+
+    const [, overview] = summary.calls.find(c => c[0] === 'addTable');
+    expect(overview[0][1]).toEqual({ data: '#7', header: true });
+    expect(overview).toContainEqual(['Model', 'm, backup']);
+    expect(overview).toContainEqual(['Files skipped', '2']);
+    expect(overview).toContainEqual(['Findings', '🔴 1 critical, 🟡 1 minor']);
+    expect(overview[overview.length - 1][1]).toContain('href="https://github.com/o/r/pull/7#issuecomment-1"');
+  });
+
+  test('lists findings most severe first, escaped', () => {
+    const summary = fakeSummary();
+    buildJobSummary(summary, report);
+
+    const tables = summary.calls.filter(c => c[0] === 'addTable').map(c => c[1]);
+    expect(tables[1][1]).toEqual(['🔴 critical', '<code>src/a.js</code>', 'Unchecked &lt;input&gt;', 'bug']);
+    expect(tables[1][2][1]).toBe('<code>src/a.js:3</code>');
+  });
+
+  test('caps the findings table', () => {
+    const summary = fakeSummary();
+    const many = Array.from({ length: MAX_SUMMARY_FINDINGS + 5 }, (_, i) => ({ ...finding, line: i + 1 }));
+    buildJobSummary(summary, { ...report, findings: many });
+
+    const tables = summary.calls.filter(c => c[0] === 'addTable').map(c => c[1]);
+    expect(tables[1]).toHaveLength(MAX_SUMMARY_FINDINGS + 1);
+    expect(summary.calls).toContainEqual(['addRaw', '…and 5 more (see the review).', true]);
+  });
+
+  test('adds truncation and usage sections when present', () => {
+    const summary = fakeSummary();
+    const usage = summarizeUsage([{ model: 'm', inputTokens: 10, outputTokens: 2, latencyMs: 5, retries: 0, failed: false }]);
+    buildJobSummary(summary, { ...report, findings: [], truncated: true, usage });
+
+    const headings = summary.calls.filter(c => c[0] === 'addHeading').map(c => c[1]);
+    expect(headings).toEqual(['🤖 AI PR Review', 'Usage']);
+    expect(summary.calls.some(c => c[0] === 'addRaw' && c[1].includes('cut off'))).toBe(true);
+  });
+});
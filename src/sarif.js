@@ -0,0 +1,123 @@
+const { CATEGORIES, sortFindings } = require("./findings");
+const { getCommentableLines, getFallbackAnchor, getNewLineContent } = require("./diff");
+const { fingerprintFinding } = require("./comments");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+const SARIF_VERSION = "2.1.0";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+const TOOL_NAME = "AI PR Review";
+const TOOL_INFORMATION_URI = "https://github.com/cumartesiolsun/ai-pr-review-action";
+
+// Code scanning only knows error, warning and note
+const SEVERITY_LEVELS = {
+  critical: "error",
+  major: "error",
+  minor: "warning",
+  info: "note"
+};
+
+const CATEGORY_DESCRIPTIONS = {
+  bug: "Bug",
+  security: "Security issue",
+  performance: "Performance issue",
+  correctness: "Correctness issue",
+  maintainability: "Maintainability issue",
+  testing: "Testing gap",
+  style: "Style issue"
+};
+
+// Key of the fingerprint in partialFingerprints; bump if fingerprintFinding changes
+const FINGERPRINT_KEY = "aiPrReviewFinding/v1";
+
+// ============================================================================
+// SARIF Export
+// ============================================================================
+
+/**
+ * Returns the SARIF rule ID for a finding category.
+ * @param {string} category - Finding category
+ * @returns {string} Rule ID such as "ai-review/security"
+ */
+function ruleId(category) {
+  return `ai-review/${category}`;
+}
+
+/**
+ * Places a finding in its file using the diff, the same way inline comments are
+ * placed: lines in the diff are kept, anything else goes to the first added line.
+ * @param {object} finding - Normalized finding
+ * @param {string|null|undefined} patch - Diff of the finding's file
+ * @returns {{line: number, lineContent: string|null}} Line to report (new version
+ *   of the file) and its content when the finding's own line is in the diff
+ */
+function locateFinding(finding, patch) {
+  if (finding.line && getCommentableLines(patch).has(finding.line)) {
+    return { line: finding.line, lineContent: getNewLineContent(patch, finding.line) };
+  }
+  const anchor = getFallbackAnchor(patch);
+  return { line: anchor && anchor.side === "RIGHT" ? anchor.line : 1, lineContent: null };
+}
+
+/**
+ * Builds a SARIF 2.1.0 log from review findings, for upload to code scanning.
+ * Each category is a rule; fingerprints match the inline comment markers so
+ * alerts stay stable across runs.
+ * @param {object[]} findings - Normalized findings
+ * @param {object} [options] - Export options
+ * @param {Map<string, string>} [options.patches] - Diff per file name, used to place findings
+ * @returns {object} SARIF log, ready for JSON.stringify
+ */
+function buildSarif(findings, { patches = new Map() } = {}) {
+  const rules = CATEGORIES.map(category => ({
+    id: ruleId(category),
+    name: category,
+    shortDescription: { text: CATEGORY_DESCRIPTIONS[category] },
+    helpUri: TOOL_INFORMATION_URI,
+    properties: { tags: ["ai-review", category] }
+  }));
+
+  const results = sortFindings(findings).map(finding => {
+    const { line, lineContent } = locateFinding(finding, patches.get(finding.file));
+    const text = [finding.title, finding.explanation, finding.suggestedFix && `Suggested fix: ${finding.suggestedFix}`]
+      .filter(Boolean)
+      .join("\n\n");
+
+    return {
+      ruleId: ruleId(finding.category),
+      ruleIndex: CATEGORIES.indexOf(finding.category),
+      level: SEVERITY_LEVELS[finding.severity],
+      message: { text },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: finding.file, uriBaseId: "%SRCROOT%" },
+          region: { startLine: line }
+        }
+      }],
+      partialFingerprints: { [FINGERPRINT_KEY]: fingerprintFinding(finding, lineContent) },
+      properties: { severity: finding.severity }
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: { name: TOOL_NAME, informationUri: TOOL_INFORMATION_URI, rules }
+      },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  ruleId,
+  locateFinding,
+  buildSarif,
+  SARIF_VERSION,
+  SEVERITY_LEVELS
+};
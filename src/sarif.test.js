@@ -0,0 +1,93 @@
+const { ruleId, locateFinding, buildSarif, SARIF_VERSION } = require('./sarif');
+const { fingerprintFinding } = require('./comments');
+const { CATEGORIES } = require('./findings');
+
+const patch = [
+  '@@ -1,3 +1,4 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = b * 2;',
+  ' module.exports = a;'
+].join('\n');
+
+const finding = {
+  file: 'src/a.js',
+  line: 3,
+  severity: 'major',
+  category: 'bug',
+  title: 'Wrong factor',
+  explanation: 'c should be b * 3.',
+  suggestedFix: ''
+};
+
+describe('ruleId', () => {
+  test('prefixes the category', () => {
+    expect(ruleId('security')).toBe('ai-review/security');
+  });
+});
+
+describe('locateFinding', () => {
+  test('keeps a line that is in the diff', () => {
+    expect(locateFinding(finding, patch)).toEqual({ line: 3, lineContent: 'const c = b * 2;' });
+  });
+
+  test('moves other lines to the first added line', () => {
+    expect(locateFinding({ ...finding, line: 40 }, patch)).toEqual({ line: 2, lineContent: null });
+    expect(locateFinding({ ...finding, line: null }, patch)).toEqual({ line: 2, lineContent: null });
+  });
+
+  test('falls back to line 1 for deletion-only or unknown diffs', () => {
+    expect(locateFinding(finding, '@@ -1,2 +1,1 @@\n a\n-b')).toEqual({ line: 1, lineContent: null });
+    expect(locateFinding(finding, undefined)).toEqual({ line: 1, lineContent: null });
+  });
+});
+
+describe('buildSarif', () => {
+  const patches = new Map([['src/a.js', patch]]);
+
+  test('produces a SARIF 2.1.0 log with one rule per category', () => {
+    const log = buildSarif([], { patches });
+    expect(log.version).toBe(SARIF_VERSION);
+    expect(log.$schema).toMatch(/sarif-2\.1\.0/);
+    expect(log.runs).toHaveLength(1);
+    expect(log.runs[0].tool.driver.name).toBe('AI PR Review');
+    expect(log.runs[0].tool.driver.rules.map(r => r.id)).toEqual(CATEGORIES.map(c => `ai-review/${c}`));
+    expect(log.runs[0].results).toEqual([]);
+  });
+
+  test('maps severity to level and category to rule', () => {
+    const results = buildSarif([
+      { ...finding, severity: 'info', category: 'style' },
+      { ...finding, severity: 'minor' },
+      { ...finding, severity: 'major' },
+      { ...finding, severity: 'critical', category: 'security' }
+    ], { patches }).runs[0].results;
+
+    expect(results.map(r => [r.level, r.ruleId])).toEqual([
+      ['error', 'ai-review/security'],
+      ['error', 'ai-review/bug'],
+      ['warning', 'ai-review/bug'],
+      ['note', 'ai-review/style']
+    ]);
+    expect(results[0].ruleIndex).toBe(CATEGORIES.indexOf('security'));
+    expect(results[0].properties).toEqual({ severity: 'critical' });
+  });
+
+  test('locates results from the diff and fingerprints them like inline comments', () => {
+    const [placed, unplaced] = buildSarif([finding, { ...finding, line: 40, severity: 'minor' }], { patches }).runs[0].results;
+
+    expect(placed.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 3 }
+    });
+    expect(Object.values(placed.partialFingerprints)).toEqual([fingerprintFinding(finding, 'const c = b * 2;')]);
+    expect(unplaced.locations[0].physicalLocation.region).toEqual({ startLine: 2 });
+    expect(Object.values(unplaced.partialFingerprints)).toEqual([fingerprintFinding({ ...finding, line: 40 }, null)]);
+  });
+
+  test('puts the explanation and suggested fix in the message', () => {
+    const [result] = buildSarif([{ ...finding, suggestedFix: 'Use b * 3.' }], { patches }).runs[0].results;
+    expect(result.message.text).toBe('Wrong factor\n\nc should be b * 3.\n\nSuggested fix: Use b * 3.');
+  });
+});
@@ -0,0 +1,203 @@
+const { mapOldLineToNew } = require("./diff");
+
+// ============================================================================
+// Review State (persisted in hidden comment markers)
+// ============================================================================
+
+const STATE_VERSION = 1;
+
+// GitHub rejects comment and review bodies longer than this
+const MAX_BODY_CHARS = 65536;
+
+/**
+ * Builds the hidden HTML marker prefix that holds review state for a marker.
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {string} Marker prefix, e.g. "<!-- AI_PR_REVIEW_ACTION:state "
+ */
+function statePrefix(commentMarker) {
+  return `<!-- ${commentMarker}:state `;
+}
+
+/**
+ * Encodes review state into a hidden HTML comment.
+ * The JSON is base64-encoded so review text can never terminate the comment early.
+ * @param {object} state - State to persist ({headSha, findings, ...})
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {string} Hidden HTML comment
+ */
+function encodeState(state, commentMarker) {
+  const payload = Buffer.from(JSON.stringify({ v: STATE_VERSION, ...state }), "utf8").toString("base64");
+  return `${statePrefix(commentMarker)}${payload} -->`;
+}
+
+/**
+ * Reduces findings to what later runs need from the state: the location,
+ * severity and title. Explanations and fixes are only needed for display.
+ * @param {object[]} findings - Normalized findings
+ * @returns {object[]} Findings without explanation, suggested fix or replacement
+ */
+function compactFindings(findings) {
+  return findings.map(({ file, line, severity, category, title }) => ({
+    file, line, severity, category, title, explanation: "", suggestedFix: ""
+  }));
+}
+
+/**
+ * Appends the hidden state marker to a comment or review body without
+ * pushing it past GitHub's size limit. Falls back to compact findings (marked
+ * `compact: true`, so later runs never re-render them), then to the ignored
+ * fingerprints alone; if even that does not fit, the body is returned without
+ * state and the next run reviews the whole PR.
+ * @param {string} body - Visible body
+ * @param {object} state - State to persist ({headSha, findings, ignored})
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @param {object} [options] - Append options
+ * @param {string} [options.separator="\n"] - Text between the body and the marker
+ * @param {number} [options.maxChars=MAX_BODY_CHARS] - Maximum length of the result
+ * @returns {string} Body with the largest state that fits
+ */
+function appendState(body, state, commentMarker, { separator = "\n", maxChars = MAX_BODY_CHARS } = {}) {
+  for (const candidate of stateCandidates(state)) {
+    const withState = `${body}${separator}${encodeState(candidate, commentMarker)}`;
+    if (withState.length <= maxChars) return withState;
+  }
+  return body;
+}
+
+/**
+ * Lists the states appendState tries, from the full state down to the
+ * ignored fingerprints alone.
+ * @param {object} state - State to persist ({headSha, findings, ignored})
+ * @returns {object[]} Candidate states, largest first
+ */
+function stateCandidates(state) {
+  return [
+    state,
+    { ...state, findings: compactFindings(state.findings || []), compact: true },
+    state.ignored?.length ? { ignored: state.ignored } : null
+  ].filter(Boolean);
+}
+
+/**
+ * Measures the room a body should leave for its state marker when the body
+ * itself has to be cut: enough for the compact state, or for the ignored
+ * fingerprints when the compact state would take over a quarter of the limit.
+ * @param {object} state - State to persist ({headSha, findings, ignored})
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @param {number} [maxChars=MAX_BODY_CHARS] - Maximum length of the body with state
+ * @returns {number} Characters to reserve, including a two-character separator
+ */
+function stateReserve(state, commentMarker, maxChars = MAX_BODY_CHARS) {
+  const [, compact, ignoredOnly] = stateCandidates(state).map(candidate => encodeState(candidate, commentMarker).length + 2);
+  if (compact <= maxChars / 4) return compact;
+  return ignoredOnly ?? 0;
+}
+
+/**
+ * Extracts review state from a comment body.
+ * @param {string|null|undefined} body - Comment or review body
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {object|null} Decoded state, or null if absent, corrupt or from another version
+ */
+function decodeState(body, commentMarker) {
+  if (!body) return null;
+  const prefix = statePrefix(commentMarker);
+  const start = body.indexOf(prefix);
+  if (start === -1) return null;
+  const end = body.indexOf(" -->", start + prefix.length);
+  if (end === -1) return null;
+
+  try {
+    const json = Buffer.from(body.slice(start + prefix.length, end), "base64").toString("utf8");
+    const state = JSON.parse(json);
+    if (!state || state.v !== STATE_VERSION) return null;
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decides whether a run can review only the commits since the last review.
+ * Compact state is not enough: its findings have lost the text that would be
+ * carried forward into the new review.
+ * @param {object} params - Decision inputs
+ * @param {string} params.action - Webhook event action (e.g. "synchronize")
+ * @param {object|null} params.state - State from the previous run
+ * @param {string} params.headSha - Current PR head SHA
+ * @returns {boolean} True if an incremental review is possible
+ */
+function canReviewIncrementally({ action, state, headSha }) {
+  return action === "synchronize" && Boolean(state?.headSha) && !state.compact && state.headSha !== headSha;
+}
+
+/**
+ * Removes the hidden state marker from a comment body.
+ * @param {string|null|undefined} body - Comment or review body
+ * @param {string} commentMarker - Unique marker for this action's comments
+ * @returns {string} Body without the state marker
+ */
+function stripState(body, commentMarker) {
+  if (!body) return "";
+  const prefix = statePrefix(commentMarker);
+  const start = body.indexOf(prefix);
+  if (start === -1) return body;
+  const end = body.indexOf(" -->", start + prefix.length);
+  if (end === -1) return body;
+  return (body.slice(0, start) + body.slice(end + 4)).trimEnd();
+}
+
+/**
+ * Builds a key identifying "the same issue" across runs.
+ * @param {object} finding - Normalized finding
+ * @returns {string} Key from file, line and lowercased title
+ */
+function findingKey(finding) {
+  return `${finding.file}:${finding.line ?? ""}:${finding.title.toLowerCase()}`;
+}
+
+/**
+ * Merges findings from an incremental review into the previous findings.
+ * Previous findings are carried forward with their lines remapped through the
+ * new commits; findings on lines that changed are dropped (this run re-reviewed
+ * them), as are findings for files no longer in the PR.
+ * @param {object[]} previous - Findings from earlier runs
+ * @param {object[]} current - Findings from this run
+ * @param {object} context - Merge context
+ * @param {Map<string, string>} context.patches - Incremental patch per re-reviewed file
+ * @param {Set<string>} context.prFiles - Files currently in the PR
+ * @returns {object[]} Merged findings without duplicates
+ */
+function mergeFindings(previous, current, { patches, prFiles }) {
+  const kept = [];
+
+  for (const finding of previous) {
+    if (!prFiles.has(finding.file)) continue;
+    if (!patches.has(finding.file) || !finding.line) {
+      kept.push(finding);
+      continue;
+    }
+    const line = mapOldLineToNew(patches.get(finding.file), finding.line);
+    if (line === null) continue;
+    // A replacement range moves with its first line
+    kept.push(finding.endLine ? { ...finding, line, endLine: finding.endLine + line - finding.line } : { ...finding, line });
+  }
+
+  const seen = new Set(current.map(findingKey));
+  return [...kept.filter(f => !seen.has(findingKey(f))), ...current];
+}
+
+module.exports = {
+  statePrefix,
+  encodeState,
+  compactFindings,
+  appendState,
+  stateReserve,
+  decodeState,
+  canReviewIncrementally,
+  stripState,
+  findingKey,
+  mergeFindings,
+  STATE_VERSION,
+  MAX_BODY_CHARS
+};
@@ -0,0 +1,190 @@
+const {
+  statePrefix,
+  encodeState,
+  compactFindings,
+  appendState,
+  stateReserve,
+  decodeState,
+  canReviewIncrementally,
+  stripState,
+  findingKey,
+  mergeFindings,
+  MAX_BODY_CHARS
+} = require('./state');
+
+const finding = {
+  file: 'src/a.js',
+  line: 10,
+  severity: 'minor',
+  category: 'bug',
+  title: 'Title',
+  explanation: 'Explanation',
+  suggestedFix: ''
+};
+
+describe('encodeState / decodeState', () => {
+  test('round-trips state', () => {
+    const state = { headSha: 'abc123', findings: [finding] };
+    const body = `Review text\n${encodeState(state, 'MARKER')}`;
+    expect(decodeState(body, 'MARKER')).toMatchObject(state);
+  });
+
+  test('hides the payload in an HTML comment', () => {
+    const marker = encodeState({ headSha: 'x' }, 'MARKER');
+    expect(marker.startsWith(statePrefix('MARKER'))).toBe(true);
+    expect(marker.endsWith(' -->')).toBe(true);
+  });
+
+  test('survives review text containing comment terminators', () => {
+    const state = { headSha: 'x', findings: [{ ...finding, explanation: 'uses --> in a string' }] };
+    expect(decodeState(encodeState(state, 'M'), 'M').findings[0].explanation).toBe('uses --> in a string');
+  });
+
+  test('returns null for missing, foreign or corrupt state', () => {
+    expect(decodeState(null, 'M')).toBeNull();
+    expect(decodeState('no marker here', 'M')).toBeNull();
+    expect(decodeState(encodeState({ headSha: 'x' }, 'OTHER'), 'M')).toBeNull();
+    expect(decodeState('<!-- M:state not-base64-json -->', 'M')).toBeNull();
+  });
+});
+
+describe('compactFindings', () => {
+  test('keeps location, severity and title only', () => {
+    expect(compactFindings([{ ...finding, endLine: 11, replacement: 'x' }])).toEqual([{
+      file: 'src/a.js', line: 10, severity: 'minor', category: 'bug', title: 'Title', explanation: '', suggestedFix: ''
+    }]);
+  });
+});
+
+describe('appendState', () => {
+  const state = {
+    headSha: 'abc',
+    findings: Array.from({ length: 3 }, (_, i) => ({ ...finding, line: i + 1, explanation: 'x'.repeat(200) })),
+    ignored: ['f1']
+  };
+  const full = encodeState(state, 'M');
+  const compact = encodeState({ ...state, findings: compactFindings(state.findings), compact: true }, 'M');
+
+  test('appends the full state when it fits', () => {
+    expect(appendState('Body', state, 'M')).toBe(`Body\n${full}`);
+    expect(appendState('Body', state, 'M', { separator: '\n\n' })).toBe(`Body\n\n${full}`);
+  });
+
+  test('never exceeds GitHub\'s body limit', () => {
+    const fits = 'b'.repeat(MAX_BODY_CHARS - full.length - 1);
+    expect(appendState(fits, state, 'M')).toHaveLength(MAX_BODY_CHARS);
+    expect(decodeState(appendState(fits, state, 'M'), 'M').findings[0].explanation).toBe('x'.repeat(200));
+
+    const over = `${fits}b`;
+    const result = appendState(over, state, 'M');
+    expect(result).toBe(`${over}\n${compact}`);
+    expect(result.length).toBeLessThanOrEqual(MAX_BODY_CHARS);
+  });
+
+  test('falls back to the ignored fingerprints, then to no state', () => {
+    const ignoredOnly = encodeState({ ignored: ['f1'] }, 'M');
+    const body = 'b'.repeat(MAX_BODY_CHARS - ignoredOnly.length - 1);
+    expect(decodeState(appendState(body, state, 'M'), 'M')).toEqual({ v: 1, ignored: ['f1'] });
+    expect(appendState(`${body}b`, state, 'M')).toBe(`${body}b`);
+    expect(appendState('b', state, 'M', { maxChars: 10 })).toBe('b');
+  });
+});
+
+describe('stateReserve', () => {
+  const state = { headSha: 'abc', findings: [finding], ignored: ['f1'] };
+
+  test('leaves room for the compact state', () => {
+    const compact = encodeState({ ...state, findings: compactFindings(state.findings), compact: true }, 'M');
+    expect(stateReserve(state, 'M')).toBe(compact.length + 2);
+  });
+
+  test('falls back to the ignored fingerprints when the compact state is too large', () => {
+    expect(stateReserve(state, 'M', 400)).toBe(encodeState({ ignored: ['f1'] }, 'M').length + 2);
+    expect(stateReserve({ ...state, ignored: [] }, 'M', 400)).toBe(0);
+  });
+});
+
+describe('canReviewIncrementally', () => {
+  const state = { headSha: 'old' };
+
+  test('is true on synchronize with a previous, different head', () => {
+    expect(canReviewIncrementally({ action: 'synchronize', state, headSha: 'new' })).toBe(true);
+  });
+
+  test('is false for other actions', () => {
+    expect(canReviewIncrementally({ action: 'opened', state, headSha: 'new' })).toBe(false);
+    expect(canReviewIncrementally({ action: 'reopened', state, headSha: 'new' })).toBe(false);
+  });
+
+  test('is false without previous state or when head is unchanged', () => {
+    expect(canReviewIncrementally({ action: 'synchronize', state: null, headSha: 'new' })).toBe(false);
+    expect(canReviewIncrementally({ action: 'synchronize', state, headSha: 'old' })).toBe(false);
+  });
+
+  test('is false when the findings were compacted', () => {
+    expect(canReviewIncrementally({ action: 'synchronize', state: { ...state, compact: true }, headSha: 'new' })).toBe(false);
+  });
+});
+
+describe('stripState', () => {
+  test('removes the state marker', () => {
+    const body = `Summary\n${encodeState({ headSha: 'x' }, 'M')}`;
+    expect(stripState(body, 'M')).toBe('Summary');
+  });
+
+  test('leaves bodies without a marker untouched', () => {
+    expect(stripState('Summary', 'M')).toBe('Summary');
+    expect(stripState(null, 'M')).toBe('');
+  });
+});
+
+describe('findingKey', () => {
+  test('ignores title case', () => {
+    expect(findingKey({ ...finding, title: 'Null Check' })).toBe(findingKey({ ...finding, title: 'null check' }));
+  });
+});
+
+describe('mergeFindings', () => {
+  const prFiles = new Set(['src/a.js', 'src/b.js']);
+
+  test('keeps previous findings for files not re-reviewed', () => {
+    const merged = mergeFindings([{ ...finding, file: 'src/b.js' }], [], { patches: new Map(), prFiles });
+    expect(merged).toHaveLength(1);
+  });
+
+  test('drops findings for files no longer in the PR', () => {
+    const merged = mergeFindings([{ ...finding, file: 'src/gone.js' }], [], { patches: new Map(), prFiles });
+    expect(merged).toEqual([]);
+  });
+
+  test('remaps lines shifted by new commits', () => {
+    const patches = new Map([['src/a.js', '@@ -1,1 +1,3 @@\n first\n+added\n+added']]);
+    const merged = mergeFindings([{ ...finding, line: 10 }], [], { patches, prFiles });
+    expect(merged[0].line).toBe(12);
+  });
+
+  test('moves a replacement range with its line', () => {
+    const patches = new Map([['src/a.js', '@@ -1,1 +1,3 @@\n first\n+added\n+added']]);
+    const merged = mergeFindings([{ ...finding, line: 10, endLine: 11, replacement: 'x' }], [], { patches, prFiles });
+    expect(merged[0]).toMatchObject({ line: 12, endLine: 13 });
+  });
+
+  test('drops findings on lines that were changed', () => {
+    const patches = new Map([['src/a.js', '@@ -10,1 +10,1 @@\n-old\n+new']]);
+    expect(mergeFindings([{ ...finding, line: 10 }], [], { patches, prFiles })).toEqual([]);
+  });
+
+  test('keeps line-less findings in re-reviewed files', () => {
+    const patches = new Map([['src/a.js', '@@ -10,1 +10,1 @@\n-old\n+new']]);
+    expect(mergeFindings([{ ...finding, line: null }], [], { patches, prFiles })).toHaveLength(1);
+  });
+
+  test('appends current findings and removes duplicates', () => {
+    const merged = mergeFindings(
+      [{ ...finding, file: 'src/b.js', title: 'Same' }],
+      [{ ...finding, file: 'src/b.js', title: 'same' }, { ...finding, title: 'New' }],
+      { patches: new Map(), prFiles }
+    );
+    expect(merged.map(f => f.title)).toEqual(['same', 'New']);
+  });
+});
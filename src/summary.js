@@ -0,0 +1,80 @@
+const { trimDiff } = require("./utils");
+const { findingKey } = require("./state");
+
+// ============================================================================
+// Map-Reduce Summary Helpers
+// ============================================================================
+
+/**
+ * Formats one file's diff for a summary prompt.
+ * @param {object} file - PR file object with filename and patch
+ * @param {number} maxChars - Maximum characters for the patch
+ * @param {object} [tokens] - Token limit for the patch
+ * @param {number} [tokens.maxTokens=Infinity] - Maximum tokens for the patch
+ * @param {Function} [tokens.truncate] - Token truncation (text, maxTokens) => text
+ * @returns {string} Diff section with file headers
+ */
+function formatFileDiff(file, maxChars, { maxTokens = Infinity, truncate = text => text } = {}) {
+  let patch = trimDiff(file.patch, maxChars);
+  if (maxTokens !== Infinity) patch = truncate(patch, maxTokens);
+  return `--- a/${file.filename}\n+++ b/${file.filename}\n${patch}\n`;
+}
+
+/**
+ * Packs file diffs into groups that each fit one summary prompt.
+ * Files keep their order; a file too large for a group on its own is trimmed
+ * to fit, so every file is covered by exactly one group.
+ * @param {object[]} files - PR file objects with filename and patch
+ * @param {object} options - Grouping options
+ * @param {number} options.maxChars - Maximum diff characters per group
+ * @param {number} options.maxDiffCharsPerFile - Maximum diff characters per file
+ * @param {number} [options.maxTokens=Infinity] - Maximum diff tokens per group
+ * @param {object} [options.tokenizer] - Tokenizer from createTokenizer, required with maxTokens
+ * @returns {{files: object[], diffText: string}[]} Groups in file order
+ */
+function groupFileDiffs(files, { maxChars, maxDiffCharsPerFile, maxTokens = Infinity, tokenizer = null }) {
+  const countTokens = tokenizer ? text => tokenizer.count(text) : () => 0;
+  const groups = [];
+  let current = null;
+
+  for (const file of files) {
+    const header = formatFileDiff({ filename: file.filename, patch: "" }, 0);
+    const diff = formatFileDiff(file, Math.max(1, Math.min(maxDiffCharsPerFile, maxChars - header.length)), {
+      maxTokens: Math.max(1, maxTokens - countTokens(header)),
+      truncate: tokenizer ? tokenizer.truncate : undefined
+    });
+    const tokens = countTokens(diff);
+
+    if (!current || current.chars + diff.length > maxChars || current.tokens + tokens > maxTokens) {
+      current = { files: [], parts: [], chars: 0, tokens: 0 };
+      groups.push(current);
+    }
+    current.files.push(file);
+    current.parts.push(diff);
+    current.chars += diff.length;
+    current.tokens += tokens;
+  }
+
+  return groups.map(g => ({ files: g.files, diffText: g.parts.join("\n") }));
+}
+
+/**
+ * Removes findings that report the same issue twice, keeping the first.
+ * @param {object[]} findings - Normalized findings
+ * @returns {object[]} Findings without duplicates, in their original order
+ */
+function dedupeFindings(findings) {
+  const seen = new Set();
+  return findings.filter(f => {
+    const key = findingKey(f);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  formatFileDiff,
+  groupFileDiffs,
+  dedupeFindings
+};
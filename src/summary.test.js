@@ -0,0 +1,78 @@
+const {
+  formatFileDiff,
+  groupFileDiffs,
+  dedupeFindings
+} = require('./summary');
+
+const file = (filename, size) => ({ filename, patch: `@@ -1,1 +1,1 @@\n+${'x'.repeat(size)}` });
+
+describe('formatFileDiff', () => {
+  test('adds file headers around the patch', () => {
+    expect(formatFileDiff(file('a.js', 3), 1000)).toBe('--- a/a.js\n+++ b/a.js\n@@ -1,1 +1,1 @@\n+xxx\n');
+  });
+
+  test('trims the patch to the limit', () => {
+    expect(formatFileDiff(file('a.js', 100), 20)).toContain('...[truncated]');
+  });
+});
+
+describe('groupFileDiffs', () => {
+  test('keeps a small PR in one group', () => {
+    const groups = groupFileDiffs([file('a.js', 10), file('b.js', 10)], { maxChars: 1000, maxDiffCharsPerFile: 1000 });
+    expect(groups).toHaveLength(1);
+    expect(groups[0].files.map(f => f.filename)).toEqual(['a.js', 'b.js']);
+    expect(groups[0].diffText).toContain('+++ b/a.js');
+    expect(groups[0].diffText).toContain('+++ b/b.js');
+  });
+
+  test('covers every file across groups, in order', () => {
+    const files = Array.from({ length: 7 }, (_, i) => file(`f${i}.js`, 300));
+    const groups = groupFileDiffs(files, { maxChars: 1000, maxDiffCharsPerFile: 1000 });
+    expect(groups.length).toBeGreaterThan(1);
+    expect(groups.flatMap(g => g.files)).toEqual(files);
+    for (const g of groups) expect(g.diffText.length).toBeLessThanOrEqual(1000);
+  });
+
+  test('trims a file larger than a whole group', () => {
+    const huge = { filename: 'huge.js', patch: '@@ -1,100 +1,100 @@\n' + Array(100).fill(`+${'x'.repeat(49)}`).join('\n') };
+    const groups = groupFileDiffs([file('small.js', 900), huge], { maxChars: 1000, maxDiffCharsPerFile: 50000 });
+    expect(groups).toHaveLength(2);
+    expect(groups[1].diffText).toContain('...[truncated]');
+    expect(groups[1].diffText.length).toBeLessThanOrEqual(1000 + '\n...[truncated]\n'.length);
+  });
+
+  test('also keeps groups within a token limit', () => {
+    const tokenizer = { count: text => text.length, truncate: text => text };
+    const files = [file('a.js', 100), file('b.js', 100), file('c.js', 100)];
+    const groups = groupFileDiffs(files, { maxChars: 100000, maxDiffCharsPerFile: 100000, maxTokens: 300, tokenizer });
+    expect(groups.map(g => g.files.length)).toEqual([2, 1]);
+  });
+
+  test('truncates a file to the token limit', () => {
+    const truncate = jest.fn(() => 'cut');
+    const tokenizer = { count: text => text.length, truncate };
+    const groups = groupFileDiffs([file('a.js', 5000)], { maxChars: 100000, maxDiffCharsPerFile: 100000, maxTokens: 100, tokenizer });
+    expect(truncate).toHaveBeenCalledWith(expect.stringContaining('@@ -1,1 +1,1 @@'), 100 - '--- a/a.js\n+++ b/a.js\n\n'.length);
+    expect(groups[0].diffText).toBe('--- a/a.js\n+++ b/a.js\ncut\n');
+  });
+
+  test('returns no groups for no files', () => {
+    expect(groupFileDiffs([], { maxChars: 1000, maxDiffCharsPerFile: 1000 })).toEqual([]);
+  });
+});
+
+describe('dedupeFindings', () => {
+  const finding = (file, line, title) => ({ file, line, title, severity: 'minor' });
+
+  test('drops repeated file/line/title, keeping the first', () => {
+    const first = finding('a.js', 1, 'Bug');
+    const result = dedupeFindings([first, finding('a.js', 1, 'bug'), finding('a.js', 2, 'Bug')]);
+    expect(result).toHaveLength(2);
+    expect(result[0]).toBe(first);
+  });
+
+  test('keeps order', () => {
+    const list = [finding('b.js', 1, 'B'), finding('a.js', 1, 'A')];
+    expect(dedupeFindings(list)).toEqual(list);
+  });
+});
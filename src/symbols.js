@@ -0,0 +1,333 @@
+const fs = require("fs");
+const path = require("path");
+const { parsePatch } = require("./diff");
+const { matchesAny, DEFAULT_EXCLUDES } = require("./paths");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+const JS_IDENT = "[A-Za-z_$][\\w$]*";
+const IDENT = "[A-Za-z_]\\w*";
+
+// Definition patterns per language; group 1 is the symbol name (ctags-style, one line each)
+const LANGUAGES = {
+  javascript: {
+    extensions: [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"],
+    definitions: [
+      new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENT})\\s*[<(]`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+(${JS_IDENT})`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:declare\\s+)?(?:interface|type|enum)\\s+(${JS_IDENT})`),
+      new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_IDENT}\\s*=>)`),
+      new RegExp(`^\\s*(?:module\\.)?exports\\.(${JS_IDENT})\\s*=`),
+      new RegExp(`^\\s*(?:(?:public|private|protected|static|async|readonly|override|get|set)\\s+)*(${JS_IDENT})\\s*\\([^)]*\\)\\s*(?::\\s*[^{]+)?\\{\\s*$`)
+    ]
+  },
+  python: {
+    extensions: [".py"],
+    definitions: [
+      new RegExp(`^\\s*(?:async\\s+)?def\\s+(${IDENT})\\s*\\(`),
+      new RegExp(`^\\s*class\\s+(${IDENT})`)
+    ]
+  },
+  go: {
+    extensions: [".go"],
+    definitions: [
+      new RegExp(`^func\\s+(?:\\([^)]*\\)\\s*)?(${IDENT})\\s*[[(]`),
+      new RegExp(`^type\\s+(${IDENT})\\s`)
+    ]
+  },
+  java: {
+    extensions: [".java"],
+    definitions: [
+      new RegExp(`^\\s*(?:(?:public|protected|private|static|final|abstract|sealed|non-sealed)\\s+)*(?:class|interface|enum|record|@interface)\\s+(${IDENT})`),
+      new RegExp(`^\\s*(?!return\\b|new\\b|throw\\b|else\\b)(?:(?:public|protected|private|static|final|abstract|synchronized|native|default)\\s+)*(?:<[^>]+>\\s+)?[\\w<>\\[\\],.?]+\\s+(${IDENT})\\s*\\([^;]*$`)
+    ]
+  }
+};
+
+// Words the definition and call patterns can pick up that are never symbols
+const KEYWORDS = new Set([
+  "if", "for", "while", "switch", "catch", "return", "function", "new", "throw", "else",
+  "typeof", "await", "yield", "super", "this", "import", "require", "print", "len", "make"
+]);
+
+// Names too common to say anything about one symbol
+const COMMON_NAMES = new Set(["constructor", "__init__", "main", "init", "toString", "equals", "hashCode", "String", "Error"]);
+
+const MIN_NAME_LENGTH = 3;
+
+// Directories never worth indexing (dependencies, build output, VCS data)
+const SKIPPED_DIRS = new Set([".git", "node_modules", "vendor", "dist", "build", "target", "__pycache__", ".venv", "venv"]);
+
+const MAX_INDEX_FILES = 5000;
+const MAX_INDEX_FILE_BYTES = 512 * 1024;
+
+// Symbols looked up per diff, changed ones first
+const MAX_SYMBOLS_PER_DIFF = 8;
+
+// Longest source line quoted in a reference
+const MAX_REFERENCE_CHARS = 200;
+
+// ============================================================================
+// Symbol Extraction
+// ============================================================================
+
+/**
+ * Returns the language a file is indexed as.
+ * @param {string} file - File path
+ * @returns {object|null} Entry from LANGUAGES, or null for unsupported files
+ */
+function languageOf(file) {
+  const ext = path.extname(file).toLowerCase();
+  return Object.values(LANGUAGES).find(l => l.extensions.includes(ext)) || null;
+}
+
+/**
+ * Returns the symbol a source line defines.
+ * @param {string} line - Source line
+ * @param {object} language - Entry from LANGUAGES
+ * @returns {string|null} Defined name, or null if the line is not a definition
+ */
+function definedSymbol(line, language) {
+  for (const re of language.definitions) {
+    const match = line.match(re);
+    if (match && !KEYWORDS.has(match[1])) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Checks whether a name is specific enough to look up.
+ * @param {string} name - Symbol name
+ * @returns {boolean} True if the name is worth a lookup
+ */
+function isLookupName(name) {
+  return name.length >= MIN_NAME_LENGTH && !KEYWORDS.has(name) && !COMMON_NAMES.has(name);
+}
+
+/**
+ * Finds the symbols a diff touches: definitions on added or removed lines
+ * (new, changed or removed signatures) and functions called from added lines.
+ * @param {string} file - Path of the changed file
+ * @param {string|null|undefined} patch - The diff patch
+ * @returns {{changed: string[], called: string[]}} Symbol names, in diff order
+ */
+function findDiffSymbols(file, patch) {
+  const language = languageOf(file);
+  const changed = new Set();
+  const called = new Set();
+  if (!language) return { changed: [], called: [] };
+
+  for (const hunk of parsePatch(patch)) {
+    for (const l of hunk.lines) {
+      if (l.type === "context") continue;
+      const defined = definedSymbol(l.content, language);
+      if (defined && isLookupName(defined)) changed.add(defined);
+      if (l.type !== "add") continue;
+      for (const match of l.content.matchAll(/([A-Za-z_$][\w$]*)\s*\(/g)) {
+        if (match[1] !== defined && isLookupName(match[1])) called.add(match[1]);
+      }
+    }
+  }
+
+  return { changed: [...changed], called: [...called].filter(n => !changed.has(n)) };
+}
+
+// ============================================================================
+// Symbol Index
+// ============================================================================
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Shortens a source line for quoting.
+ * @param {string} line - Source line
+ * @returns {string} Trimmed line, cut at MAX_REFERENCE_CHARS
+ */
+function quoteLine(line) {
+  const text = line.trim();
+  return text.length > MAX_REFERENCE_CHARS ? `${text.slice(0, MAX_REFERENCE_CHARS)}…` : text;
+}
+
+/**
+ * Creates an in-memory index of source files and the symbols they define.
+ * @returns {{add: Function, definitions: Function, references: Function, size: Function}} Symbol index
+ */
+function createSymbolIndex() {
+  const files = new Map();
+  const definitionsByName = new Map();
+
+  return {
+    /**
+     * Adds a source file to the index. Unsupported languages are ignored.
+     * @param {string} file - Path relative to the repository root
+     * @param {string} text - File content
+     * @returns {boolean} True if the file was indexed
+     */
+    add(file, text) {
+      const language = languageOf(file);
+      if (!language) return false;
+
+      const lines = text.split("\n").map(l => l.replace(/\r$/, ""));
+      files.set(file, lines);
+      lines.forEach((line, i) => {
+        const name = definedSymbol(line, language);
+        if (!name) return;
+        if (!definitionsByName.has(name)) definitionsByName.set(name, []);
+        definitionsByName.get(name).push({ file, line: i + 1, text: quoteLine(line) });
+      });
+      return true;
+    },
+
+    /**
+     * Returns where a symbol is defined.
+     * @param {string} name - Symbol name
+     * @param {object} [options] - Lookup options
+     * @param {string} [options.exclude] - File to leave out
+     * @param {number} [options.limit=Infinity] - Maximum results
+     * @returns {Array<{file: string, line: number, text: string}>} Definitions, in index order
+     */
+    definitions(name, { exclude, limit = Infinity } = {}) {
+      return (definitionsByName.get(name) || []).filter(d => d.file !== exclude).slice(0, limit);
+    },
+
+    /**
+     * Returns lines that use a symbol, other than its definitions.
+     * @param {string} name - Symbol name
+     * @param {object} [options] - Lookup options
+     * @param {string} [options.exclude] - File to leave out
+     * @param {number} [options.limit=Infinity] - Maximum results
+     * @returns {Array<{file: string, line: number, text: string}>} References, in index order
+     */
+    references(name, { exclude, limit = Infinity } = {}) {
+      const word = new RegExp(`(?<![\\w$])${escapeRegExp(name)}(?![\\w$])`);
+      const found = [];
+
+      for (const [file, lines] of files) {
+        if (file === exclude) continue;
+        const language = languageOf(file);
+        for (let i = 0; i < lines.length && found.length < limit; i++) {
+          if (word.test(lines[i]) && definedSymbol(lines[i], language) !== name) {
+            found.push({ file, line: i + 1, text: quoteLine(lines[i]) });
+          }
+        }
+        if (found.length >= limit) break;
+      }
+
+      return found;
+    },
+
+    /**
+     * Returns the number of indexed files.
+     * @returns {number} Indexed files
+     */
+    size() {
+      return files.size;
+    }
+  };
+}
+
+/**
+ * Indexes the supported source files under a directory (the checked-out workspace).
+ * Dependency and build directories, DEFAULT_EXCLUDES and oversized files are skipped.
+ * @param {string} root - Directory to index
+ * @param {object} [options] - Limits
+ * @param {number} [options.maxFiles=MAX_INDEX_FILES] - Stop after this many files
+ * @param {number} [options.maxFileBytes=MAX_INDEX_FILE_BYTES] - Skip larger files
+ * @param {Function} [options.onSkip] - Called as (file, error) for a file that could not be read; the file is skipped
+ * @returns {{index: object, truncated: boolean}} Index, and whether maxFiles was reached
+ */
+function loadSymbolIndex(root, { maxFiles = MAX_INDEX_FILES, maxFileBytes = MAX_INDEX_FILE_BYTES, onSkip = () => {} } = {}) {
+  const index = createSymbolIndex();
+  const pending = [""];
+
+  while (pending.length > 0) {
+    const dir = pending.shift();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const rel = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) pending.push(rel);
+        continue;
+      }
+      if (!entry.isFile() || !languageOf(rel) || matchesAny(rel, DEFAULT_EXCLUDES)) continue;
+      if (index.size() >= maxFiles) return { index, truncated: true };
+
+      const full = path.join(root, rel);
+      try {
+        if (fs.statSync(full).size > maxFileBytes) continue;
+        index.add(rel, fs.readFileSync(full, "utf8"));
+      } catch (err) {
+        // A file removed or unreadable mid-walk only loses its own symbols
+        onSkip(rel, err);
+      }
+    }
+  }
+
+  return { index, truncated: false };
+}
+
+// ============================================================================
+// Prompt Context
+// ============================================================================
+
+/**
+ * Builds the cross-file context for a diff: uses of the symbols it changes
+ * and definitions of the functions it calls, found elsewhere in the index.
+ * Sections are added most useful first until the token budget is spent.
+ * @param {object} params - Context parameters
+ * @param {object} params.index - Index from createSymbolIndex or loadSymbolIndex
+ * @param {string} params.file - Path of the changed file
+ * @param {string} params.patch - Diff (or diff chunk) being reviewed
+ * @param {number} params.maxRefs - References or definitions quoted per symbol
+ * @param {number} params.maxTokens - Tokens available for the context
+ * @param {Function} params.countTokens - Counts the tokens in a text
+ * @returns {string|null} Context text, or null if nothing relevant was found or fits
+ */
+function buildSymbolContext({ index, file, patch, maxRefs, maxTokens, countTokens }) {
+  const { changed, called } = findDiffSymbols(file, patch);
+  const sections = [];
+
+  for (const name of changed) {
+    const refs = index.references(name, { exclude: file, limit: maxRefs });
+    if (refs.length > 0) sections.push({ title: `Uses of \`${name}\` (defined or changed in this diff):`, refs });
+  }
+  for (const name of called) {
+    const defs = index.definitions(name, { exclude: file, limit: maxRefs });
+    if (defs.length > 0) sections.push({ title: `Definition of \`${name}\` (called in this diff):`, refs: defs });
+  }
+
+  const parts = [];
+  for (const { title, refs } of sections.slice(0, MAX_SYMBOLS_PER_DIFF)) {
+    const part = [title, ...refs.map(r => `  ${r.file}:${r.line}: ${r.text}`)].join("\n");
+    if (countTokens([...parts, part].join("\n")) > maxTokens) break;
+    parts.push(part);
+  }
+
+  return parts.length > 0 ? parts.join("\n") : null;
+}
+
+module.exports = {
+  languageOf,
+  definedSymbol,
+  findDiffSymbols,
+  createSymbolIndex,
+  loadSymbolIndex,
+  buildSymbolContext,
+  LANGUAGES,
+  MAX_INDEX_FILES
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  languageOf,
+  definedSymbol,
+  findDiffSymbols,
+  createSymbolIndex,
+  loadSymbolIndex,
+  buildSymbolContext,
+  LANGUAGES
+} = require('./symbols');
+
+describe('languageOf', () => {
+  test('maps extensions to languages', () => {
+    expect(languageOf('src/a.ts')).toBe(LANGUAGES.javascript);
+    expect(languageOf('app/models.py')).toBe(LANGUAGES.python);
+    expect(languageOf('cmd/main.go')).toBe(LANGUAGES.go);
+    expect(languageOf('src/Main.java')).toBe(LANGUAGES.java);
+  });
+
+  test('returns null for unsupported files', () => {
+    expect(languageOf('README.md')).toBeNull();
+  });
+});
+
+describe('definedSymbol', () => {
+  test.each([
+    ['javascript', 'export async function loadUser(id) {', 'loadUser'],
+    ['javascript', 'const parse = (text) => {', 'parse'],
+    ['javascript', 'export const fetchAll = async () => {', 'fetchAll'],
+    ['javascript', 'class Cache extends Map {', 'Cache'],
+    ['javascript', 'export interface Options {', 'Options'],
+    ['javascript', 'exports.render = render;', 'render'],
+    ['javascript', '  async refresh(token) {', 'refresh'],
+    ['python', 'def load_user(user_id, *, cache=None):', 'load_user'],
+    ['python', '    async def fetch(self):', 'fetch'],
+    ['python', 'class Repository(Base):', 'Repository'],
+    ['go', 'func LoadUser(id int) (*User, error) {', 'LoadUser'],
+    ['go', 'func (s *Store) Save(u *User) error {', 'Save'],
+    ['go', 'type Store struct {', 'Store'],
+    ['java', 'public final class UserService {', 'UserService'],
+    ['java', '  public List<User> findUsers(String name) {', 'findUsers'],
+    ['java', '  private static <T> T first(List<T> items,', 'first']
+  ])('%s: %s', (language, line, name) => {
+    expect(definedSymbol(line, LANGUAGES[language])).toBe(name);
+  });
+
+  test.each([
+    ['javascript', '  if (ready) {'],
+    ['javascript', "describe('x', () => {"],
+    ['javascript', 'const total = sum(a, b);'],
+    ['python', 'result = load_user(1)'],
+    ['go', '\tif err := s.Save(u); err != nil {'],
+    ['java', '    return findUsers(name);'],
+    ['java', '    String s = format(name);'],
+    ['java', '    throw new IllegalStateException(msg);']
+  ])('%s: ignores %s', (language, line) => {
+    expect(definedSymbol(line, LANGUAGES[language])).toBeNull();
+  });
+});
+
+describe('findDiffSymbols', () => {
+  const patch = [
+    '@@ -1,4 +1,4 @@',
+    '-function loadUser(id) {',
+    '+function loadUser(id, options) {',
+    '   const row = queryRow(id);',
+    '+  return toUser(row, options);',
+    ' }'
+  ].join('\n');
+
+  test('finds changed definitions and functions called from added lines', () => {
+    expect(findDiffSymbols('src/users.js', patch)).toEqual({ changed: ['loadUser'], called: ['toUser'] });
+  });
+
+  test('ignores keywords, short names and unsupported files', () => {
+    expect(findDiffSymbols('src/a.js', '@@ -1,1 +1,1 @@\n-x\n+if (ok) go(fn(1));').called).toEqual([]);
+    expect(findDiffSymbols('notes.md', patch)).toEqual({ changed: [], called: [] });
+  });
+});
+
+describe('createSymbolIndex', () => {
+  const index = createSymbolIndex();
+  index.add('src/users.js', 'function loadUser(id) {\n  return id;\n}\n');
+  index.add('src/api.js', 'const user = loadUser(req.id);\nconst loadUserLater = 1;\n');
+  index.add('src/admin.js', 'loadUser(1);\nloadUser(2);\n');
+  index.add('README.md', 'loadUser(id)');
+
+  test('indexes only supported files', () => {
+    expect(index.size()).toBe(3);
+  });
+
+  test('finds definitions', () => {
+    expect(index.definitions('loadUser')).toEqual([{ file: 'src/users.js', line: 1, text: 'function loadUser(id) {' }]);
+    expect(index.definitions('loadUser', { exclude: 'src/users.js' })).toEqual([]);
+  });
+
+  test('finds whole-word references outside definitions, up to a limit', () => {
+    expect(index.references('loadUser')).toEqual([
+      { file: 'src/api.js', line: 1, text: 'const user = loadUser(req.id);' },
+      { file: 'src/admin.js', line: 1, text: 'loadUser(1);' },
+      { file: 'src/admin.js', line: 2, text: 'loadUser(2);' }
+    ]);
+    expect(index.references('loadUser', { exclude: 'src/api.js', limit: 1 })).toEqual([
+      { file: 'src/admin.js', line: 1, text: 'loadUser(1);' }
+    ]);
+  });
+});
+
+describe('loadSymbolIndex', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'symbols-'));
+    for (const [file, text] of Object.entries({
+      'src/a.js': 'function alpha() {}\n',
+      'src/b.py': 'def beta():\n    pass\n',
+      'src/c.min.js': 'function gamma() {}\n',
+      'node_modules/dep/index.js': 'function delta() {}\n',
+      'docs/readme.md': '# docs\n'
+    })) {
+      fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), text);
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('indexes supported source files and skips dependencies and excluded files', () => {
+    const { index, truncated } = loadSymbolIndex(root);
+    expect(truncated).toBe(false);
+    expect(index.size()).toBe(2);
+    expect(index.definitions('alpha')).toHaveLength(1);
+    expect(index.definitions('beta')).toHaveLength(1);
+    expect(index.definitions('gamma')).toEqual([]);
+    expect(index.definitions('delta')).toEqual([]);
+  });
+
+  test('stops at maxFiles', () => {
+    const { index, truncated } = loadSymbolIndex(root, { maxFiles: 1 });
+    expect(truncated).toBe(true);
+    expect(index.size()).toBe(1);
+  });
+
+  test('skips files that cannot be read', () => {
+    const readFileSync = jest.spyOn(fs, 'readFileSync').mockImplementationOnce(() => {
+      throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    });
+    const onSkip = jest.fn();
+    try {
+      const { index } = loadSymbolIndex(root, { onSkip });
+      expect(index.size()).toBe(1);
+      expect(index.definitions('beta')).toHaveLength(1);
+      expect(onSkip).toHaveBeenCalledWith('src/a.js', expect.objectContaining({ code: 'EACCES' }));
+    } finally {
+      readFileSync.mockRestore();
+    }
+  });
+
+  test('returns an empty index for a missing directory', () => {
+    expect(loadSymbolIndex(path.join(root, 'missing')).index.size()).toBe(0);
+  });
+});
+
+describe('buildSymbolContext', () => {
+  const index = createSymbolIndex();
+  index.add('src/users.js', 'function loadUser(id, options) {\n  return toUser(id, options);\n}\n');
+  index.add('src/map.js', 'function toUser(row) {\n  return row;\n}\n');
+  index.add('src/api.js', 'const user = loadUser(req.id);\n');
+
+  const patch = '@@ -1,2 +1,2 @@\n-function loadUser(id) {\n+function loadUser(id, options) {\n+  return toUser(id, options);';
+  const params = { index, file: 'src/users.js', patch, maxRefs: 3, maxTokens: 1000, countTokens: t => t.split('\n').length };
+
+  test('lists uses of changed symbols and definitions of called ones', () => {
+    expect(buildSymbolContext(params)).toBe([
+      'Uses of `loadUser` (defined or changed in this diff):',
+      '  src/api.js:1: const user = loadUser(req.id);',
+      'Definition of `toUser` (called in this diff):',
+      '  src/map.js:1: function toUser(row) {'
+    ].join('\n'));
+  });
+
+  test('drops sections that do not fit the budget', () => {
+    expect(buildSymbolContext({ ...params, maxTokens: 2 })).toBe(
+      'Uses of `loadUser` (defined or changed in this diff):\n  src/api.js:1: const user = loadUser(req.id);'
+    );
+    expect(buildSymbolContext({ ...params, maxTokens: 1 })).toBeNull();
+  });
+
+  test('returns null when nothing else refers to the diff', () => {
+    expect(buildSymbolContext({ ...params, file: 'src/other.js', patch: '@@ -1,1 +1,1 @@\n-a\n+b' })).toBeNull();
+  });
+});
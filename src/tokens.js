@@ -0,0 +1,124 @@
+const { Tiktoken } = require("js-tiktoken/lite");
+
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// BPE rank tables bundled with the action; loaded on first use (several MB each)
+const RANK_LOADERS = {
+  cl100k_base: () => require("js-tiktoken/ranks/cl100k_base"),
+  o200k_base: () => require("js-tiktoken/ranks/o200k_base")
+};
+
+// Models tokenized with o200k_base; everything else uses cl100k_base, which is
+// also a reasonable approximation for non-OpenAI models
+const O200K_MODEL_PATTERNS = [/^gpt-4o/, /^chatgpt-4o/, /^gpt-4\.1/, /^gpt-4\.5/, /^gpt-5/, /^o\d/];
+
+// Per-request chat framing (role markers, separators) plus a safety margin
+const PROMPT_OVERHEAD_TOKENS = 32;
+
+// Smallest diff budget worth sending to the model
+const MIN_DIFF_TOKENS = 256;
+
+const TRUNCATION_MARKER = "\n...[truncated]\n";
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+const encoders = new Map();
+
+/**
+ * Picks the BPE encoding for a model name.
+ * Provider prefixes such as "openai/gpt-4o" are ignored.
+ * @param {string} model - Model name
+ * @returns {string} Encoding name ("o200k_base" or "cl100k_base")
+ */
+function encodingForModel(model) {
+  const name = (model || "").toLowerCase().split("/").pop();
+  return O200K_MODEL_PATTERNS.some(p => p.test(name)) ? "o200k_base" : "cl100k_base";
+}
+
+/**
+ * Returns the shared encoder for an encoding, loading its ranks on first use.
+ * @param {string} encoding - Encoding name from RANK_LOADERS
+ * @returns {Tiktoken} Encoder
+ */
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(RANK_LOADERS[encoding]()));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Creates a tokenizer for a model.
+ * @param {string} model - Model name
+ * @returns {{encoding: string, count: Function, truncate: Function}} Tokenizer
+ */
+function createTokenizer(model) {
+  const encoding = encodingForModel(model);
+  const encoder = getEncoder(encoding);
+
+  return {
+    encoding,
+
+    /**
+     * Counts the tokens in a text.
+     * @param {string|null|undefined} text - Text to count
+     * @returns {number} Token count
+     */
+    count(text) {
+      return text ? encoder.encode(text, "all").length : 0;
+    },
+
+    /**
+     * Cuts a text to at most maxTokens, at the last line break that fits.
+     * @param {string|null|undefined} text - Text to truncate
+     * @param {number} maxTokens - Token limit
+     * @returns {string} Original text, or its head plus a truncation marker
+     */
+    truncate(text, maxTokens) {
+      if (!text) return "";
+      const tokens = encoder.encode(text, "all");
+      if (tokens.length <= maxTokens) return text;
+      const head = encoder.decode(tokens.slice(0, Math.max(0, maxTokens)));
+      const lastBreak = head.lastIndexOf("\n");
+      return (lastBreak > 0 ? head.slice(0, lastBreak) : head) + TRUNCATION_MARKER;
+    }
+  };
+}
+
+// ============================================================================
+// Budget Planning
+// ============================================================================
+
+/**
+ * Plans how many tokens of a prompt can go to the diff.
+ * The context window must hold the fixed prompt parts (system prompt,
+ * instructions, file list), the reserved response and the diff.
+ * @param {object} params - Planning inputs
+ * @param {number} params.contextWindow - Model context window in tokens
+ * @param {number} params.maxOutputTokens - Tokens reserved for the response
+ * @param {number} params.fixedTokens - Tokens used by everything except the diff
+ * @returns {number} Tokens available for the diff
+ * @throws {Error} If the window leaves less than MIN_DIFF_TOKENS for the diff
+ */
+function planDiffBudget({ contextWindow, maxOutputTokens, fixedTokens }) {
+  const available = contextWindow - maxOutputTokens - fixedTokens - PROMPT_OVERHEAD_TOKENS;
+  if (available < MIN_DIFF_TOKENS) {
+    throw new Error(
+      `context_window (${contextWindow}) is too small: ${fixedTokens} prompt tokens and ` +
+      `${maxOutputTokens} max_tokens leave ${Math.max(0, available)} tokens for the diff (need at least ${MIN_DIFF_TOKENS})`
+    );
+  }
+  return available;
+}
+
+module.exports = {
+  encodingForModel,
+  createTokenizer,
+  planDiffBudget,
+  PROMPT_OVERHEAD_TOKENS,
+  MIN_DIFF_TOKENS
+};
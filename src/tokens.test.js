@@ -0,0 +1,62 @@
+const {
+  encodingForModel,
+  createTokenizer,
+  planDiffBudget,
+  PROMPT_OVERHEAD_TOKENS,
+  MIN_DIFF_TOKENS
+} = require('./tokens');
+
+describe('encodingForModel', () => {
+  test('uses o200k_base for recent OpenAI models', () => {
+    expect(encodingForModel('gpt-4o-mini')).toBe('o200k_base');
+    expect(encodingForModel('gpt-4.1')).toBe('o200k_base');
+    expect(encodingForModel('o3-mini')).toBe('o200k_base');
+    expect(encodingForModel('openai/gpt-4o')).toBe('o200k_base');
+  });
+
+  test('falls back to cl100k_base', () => {
+    expect(encodingForModel('gpt-4-turbo')).toBe('cl100k_base');
+    expect(encodingForModel('llama3.1:8b')).toBe('cl100k_base');
+    expect(encodingForModel('')).toBe('cl100k_base');
+  });
+});
+
+describe('createTokenizer', () => {
+  const tokenizer = createTokenizer('gpt-4');
+
+  test('counts BPE tokens', () => {
+    expect(tokenizer.encoding).toBe('cl100k_base');
+    expect(tokenizer.count('hello world')).toBe(2);
+    expect(tokenizer.count('')).toBe(0);
+    expect(tokenizer.count(null)).toBe(0);
+  });
+
+  test('does not throw on special token text in diffs', () => {
+    expect(tokenizer.count('+const eot = "<|endoftext|>";')).toBeGreaterThan(0);
+  });
+
+  test('keeps text within the limit unchanged', () => {
+    expect(tokenizer.truncate('line one\nline two', 100)).toBe('line one\nline two');
+  });
+
+  test('truncates at a line break', () => {
+    const text = Array.from({ length: 50 }, (_, i) => `+line number ${i}`).join('\n');
+    const result = tokenizer.truncate(text, 20);
+    expect(result.endsWith('\n...[truncated]\n')).toBe(true);
+    const kept = result.slice(0, -'\n...[truncated]\n'.length);
+    expect(text.startsWith(`${kept}\n`)).toBe(true);
+    expect(tokenizer.count(kept)).toBeLessThanOrEqual(20);
+  });
+});
+
+describe('planDiffBudget', () => {
+  test('leaves the rest of the window for the diff', () => {
+    expect(planDiffBudget({ contextWindow: 8000, maxOutputTokens: 1000, fixedTokens: 500 }))
+      .toBe(8000 - 1000 - 500 - PROMPT_OVERHEAD_TOKENS);
+  });
+
+  test('throws when the window is too small', () => {
+    expect(() => planDiffBudget({ contextWindow: 2048, maxOutputTokens: 1800, fixedTokens: 100 }))
+      .toThrow(`need at least ${MIN_DIFF_TOKENS}`);
+  });
+});
@@ -0,0 +1,168 @@
+// ============================================================================
+// Configuration Constants
+// ============================================================================
+
+// model_prices are quoted per million tokens, like provider price lists
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+// ============================================================================
+// Usage Tracking
+// ============================================================================
+
+/**
+ * Creates a run-wide collector for LLM call statistics.
+ * @returns {{record: Function, calls: Function}} Usage tracker
+ */
+function createUsageTracker() {
+  const calls = [];
+
+  return {
+    /**
+     * Records one LLM call.
+     * @param {object} call - Call statistics
+     * @param {string} call.model - Model that served the call
+     * @param {number|null} [call.inputTokens] - Prompt tokens (null if not reported)
+     * @param {number|null} [call.outputTokens] - Completion tokens (null if not reported)
+     * @param {number} call.latencyMs - Wall time including retries
+     * @param {number} [call.retries=0] - Retries fetchJson made
+     * @param {boolean} [call.failed=false] - The call ended in an error
+     * @returns {void}
+     */
+    record({ model, inputTokens = null, outputTokens = null, latencyMs, retries = 0, failed = false }) {
+      calls.push({ model, inputTokens, outputTokens, latencyMs, retries, failed });
+    },
+
+    /**
+     * Returns the calls recorded so far.
+     * @returns {object[]} Recorded calls, in order
+     */
+    calls() {
+      return [...calls];
+    }
+  };
+}
+
+/**
+ * Adds recorded calls up, overall and per model.
+ * Calls whose provider reported no usage are counted in `unreported`.
+ * @param {object[]} calls - Calls from a usage tracker
+ * @returns {object} Totals {calls, failedCalls, retries, inputTokens, outputTokens, latencyMs,
+ *   unreported, models: [{model, calls, inputTokens, outputTokens, latencyMs}]}
+ */
+function summarizeUsage(calls) {
+  const totals = { calls: 0, failedCalls: 0, retries: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, unreported: 0 };
+  const models = new Map();
+
+  for (const call of calls) {
+    if (!models.has(call.model)) {
+      models.set(call.model, { model: call.model, calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0 });
+    }
+    const entry = models.get(call.model);
+    for (const t of [totals, entry]) {
+      t.calls++;
+      t.inputTokens += call.inputTokens || 0;
+      t.outputTokens += call.outputTokens || 0;
+      t.latencyMs += call.latencyMs;
+    }
+    totals.retries += call.retries;
+    if (call.failed) totals.failedCalls++;
+    else if (call.inputTokens === null && call.outputTokens === null) totals.unreported++;
+  }
+
+  return { ...totals, models: [...models.values()] };
+}
+
+/**
+ * Estimates the cost of a run from a per-model price table.
+ * @param {object} usage - Totals from summarizeUsage
+ * @param {object} prices - Model name to {input, output} USD per million tokens
+ * @returns {{cost: number|null, unpriced: string[]}} Estimated USD cost (null when no model
+ *   used has a price) and the models without one
+ */
+function estimateCost(usage, prices) {
+  let cost = null;
+  const unpriced = [];
+
+  for (const m of usage.models) {
+    const price = prices[m.model];
+    if (!price) {
+      unpriced.push(m.model);
+      continue;
+    }
+    cost = (cost || 0) + (m.inputTokens * price.input + m.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+  }
+
+  return { cost, unpriced };
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Formats a USD amount, keeping precision for fractions of a cent.
+ * @param {number} cost - Amount in USD
+ * @returns {string} Amount such as "$1.23" or "$0.0042"
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Renders the usage footer for a review comment.
+ * @param {object} usage - Totals from summarizeUsage
+ * @param {{cost: number|null, unpriced: string[]}} estimate - Result of estimateCost
+ * @returns {string} One-line footer in small print
+ */
+function renderUsageFooter(usage, estimate) {
+  const callNotes = [
+    usage.failedCalls ? `${usage.failedCalls} failed` : null,
+    usage.retries ? `${usage.retries} retr${usage.retries === 1 ? "y" : "ies"}` : null
+  ].filter(Boolean);
+  const parts = [
+    `${usage.inputTokens.toLocaleString("en-US")} prompt + ${usage.outputTokens.toLocaleString("en-US")} completion tokens`,
+    `${usage.calls} LLM call${usage.calls === 1 ? "" : "s"}${callNotes.length ? ` (${callNotes.join(", ")})` : ""}`,
+    // Calls run in parallel, so this is the summed call time, not how long the review took
+    `${(usage.latencyMs / 1000).toFixed(1)}s total model time`
+  ];
+  if (estimate.cost !== null) {
+    parts.push(`~${formatCost(estimate.cost)}${estimate.unpriced.length ? ` (excluding ${estimate.unpriced.join(", ")})` : ""}`);
+  }
+  if (usage.unreported) parts.push(`usage not reported for ${usage.unreported} call${usage.unreported === 1 ? "" : "s"}`);
+  return `<sub>📊 ${parts.join(" · ")}</sub>`;
+}
+
+/**
+ * Builds the per-model usage table for the job summary.
+ * @param {object} usage - Totals from summarizeUsage
+ * @param {object} prices - Model name to {input, output} USD per million tokens
+ * @returns {Array<Array<string|object>>} Rows for core.summary.addTable, header row first
+ */
+function usageTableRows(usage, prices) {
+  const header = ["Model", "Calls", "Prompt tokens", "Completion tokens", "Model time", "Est. cost"]
+    .map(data => ({ data, header: true }));
+  const row = (label, u, cost) => [
+    label,
+    String(u.calls),
+    u.inputTokens.toLocaleString("en-US"),
+    u.outputTokens.toLocaleString("en-US"),
+    `${(u.latencyMs / 1000).toFixed(1)}s`,
+    cost === null ? "-" : formatCost(cost)
+  ];
+
+  return [
+    header,
+    ...usage.models.map(m => row(m.model, m, estimateCost({ models: [m] }, prices).cost)),
+    row("Total", usage, estimateCost(usage, prices).cost)
+  ];
+}
+
+module.exports = {
+  createUsageTracker,
+  summarizeUsage,
+  estimateCost,
+  formatCost,
+  renderUsageFooter,
+  usageTableRows,
+  TOKENS_PER_PRICE_UNIT
+};
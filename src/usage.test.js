@@ -0,0 +1,97 @@
+const {
+  createUsageTracker,
+  summarizeUsage,
+  estimateCost,
+  formatCost,
+  renderUsageFooter,
+  usageTableRows
+} = require('./usage');
+
+const calls = [
+  { model: 'gpt-4o', inputTokens: 1000, outputTokens: 200, latencyMs: 1500, retries: 1, failed: false },
+  { model: 'gpt-4o', inputTokens: 3000, outputTokens: 300, latencyMs: 2500, retries: 0, failed: false },
+  { model: 'local', inputTokens: null, outputTokens: null, latencyMs: 4000, retries: 0, failed: false },
+  { model: 'local', inputTokens: null, outputTokens: null, latencyMs: 100, retries: 2, failed: true }
+];
+
+describe('createUsageTracker', () => {
+  test('records calls with defaults', () => {
+    const tracker = createUsageTracker();
+    tracker.record({ model: 'm', inputTokens: 5, outputTokens: 1, latencyMs: 10 });
+    tracker.record({ model: 'm', latencyMs: 20, failed: true });
+    expect(tracker.calls()).toEqual([
+      { model: 'm', inputTokens: 5, outputTokens: 1, latencyMs: 10, retries: 0, failed: false },
+      { model: 'm', inputTokens: null, outputTokens: null, latencyMs: 20, retries: 0, failed: true }
+    ]);
+  });
+});
+
+describe('summarizeUsage', () => {
+  test('adds up totals and per-model usage', () => {
+    const usage = summarizeUsage(calls);
+    expect(usage).toMatchObject({
+      calls: 4,
+      failedCalls: 1,
+      retries: 3,
+      inputTokens: 4000,
+      outputTokens: 500,
+      latencyMs: 8100,
+      unreported: 1
+    });
+    expect(usage.models).toEqual([
+      { model: 'gpt-4o', calls: 2, inputTokens: 4000, outputTokens: 500, latencyMs: 4000 },
+      { model: 'local', calls: 2, inputTokens: 0, outputTokens: 0, latencyMs: 4100 }
+    ]);
+  });
+
+  test('handles a run without calls', () => {
+    expect(summarizeUsage([])).toMatchObject({ calls: 0, inputTokens: 0, models: [] });
+  });
+});
+
+describe('estimateCost', () => {
+  const usage = summarizeUsage(calls);
+
+  test('prices models per million tokens', () => {
+    const { cost, unpriced } = estimateCost(usage, { 'gpt-4o': { input: 2.5, output: 10 } });
+    expect(cost).toBeCloseTo(0.015);
+    expect(unpriced).toEqual(['local']);
+  });
+
+  test('returns null when no model has a price', () => {
+    expect(estimateCost(usage, {})).toEqual({ cost: null, unpriced: ['gpt-4o', 'local'] });
+  });
+});
+
+describe('formatCost', () => {
+  test('keeps precision for small amounts', () => {
+    expect(formatCost(0.00421)).toBe('$0.0042');
+    expect(formatCost(12.345)).toBe('$12.35');
+  });
+});
+
+describe('renderUsageFooter', () => {
+  const usage = summarizeUsage(calls);
+
+  test('summarizes tokens, calls, retries and total model time', () => {
+    expect(renderUsageFooter(usage, { cost: null, unpriced: [] })).toBe(
+      '<sub>📊 4,000 prompt + 500 completion tokens · 4 LLM calls (1 failed, 3 retries) · 8.1s total model time · usage not reported for 1 call</sub>'
+    );
+  });
+
+  test('includes the estimated cost and unpriced models', () => {
+    expect(renderUsageFooter(usage, { cost: 0.015, unpriced: ['local'] })).toContain('~$0.0150 (excluding local)');
+  });
+});
+
+describe('usageTableRows', () => {
+  test('builds a header, one row per model and a total', () => {
+    const rows = usageTableRows(summarizeUsage(calls), { 'gpt-4o': { input: 2.5, output: 10 } });
+    expect(rows).toHaveLength(4);
+    expect(rows[0][0]).toEqual({ data: 'Model', header: true });
+    expect(rows[0][4]).toEqual({ data: 'Model time', header: true });
+    expect(rows[1]).toEqual(['gpt-4o', '2', '4,000', '500', '4.0s', '$0.0150']);
+    expect(rows[2][5]).toBe('-');
+    expect(rows[3][0]).toBe('Total');
+  });
+});